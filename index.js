@@ -6,6 +6,7 @@ const compression = require('compression');
 const cookieParser = require('cookie-parser');
 const csrf = require('csurf');
 require('dotenv').config();
+const { startBookingExpiryJob } = require('./utils/booking-expiry');
 
 const app = express();
 
@@ -153,12 +154,33 @@ try {
   // Staff management routes
   app.use('/staff', require('./routes/staff'));
   
+  // Room type catalog routes
+  app.use('/room-types', require('./routes/room-types'));
+  
+  // Physical room registry routes (room numbers and housekeeping state)
+  app.use('/rooms', require('./routes/rooms'));
+  
   // Room inventory routes (room type inventory system)
   app.use('/room-inventory', require('./routes/room-inventory'));
   
+  // Dated room blocks (maintenance, VIP holds, owner use)
+  app.use('/room-blocks', require('./routes/room-blocks'));
+  
+  // Rate plan routes (seasonal and weekday/weekend pricing)
+  app.use('/rate-plans', require('./routes/rate-plans'));
+  
+  // Promo code and corporate rate routes
+  app.use('/promo-codes', require('./routes/promo-codes'));
+  
+  // Cancellation policy routes
+  app.use('/cancellation-policies', require('./routes/cancellation-policies'));
+  
   // Booking routes
   app.use('/bookings', require('./routes/bookings'));
   
+  // Group and multi-room booking routes
+  app.use('/booking-groups', require('./routes/booking-groups'));
+  
   // Drinks management routes
   app.use('/drinks', require('./routes/drinks'));
   
@@ -174,11 +196,23 @@ try {
   // Analytics routes
   app.use('/analytics', require('./routes/analytics'));
   
-  // Payment routes
-  const flutterwaveRoutes = require('./routes/flutterwave');
-  app.use('/payments', flutterwaveRoutes);
+  // Payment routes (Flutterwave, Paystack and the offline mock provider)
+  const paymentRoutes = require('./routes/payments');
+  app.use('/payments', paymentRoutes);
   // Legacy endpoint - mount same router at old path for backward compatibility  
-  app.use('/flutterwave', flutterwaveRoutes);
+  app.use('/flutterwave', paymentRoutes);
+  
+  // Payment reconciliation queue routes
+  app.use('/reconciliations', require('./routes/reconciliations'));
+  
+  // Guest profile (CRM) routes
+  app.use('/guests', require('./routes/guests'));
+  
+  // Guest self-service portal (one-time access codes)
+  app.use('/guest-portal', require('./routes/guest-portal'));
+  
+  // Waitlist for sold-out dates
+  app.use('/waitlist', require('./routes/waitlist'));
   
   console.log('✅ All routes loaded successfully');
 } catch (error) {
@@ -275,6 +309,9 @@ const server = app.listen(PORT, () => {
   console.log('  Reports: GET /api/reports');
   console.log('  Payments: POST /api/payments/initiate');
   console.log('===============================================\n');
+
+  // Release rooms held by unpaid online bookings
+  startBookingExpiryJob();
 });
 
 // Export app for testing
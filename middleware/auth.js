@@ -46,4 +46,39 @@ function requireRole(roles) {
   };
 }
 
-module.exports = { requireRole };
+// Middleware for guest portal sessions - the token carries the one booking it may act on
+function requireGuestSession(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const token = authHeader ? authHeader.split(' ')[1] : null;
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'No token provided',
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.role !== 'guest' || decoded.scope !== 'guest_portal' || !decoded.booking_id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden: not a guest session',
+        message: 'You do not have permission to access this resource'
+      });
+    }
+
+    req.guestSession = decoded;
+    next();
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid token',
+      message: 'Your session has expired - request a new access code'
+    });
+  }
+}
+
+module.exports = { requireRole, requireGuestSession };
@@ -0,0 +1,41 @@
+-- Room type catalog
+-- Single source of truth for room type names, prices and details.
+-- The fixed UUIDs match the room_id values already stored on bookings.
+
+CREATE TABLE IF NOT EXISTS public.room_types (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  price_per_night NUMERIC(12, 2) NOT NULL CHECK (price_per_night >= 0),
+  max_occupancy INTEGER NOT NULL DEFAULT 2 CHECK (max_occupancy > 0),
+  amenities TEXT,
+  description TEXT,
+  images JSONB NOT NULL DEFAULT '[]'::jsonb,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.room_types (id, slug, name, price_per_night, max_occupancy, amenities, description, images)
+VALUES
+  ('11111111-1111-1111-1111-111111111111', 'classic-single', 'Classic Single', 24900, 2,
+   'Complimentary breakfast, free Wi-Fi, gym and pool (1 guest)',
+   'Just a bed, smart TV and active intercom.',
+   '["/assets/images/classic_single_room.jpg"]'),
+  ('22222222-2222-2222-2222-222222222222', 'deluxe', 'Deluxe', 30500, 2,
+   'Complimentary breakfast, free Wi-Fi, gym and pool (1 guest)',
+   'Just a bed, smart TV and active intercom.',
+   '["/assets/images/deluxe_room.jpg"]'),
+  ('33333333-3333-3333-3333-333333333333', 'deluxe-large', 'Deluxe Large', 35900, 2,
+   'Complimentary breakfast, free Wi-Fi, gym and pool (1 guest)',
+   'Just a bed, smart TV and active intercom.',
+   '["/assets/images/deluxe_large_room.jpg"]'),
+  ('44444444-4444-4444-4444-444444444444', 'business-suite', 'Business Suite', 49900, 4,
+   'Complimentary breakfast, free Wi-Fi, gym and pool (2 guests)',
+   'Sitting room and bedroom with quality sofa, intercom and smart TV in each room.',
+   '["/assets/images/business_suite_room.jpg"]'),
+  ('55555555-5555-5555-5555-555555555555', 'executive-suite', 'Executive Suite', 54900, 4,
+   'Complimentary breakfast, free Wi-Fi, gym and pool (2 guests)',
+   'Sitting room and bedroom with quality sofa, intercom and smart TV in each room.',
+   '["/assets/images/executive_suite_room.jpg"]')
+ON CONFLICT (slug) DO NOTHING;
@@ -0,0 +1,23 @@
+-- Physical room registry
+-- Individual rooms with their number, floor, room type and housekeeping state.
+
+CREATE TABLE IF NOT EXISTS public.rooms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_number TEXT NOT NULL UNIQUE,
+  floor INTEGER,
+  room_type_id UUID NOT NULL REFERENCES public.room_types(id),
+  status TEXT NOT NULL DEFAULT 'clean' CHECK (status IN ('clean', 'dirty', 'out_of_order')),
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS rooms_room_type_id_idx ON public.rooms (room_type_id);
+
+-- Bookings can now point at the specific room the guest is given
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS assigned_room_id UUID REFERENCES public.rooms(id),
+  ADD COLUMN IF NOT EXISTS room_number TEXT;
+
+CREATE INDEX IF NOT EXISTS bookings_assigned_room_id_idx ON public.bookings (assigned_room_id);
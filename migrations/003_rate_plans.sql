@@ -0,0 +1,28 @@
+-- Seasonal and date-based rate plans
+-- A rate plan prices a room type between two dates (inclusive), with separate
+-- weekday and weekend (Friday/Saturday night) prices and a minimum stay.
+-- When several plans cover a night the highest priority wins; nights without
+-- a plan use room_types.price_per_night.
+
+CREATE TABLE IF NOT EXISTS public.rate_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_type_id UUID NOT NULL REFERENCES public.room_types(id),
+  name TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  weekday_price NUMERIC(12, 2) NOT NULL CHECK (weekday_price >= 0),
+  weekend_price NUMERIC(12, 2) CHECK (weekend_price >= 0),
+  min_stay INTEGER NOT NULL DEFAULT 1 CHECK (min_stay > 0),
+  priority INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS rate_plans_room_type_dates_idx
+  ON public.rate_plans (room_type_id, start_date, end_date);
+
+-- Price charged for each night at booking time, so later rate edits don't change history
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS nightly_breakdown JSONB;
@@ -0,0 +1,5 @@
+-- Itemized booking pricing
+-- Taxes are now priced alongside the transaction fee (BOOKING_TAX_RATE, default 0).
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS tax_total NUMERIC(12, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,34 @@
+-- Promo codes and negotiated corporate rates
+-- kind = 'promo' for marketing codes, 'corporate' for company accounts.
+-- discount_type:
+--   percentage   - discount_value percent off the room nights
+--   fixed        - discount_value naira off the room nights
+--   nightly_rate - negotiated price of discount_value per night (corporate rates)
+
+CREATE TABLE IF NOT EXISTS public.promo_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL UNIQUE,
+  kind TEXT NOT NULL DEFAULT 'promo' CHECK (kind IN ('promo', 'corporate')),
+  company_name TEXT,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed', 'nightly_rate')),
+  discount_value NUMERIC(12, 2) NOT NULL CHECK (discount_value >= 0),
+  valid_from DATE,
+  valid_until DATE,
+  max_uses INTEGER CHECK (max_uses > 0),
+  used_count INTEGER NOT NULL DEFAULT 0,
+  room_type_ids UUID[],
+  min_nights INTEGER NOT NULL DEFAULT 1,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS promo_code_id UUID REFERENCES public.promo_codes(id),
+  ADD COLUMN IF NOT EXISTS promo_code TEXT,
+  ADD COLUMN IF NOT EXISTS discount_total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS discount_details JSONB;
+
+CREATE INDEX IF NOT EXISTS bookings_promo_code_id_idx ON public.bookings (promo_code_id);
@@ -0,0 +1,28 @@
+-- Booking modifications
+-- Every change of dates, room type or guest count is recorded with the price
+-- before and after. balance_due is what the guest still owes after the change
+-- (negative when the guest has overpaid and is owed a credit).
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS amount_paid NUMERIC(12, 2),
+  ADD COLUMN IF NOT EXISTS balance_due NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.booking_modifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  changes JSONB NOT NULL,            -- { field: { from, to } }
+  previous_total NUMERIC(12, 2) NOT NULL,
+  new_total NUMERIC(12, 2) NOT NULL,
+  price_difference NUMERIC(12, 2) NOT NULL,
+  balance_due NUMERIC(12, 2) NOT NULL,
+  reason TEXT,
+  top_up_tx_ref TEXT UNIQUE,         -- Flutterwave reference of the top-up charge
+  top_up_link TEXT,
+  top_up_status TEXT CHECK (top_up_status IN ('pending', 'paid', 'failed')),
+  modified_by UUID,
+  modified_by_role TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS booking_modifications_booking_id_idx
+  ON public.booking_modifications (booking_id, created_at);
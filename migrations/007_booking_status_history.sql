@@ -0,0 +1,29 @@
+-- Booking lifecycle
+-- Each status change is timestamped on the booking and logged with the staff
+-- member who made it. Allowed transitions live in utils/booking-status.js.
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS no_show_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS status_changed_by UUID;
+
+CREATE TABLE IF NOT EXISTS public.booking_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  changed_by UUID,               -- staff.id, NULL for system changes (e.g. payment verification)
+  changed_by_name TEXT,
+  changed_by_role TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS booking_status_history_booking_id_idx
+  ON public.booking_status_history (booking_id, created_at);
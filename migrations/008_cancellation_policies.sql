@@ -0,0 +1,40 @@
+-- Cancellation policies
+-- A policy is attached to a rate plan or a room type (the rate plan wins).
+-- Cancelling free_cancellation_days or more before check-in costs nothing;
+-- later cancellations pay penalty_percentage of the booking total.
+-- Non-refundable policies keep the full amount whenever the booking is cancelled.
+-- Bookings keep a snapshot of the policy they were made under.
+
+CREATE TABLE IF NOT EXISTS public.cancellation_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  free_cancellation_days INTEGER CHECK (free_cancellation_days >= 0),
+  penalty_percentage NUMERIC(5, 2) NOT NULL DEFAULT 100 CHECK (penalty_percentage BETWEEN 0 AND 100),
+  is_refundable BOOLEAN NOT NULL DEFAULT true,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.room_types
+  ADD COLUMN IF NOT EXISTS cancellation_policy_id UUID REFERENCES public.cancellation_policies(id);
+
+ALTER TABLE public.rate_plans
+  ADD COLUMN IF NOT EXISTS cancellation_policy_id UUID REFERENCES public.cancellation_policies(id);
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS cancellation_policy JSONB,
+  ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS cancellation_penalty NUMERIC(12, 2),
+  ADD COLUMN IF NOT EXISTS refund_amount NUMERIC(12, 2),
+  ADD COLUMN IF NOT EXISTS refund_status TEXT
+    CHECK (refund_status IN ('not_required', 'pending', 'processing', 'refunded', 'failed', 'manual')),
+  ADD COLUMN IF NOT EXISTS refund_reference TEXT;
+
+INSERT INTO public.cancellation_policies (name, description, free_cancellation_days, penalty_percentage, is_refundable)
+VALUES
+  ('Flexible', 'Free cancellation until 1 day before check-in, then 20% is charged', 1, 20, true),
+  ('Moderate', 'Free cancellation until 7 days before check-in, then 50% is charged', 7, 50, true),
+  ('Non-refundable', 'No refund on cancellation', NULL, 100, false)
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,32 @@
+-- Payment event ledger
+-- Every Flutterwave webhook is stored before it is processed. dedupe_key
+-- (provider:event:transaction id) is unique, so a redelivered event is
+-- recognised and not applied twice.
+
+CREATE TABLE IF NOT EXISTS public.payment_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider TEXT NOT NULL DEFAULT 'flutterwave',
+  dedupe_key TEXT NOT NULL UNIQUE,
+  event_type TEXT,
+  transaction_id TEXT,
+  tx_ref TEXT,
+  amount NUMERIC(12, 2),
+  currency TEXT,
+  status TEXT,                       -- charge status reported in the event
+  payload JSONB NOT NULL,
+  processing_status TEXT NOT NULL DEFAULT 'received'
+    CHECK (processing_status IN ('received', 'processed', 'ignored', 'failed')),
+  processing_result TEXT,
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  delivery_count INTEGER NOT NULL DEFAULT 1,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS payment_events_tx_ref_idx ON public.payment_events (tx_ref);
+
+-- The charge applied to a booking (claimed once, whichever path sees it first)
+-- and when its confirmation email went out
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS payment_transaction_id TEXT,
+  ADD COLUMN IF NOT EXISTS confirmation_email_sent_at TIMESTAMPTZ;
@@ -0,0 +1,33 @@
+-- Payment reconciliation queue
+-- Verified charges that don't match their booking (wrong amount or currency,
+-- no booking, booking no longer active) are queued here for finance staff.
+-- One row per charge and issue, so re-verifying a charge doesn't queue it twice.
+
+CREATE TABLE IF NOT EXISTS public.payment_reconciliations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider TEXT NOT NULL DEFAULT 'flutterwave',
+  transaction_id TEXT NOT NULL,
+  tx_ref TEXT,
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  modification_id UUID REFERENCES public.booking_modifications(id) ON DELETE SET NULL,
+  issue_type TEXT NOT NULL CHECK (issue_type IN (
+    'underpayment', 'overpayment', 'currency_mismatch', 'unmatched_payment', 'payment_on_inactive_booking'
+  )),
+  expected_amount NUMERIC(12, 2),
+  received_amount NUMERIC(12, 2),
+  expected_currency TEXT,
+  received_currency TEXT,
+  difference NUMERIC(12, 2),         -- received - expected
+  notes TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  resolution TEXT CHECK (resolution IN ('accepted', 'refunded', 'collected', 'written_off', 'dismissed')),
+  resolution_notes TEXT,
+  resolution_reference TEXT,         -- e.g. Flutterwave refund id
+  resolved_by UUID,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (transaction_id, issue_type)
+);
+
+CREATE INDEX IF NOT EXISTS payment_reconciliations_status_idx
+  ON public.payment_reconciliations (status, created_at);
@@ -0,0 +1,12 @@
+-- Pending-payment expiry
+-- Online bookings still unpaid after the hold window (PAYMENT_HOLD_MINUTES)
+-- move to 'expired' and give their rooms back; see utils/booking-expiry.js.
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS expiry_reason TEXT;
+
+-- The expiry job scans pending bookings by age
+CREATE INDEX IF NOT EXISTS bookings_pending_created_at_idx
+  ON public.bookings (created_at)
+  WHERE status = 'pending';
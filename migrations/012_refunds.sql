@@ -0,0 +1,39 @@
+-- Refunds
+-- Every refund, full or partial, is a row here: requested → processing →
+-- completed or failed (or rejected when approval is refused). Refunds above
+-- REFUND_APPROVAL_THRESHOLD requested by anyone but a superadmin wait for
+-- superadmin approval. Provider refund webhooks move them to completed/failed.
+
+CREATE TABLE IF NOT EXISTS public.refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  provider TEXT NOT NULL,             -- flutterwave, paystack, mock or manual (cash at the desk)
+  transaction_id TEXT,                -- the provider charge being refunded
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL DEFAULT 'NGN',
+  reason TEXT,
+  source TEXT NOT NULL DEFAULT 'staff' CHECK (source IN ('staff', 'cancellation')),
+  status TEXT NOT NULL DEFAULT 'requested'
+    CHECK (status IN ('requested', 'processing', 'completed', 'failed', 'rejected')),
+  requires_approval BOOLEAN NOT NULL DEFAULT false,
+  provider_refund_id TEXT,
+  failure_reason TEXT,
+  requested_by UUID,
+  requested_by_name TEXT,
+  requested_by_role TEXT,
+  approved_by UUID,
+  approved_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS refunds_booking_id_idx ON public.refunds (booking_id);
+CREATE INDEX IF NOT EXISTS refunds_status_idx ON public.refunds (status, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS refunds_provider_refund_id_idx
+  ON public.refunds (provider, provider_refund_id)
+  WHERE provider_refund_id IS NOT NULL;
+
+-- Completed refunds; amount_paid is what the guest has paid net of these
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
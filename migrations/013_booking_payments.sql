@@ -0,0 +1,51 @@
+-- Booking Payments
+-- Every payment towards a booking is a row here, so a guest can pay in parts:
+-- a deposit online and the rest at check-in, or part cash and part POS.
+-- bookings.amount_paid, balance_due and payment_status are derived from these
+-- rows (less completed refunds). Mistaken entries are voided, never deleted.
+
+CREATE TABLE IF NOT EXISTS public.booking_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  method TEXT NOT NULL
+    CHECK (method IN ('cash', 'pos', 'transfer', 'flutterwave', 'paystack', 'mock', 'other')),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL DEFAULT 'NGN',
+  reference TEXT,                     -- POS slip, transfer reference or provider tx_ref
+  provider_transaction_id TEXT,       -- the provider charge, for online payments
+  notes TEXT,
+  received_by UUID,
+  received_by_name TEXT,
+  received_by_role TEXT,              -- 'system' for payments recorded by webhooks
+  voided_at TIMESTAMPTZ,
+  voided_by UUID,
+  void_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS booking_payments_booking_id_idx ON public.booking_payments (booking_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS booking_payments_provider_transaction_idx
+  ON public.booking_payments (method, provider_transaction_id)
+  WHERE provider_transaction_id IS NOT NULL;
+
+-- Payments recorded on bookings before this table existed become one 'other'
+-- (or provider) payment each, so derived balances start where they left off
+INSERT INTO public.booking_payments (booking_id, method, amount, reference, provider_transaction_id, notes, received_by_role, created_at)
+SELECT
+  b.id,
+  CASE WHEN b.payment_method IN ('flutterwave', 'paystack') THEN b.payment_method ELSE 'other' END,
+  CASE
+    WHEN b.amount_paid IS NOT NULL THEN b.amount_paid + b.refunded_amount
+    ELSE b.total_amount
+  END,
+  b.transaction_ref,
+  CASE WHEN b.payment_method IN ('flutterwave', 'paystack') THEN b.payment_transaction_id END,
+  'Recorded before payments were itemised',
+  'system',
+  COALESCE(b.created_at, now())
+FROM public.bookings b
+WHERE NOT EXISTS (SELECT 1 FROM public.booking_payments p WHERE p.booking_id = b.id)
+  AND (
+    (b.amount_paid IS NOT NULL AND b.amount_paid + b.refunded_amount > 0)
+    OR (b.amount_paid IS NULL AND b.payment_status = 'paid' AND b.total_amount > 0)
+  );
@@ -0,0 +1,41 @@
+-- Guest Folios
+-- A booking's folio is its stay (room nights from nightly_breakdown, with
+-- discounts, fees and tax) plus the charges posted here: bar tabs charged to
+-- the room, restaurant, laundry and other services. folio_charges_total on the
+-- booking is the sum of charges that aren't voided, and balance_due includes it.
+-- A stay cannot be checked out while the folio has a balance.
+
+CREATE TABLE IF NOT EXISTS public.folio_charges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  charge_type TEXT NOT NULL
+    CHECK (charge_type IN ('bar', 'restaurant', 'minibar', 'laundry', 'service', 'other')),
+  description TEXT NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  unit_price NUMERIC(12, 2) NOT NULL CHECK (unit_price >= 0),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0),
+  service_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  bar_sale_id TEXT,                   -- the bar sale, for bar tabs charged to the room
+  posted_by UUID,
+  posted_by_name TEXT,
+  posted_by_role TEXT,
+  voided_at TIMESTAMPTZ,
+  voided_by UUID,
+  void_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS folio_charges_booking_id_idx ON public.folio_charges (booking_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS folio_charges_bar_sale_id_idx
+  ON public.folio_charges (bar_sale_id)
+  WHERE bar_sale_id IS NOT NULL;
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS folio_charges_total NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+-- Bar sales charged to a guest's room instead of paid at the bar
+ALTER TABLE public.bar_sales
+  ADD COLUMN IF NOT EXISTS booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS room_number TEXT;
+
+CREATE INDEX IF NOT EXISTS bar_sales_booking_id_idx ON public.bar_sales (booking_id) WHERE booking_id IS NOT NULL;
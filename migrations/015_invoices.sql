@@ -0,0 +1,34 @@
+-- Invoices and Receipts
+-- Each booking gets one invoice number and one receipt number, issued the
+-- first time the document is generated and reused afterwards. Numbers come
+-- from their own sequences (INV-000001, RCT-000001) so each series is sequential.
+-- Rows are kept when a booking is deleted so numbers are never reissued.
+
+CREATE SEQUENCE IF NOT EXISTS public.invoice_number_seq;
+CREATE SEQUENCE IF NOT EXISTS public.receipt_number_seq;
+
+CREATE TABLE IF NOT EXISTS public.invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  document_type TEXT NOT NULL CHECK (document_type IN ('invoice', 'receipt')),
+  document_number TEXT NOT NULL UNIQUE,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (booking_id, document_type)
+);
+
+CREATE OR REPLACE FUNCTION public.assign_invoice_number()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.document_type = 'receipt' THEN
+    NEW.document_number := 'RCT-' || lpad(nextval('public.receipt_number_seq')::text, 6, '0');
+  ELSE
+    NEW.document_number := 'INV-' || lpad(nextval('public.invoice_number_seq')::text, 6, '0');
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invoices_assign_number ON public.invoices;
+CREATE TRIGGER invoices_assign_number
+  BEFORE INSERT ON public.invoices
+  FOR EACH ROW EXECUTE FUNCTION public.assign_invoice_number();
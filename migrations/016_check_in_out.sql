@@ -0,0 +1,23 @@
+-- Check-in and Check-out
+-- POST /bookings/:id/check-in records the guest's ID document and when they
+-- actually arrived (checked_in_at is when the desk processed it).
+-- POST /bookings/:id/check-out posts a late_checkout charge to the folio when
+-- the guest leaves after the 12:00 PM checkout time.
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS id_document_type TEXT
+    CHECK (id_document_type IN ('passport', 'national_id', 'drivers_license', 'voters_card', 'other')),
+  ADD COLUMN IF NOT EXISTS id_document_number TEXT,
+  ADD COLUMN IF NOT EXISTS id_document_country TEXT,
+  ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMPTZ;
+
+ALTER TABLE public.folio_charges
+  DROP CONSTRAINT IF EXISTS folio_charges_charge_type_check;
+
+ALTER TABLE public.folio_charges
+  ADD CONSTRAINT folio_charges_charge_type_check
+  CHECK (charge_type IN ('bar', 'restaurant', 'minibar', 'laundry', 'service', 'late_checkout', 'other'));
+
+-- Arrivals and departures lists
+CREATE INDEX IF NOT EXISTS bookings_check_in_idx ON public.bookings (check_in);
+CREATE INDEX IF NOT EXISTS bookings_check_out_idx ON public.bookings (check_out);
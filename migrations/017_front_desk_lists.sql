@@ -0,0 +1,9 @@
+-- Front Desk Lists
+-- GET /bookings/arrivals, /departures and /in-house flag VIP guests. Staff set
+-- the flag when creating a booking or with PUT /bookings/:id.
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS is_vip BOOLEAN NOT NULL DEFAULT false;
+
+-- The in-house list looks up checked-in guests and recent check-outs
+CREATE INDEX IF NOT EXISTS bookings_status_check_in_idx ON public.bookings (status, check_in);
@@ -0,0 +1,82 @@
+-- Guest Profiles
+-- One row per guest, so a returning guest is recognised. Bookings from
+-- /bookings and /bookings/public are linked by email, then by phone
+-- (phone_normalized holds the digits in international form, 234...).
+-- A merged duplicate keeps its row, pointing at the profile it was merged into.
+-- lifetime_value, stay_count and last_stay_on are kept up to date from the
+-- guest's bookings (see utils/guests.js).
+
+CREATE TABLE IF NOT EXISTS public.guests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  email TEXT,                         -- lower-case
+  phone TEXT,
+  phone_normalized TEXT,
+  preferences JSONB NOT NULL DEFAULT '{}'::jsonb,
+  notes TEXT,
+  is_vip BOOLEAN NOT NULL DEFAULT false,
+  is_blacklisted BOOLEAN NOT NULL DEFAULT false,
+  blacklist_reason TEXT,
+  blacklisted_at TIMESTAMPTZ,
+  blacklisted_by UUID,
+  lifetime_value NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  stay_count INTEGER NOT NULL DEFAULT 0,
+  last_stay_on DATE,
+  merged_into_id UUID REFERENCES public.guests(id),
+  merged_at TIMESTAMPTZ,
+  merged_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- An email belongs to one active profile; phones may be shared (e.g. a company line)
+CREATE UNIQUE INDEX IF NOT EXISTS guests_email_idx
+  ON public.guests (email)
+  WHERE email IS NOT NULL AND merged_into_id IS NULL;
+CREATE INDEX IF NOT EXISTS guests_phone_normalized_idx
+  ON public.guests (phone_normalized)
+  WHERE merged_into_id IS NULL;
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS guest_id UUID REFERENCES public.guests(id);
+
+CREATE INDEX IF NOT EXISTS bookings_guest_id_idx ON public.bookings (guest_id);
+
+-- Profiles for existing bookings, one per email (details from the latest booking)
+INSERT INTO public.guests (name, email, phone, phone_normalized)
+SELECT DISTINCT ON (lower(trim(guest_email)))
+  guest_name,
+  lower(trim(guest_email)),
+  guest_phone,
+  CASE
+    WHEN regexp_replace(guest_phone, '\D', '', 'g') ~ '^0\d{10}$'
+      THEN '234' || substr(regexp_replace(guest_phone, '\D', '', 'g'), 2)
+    ELSE nullif(regexp_replace(guest_phone, '\D', '', 'g'), '')
+  END
+FROM public.bookings
+WHERE guest_email IS NOT NULL AND trim(guest_email) <> ''
+ORDER BY lower(trim(guest_email)), created_at DESC
+ON CONFLICT DO NOTHING;
+
+UPDATE public.bookings b
+SET guest_id = g.id
+FROM public.guests g
+WHERE b.guest_id IS NULL
+  AND g.merged_into_id IS NULL
+  AND g.email = lower(trim(b.guest_email));
+
+UPDATE public.guests g
+SET lifetime_value = stats.lifetime_value,
+    stay_count = stats.stay_count,
+    last_stay_on = stats.last_stay_on
+FROM (
+  SELECT
+    guest_id,
+    COALESCE(SUM(amount_paid), 0) AS lifetime_value,
+    COUNT(*) FILTER (WHERE status IN ('checked_in', 'checked_out', 'completed')) AS stay_count,
+    MAX(check_out::date) FILTER (WHERE status IN ('checked_in', 'checked_out', 'completed')) AS last_stay_on
+  FROM public.bookings
+  WHERE guest_id IS NOT NULL
+  GROUP BY guest_id
+) stats
+WHERE g.id = stats.guest_id;
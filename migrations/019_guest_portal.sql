@@ -0,0 +1,23 @@
+-- Guest Portal
+-- Guests manage their booking with a one-time code emailed to the booking's
+-- address (POST /guest-portal/request-access). Only a hash of the code is
+-- stored; each code expires, allows a few attempts and works once. A newer
+-- code replaces any earlier one.
+
+CREATE TABLE IF NOT EXISTS public.guest_access_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS guest_access_codes_booking_id_idx
+  ON public.guest_access_codes (booking_id, created_at DESC);
+
+-- Details the guest can update from the portal
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS expected_arrival_time TEXT,   -- HH:MM, hotel time
+  ADD COLUMN IF NOT EXISTS special_requests TEXT;
@@ -0,0 +1,39 @@
+-- Group and Multi-Room Bookings
+-- A group books several rooms, across room types, under one group_ref and one
+-- lead guest. Each room is an ordinary booking with group_id set, so it is
+-- checked in, modified or cancelled on its own. The group is paid in one go:
+-- group_ref is the tx_ref of the combined charge, which is split across the
+-- rooms' payments (see utils/booking-groups.js).
+
+CREATE TABLE IF NOT EXISTS public.booking_groups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_ref TEXT NOT NULL UNIQUE,
+  name TEXT,                          -- e.g. "Okafor wedding"
+  lead_guest_id UUID REFERENCES public.guests(id),
+  lead_name TEXT NOT NULL,
+  lead_email TEXT NOT NULL,
+  lead_phone TEXT NOT NULL,
+  check_in DATE NOT NULL,
+  check_out DATE NOT NULL,
+  payment_method TEXT,
+  payment_transaction_id TEXT,        -- the last combined charge applied
+  notes TEXT,
+  created_by UUID,
+  created_by_role TEXT,               -- 'client' for online group bookings
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS booking_groups_check_in_idx ON public.booking_groups (check_in);
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES public.booking_groups(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS bookings_group_id_idx ON public.bookings (group_id);
+
+-- One provider charge can now pay several rooms of a group - it is recorded
+-- once per booking instead of once overall
+DROP INDEX IF EXISTS public.booking_payments_provider_transaction_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS booking_payments_provider_transaction_idx
+  ON public.booking_payments (booking_id, method, provider_transaction_id)
+  WHERE provider_transaction_id IS NOT NULL;
@@ -0,0 +1,36 @@
+-- Waitlist for Sold-Out Dates
+-- Guests turned away for a room type and dates join the queue. When a
+-- cancellation, no-show, expiry or deletion frees a room, waiting guests whose
+-- whole stay now fits are offered it in queue order: the room is held for them
+-- until hold_expires_at (availability counts offered entries as taken) and
+-- they get an email with a link to claim it. Only a hash of the link's token
+-- is stored. See utils/waitlist.js.
+
+CREATE TABLE IF NOT EXISTS public.waitlist_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_type_id UUID NOT NULL REFERENCES public.room_types(id),
+  check_in DATE NOT NULL,
+  check_out DATE NOT NULL CHECK (check_out > check_in),
+  guests INTEGER NOT NULL DEFAULT 1,
+  guest_name TEXT NOT NULL,
+  guest_email TEXT NOT NULL,          -- lower-case
+  guest_phone TEXT,
+  guest_id UUID REFERENCES public.guests(id),
+  status TEXT NOT NULL DEFAULT 'waiting'
+    CHECK (status IN ('waiting', 'offered', 'booked', 'expired', 'declined', 'cancelled')),
+  offer_token_hash TEXT,
+  offered_at TIMESTAMPTZ,
+  hold_expires_at TIMESTAMPTZ,
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  notes TEXT,
+  created_by_role TEXT,               -- 'client' for guests who joined online
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- The queue of each room type, oldest first
+CREATE INDEX IF NOT EXISTS waitlist_entries_queue_idx
+  ON public.waitlist_entries (room_type_id, status, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_entries_offer_token_idx
+  ON public.waitlist_entries (offer_token_hash)
+  WHERE offer_token_hash IS NOT NULL;
@@ -0,0 +1,29 @@
+-- Room Blocks
+-- Dated periods during which rooms are off sale: maintenance, VIP holds and
+-- owner use. A block either takes a number of rooms of a room type, or one
+-- specific physical room. Nights from start_date up to (not including)
+-- end_date are blocked, like a booking's check_in/check_out. Availability
+-- subtracts active blocks (see utils/room-blocks.js). Released blocks are
+-- kept for the record.
+
+CREATE TABLE IF NOT EXISTS public.room_blocks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_type_id UUID NOT NULL REFERENCES public.room_types(id),
+  room_id UUID REFERENCES public.rooms(id),   -- set for a block of one physical room
+  room_count INTEGER NOT NULL DEFAULT 1 CHECK (room_count > 0),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL CHECK (end_date > start_date),
+  block_type TEXT NOT NULL CHECK (block_type IN ('maintenance', 'vip_hold', 'owner_use')),
+  reason TEXT NOT NULL,
+  created_by UUID,
+  created_by_role TEXT,
+  released_at TIMESTAMPTZ,
+  released_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (room_id IS NULL OR room_count = 1)
+);
+
+CREATE INDEX IF NOT EXISTS room_blocks_active_idx
+  ON public.room_blocks (room_type_id, start_date, end_date)
+  WHERE released_at IS NULL;
@@ -258,4 +258,53 @@ router.get('/overview', async (req, res) => {
   }
 });
 
+// GET promo code performance - bookings, revenue and discount given per code
+router.get('/promo-codes', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    const { data: promoCodes, error: promoError } = await supabase
+      .from('promo_codes')
+      .select('id, code, kind, company_name, discount_type, discount_value, used_count, max_uses, is_active');
+    const { data: bookings, error: bookingsError } = await supabase
+      .from('bookings')
+      .select('promo_code_id, base_total, discount_total, total_amount, status')
+      .not('promo_code_id', 'is', null)
+      .not('status', 'in', '(cancelled,voided,expired)');
+
+    if (promoError || bookingsError) {
+      console.error('Promo analytics fetch error:', promoError || bookingsError);
+      return res.status(500).json({
+        success: false,
+        error: promoError?.message || bookingsError?.message
+      });
+    }
+
+    const report = (promoCodes || []).map(promo => {
+      const promoBookings = (bookings || []).filter(b => b.promo_code_id === promo.id);
+      const revenue = promoBookings.reduce((sum, b) => sum + (Number(b.total_amount) || 0), 0);
+      const revenueLost = promoBookings.reduce((sum, b) => sum + (Number(b.discount_total) || 0), 0);
+
+      return {
+        ...promo,
+        bookings: promoBookings.length,
+        revenue: Math.round(revenue * 100) / 100,
+        revenue_lost: Math.round(revenueLost * 100) / 100
+      };
+    }).sort((a, b) => b.revenue_lost - a.revenue_lost);
+
+    res.json({
+      success: true,
+      data: {
+        codes: report,
+        totalRevenueLost: Math.round(report.reduce((sum, r) => sum + r.revenue_lost, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Promo analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
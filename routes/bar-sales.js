@@ -11,6 +11,7 @@ const CACHE_KEYS = {
   TOP_SELLING: 'top_selling_drinks'
 };
 const { requireRole } = require('../middleware/auth');
+const { postFolioCharge, voidFolioCharge } = require('../utils/folio');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -101,10 +102,32 @@ router.get('/', requireRole(['superadmin', 'supervisor', 'barmen']), async (req,
   }
 });
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The in-house booking a bar tab is charged to: a booking id or the guest's room number
+async function findInHouseBooking(chargeTo) {
+  const value = String(chargeTo).trim();
+  let query = supabase
+    .from('bookings')
+    .select('*')
+    .eq('status', 'checked_in');
+
+  query = UUID_PATTERN.test(value)
+    ? query.eq('id', value)
+    : query.eq('room_number', value);
+
+  const { data, error } = await query.limit(1);
+  if (error) {
+    throw new Error(`Failed to find booking: ${error.message}`);
+  }
+  return data && data.length > 0 ? data[0] : null;
+}
+
 // POST add new bar sale (super admin and barmen only)
+// Send charge_to_booking (booking id or room number of a checked-in guest) to post it to the guest's folio
 router.post('/', requireRole(['superadmin', 'barmen']), async (req, res) => {
   try {
-    const { drink_id, quantity } = req.body;
+    const { drink_id, quantity, charge_to_booking } = req.body;
     
     // Extract staff info from authenticated user
     const staffId = req.user.id;
@@ -148,6 +171,18 @@ router.post('/', requireRole(['superadmin', 'barmen']), async (req, res) => {
       });
     }
 
+    // Charged to the room: the guest must be in-house
+    let booking = null;
+    if (charge_to_booking) {
+      booking = await findInHouseBooking(charge_to_booking);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'No checked-in guest found for charge_to_booking'
+        });
+      }
+    }
+
     const total_amount = drink.price * quantity;
 
     // Create sale record
@@ -161,7 +196,9 @@ router.post('/', requireRole(['superadmin', 'barmen']), async (req, res) => {
           quantity: parseInt(quantity),
           amount: total_amount,
           drink_name: drink.drink_name,
-          date: new Date().toISOString()
+          date: new Date().toISOString(),
+          booking_id: booking?.id || null,
+          room_number: booking?.room_number || null
         }
       ])
       .select()
@@ -174,6 +211,28 @@ router.post('/', requireRole(['superadmin', 'barmen']), async (req, res) => {
       });
     }
 
+    let folio = null;
+    if (booking) {
+      try {
+        folio = await postFolioCharge({
+          booking,
+          chargeType: 'bar',
+          description: `${drink.drink_name} x${parseInt(quantity)}`,
+          quantity: parseInt(quantity),
+          unitPrice: drink.price,
+          barSaleId: sale.id,
+          user: req.user
+        });
+      } catch (folioError) {
+        console.error('❌ Failed to charge bar sale to room:', folioError.message);
+        await supabase.from('bar_sales').delete().eq('id', sale.id);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to charge the sale to the guest\'s room'
+        });
+      }
+    }
+
     // Update drink stock
     const { error: updateError } = await supabase
       .from('drinks')
@@ -190,7 +249,10 @@ router.post('/', requireRole(['superadmin', 'barmen']), async (req, res) => {
     res.status(201).json({
       success: true,
       data: sale,
-      message: 'Sale recorded successfully'
+      folio_charge: folio?.charge || null,
+      message: booking
+        ? `Sale charged to room ${booking.room_number || booking.id}`
+        : 'Sale recorded successfully'
     });
 
   } catch (error) {
@@ -234,6 +296,23 @@ router.delete('/:id', requireRole(['superadmin']), async (req, res) => {
       });
     }
     
+    // Take a room-charged sale off the guest's folio
+    if (existingSale.booking_id) {
+      const { data: charge } = await supabase
+        .from('folio_charges')
+        .select('*')
+        .eq('bar_sale_id', String(existingSale.id))
+        .maybeSingle();
+
+      if (charge) {
+        try {
+          await voidFolioCharge(charge, req.user, 'Bar sale deleted');
+        } catch (folioError) {
+          console.error('Error voiding folio charge:', folioError.message);
+        }
+      }
+    }
+    
     // Restore stock (add back the quantity that was sold)
     if (existingSale.drink_id && existingSale.quantity) {
       // First get the current stock quantity
@@ -0,0 +1,636 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { findRoomType, getRoomTypesById } = require('../utils/room-types');
+const { INITIAL_STATUSES } = require('../utils/booking-status');
+const { buildQuote } = require('../utils/pricing');
+const { reserveBooking, reserveRooms, buildConflictResponse, buildGroupConflictResponse } = require('../utils/reservations');
+const { cancelBooking } = require('../utils/cancellation');
+const { findOrCreateGuest } = require('../utils/guests');
+const { invalidateFrontDeskLists } = require('../utils/front-desk');
+const {
+  DEFAULT_PAYMENT_PROVIDER,
+  PAYMENT_PROVIDER_NAMES,
+  getPaymentProvider
+} = require('../utils/payment-providers');
+const {
+  MAX_GROUP_ROOMS,
+  findGroup,
+  findGroupByReference,
+  getGroupBookings,
+  summarizeGroup,
+  getGroupDetails,
+  toPublicGroup,
+  buildRoomingList,
+  sendGroupConfirmationOnce
+} = require('../utils/booking-groups');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Rooms of a group that can still be cancelled together
+const GROUP_CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+// Group changes move rooms in and out of today's front-desk lists
+router.use((req, res, next) => {
+  if (req.method !== 'GET') {
+    res.on('finish', invalidateFrontDeskLists);
+  }
+  next();
+});
+
+// Room references are the group_ref plus a running number: GRP-123-01, GRP-123-02...
+const roomReference = (groupRef, number) => `${groupRef}-${String(number).padStart(2, '0')}`;
+
+const nextRoomNumber = (group, bookings) => bookings.reduce((max, booking) => {
+  const suffix = String(booking.transaction_ref || '').slice(group.group_ref.length + 1);
+  return /^\d+$/.test(suffix) ? Math.max(max, parseInt(suffix)) : max;
+}, 0) + 1;
+
+/**
+ * Price the Requested Rooms
+ * Validates each { room_id, guests, guest_name } and prices it for the stay.
+ * Returns { status, message } on the first problem, otherwise { rooms }
+ * with the room type and quote of each.
+ */
+async function priceRooms(requestedRooms, checkIn, checkOut) {
+  const quotes = new Map();
+  const rooms = [];
+
+  for (const [index, requested] of requestedRooms.entries()) {
+    const roomType = requested && requested.room_id
+      ? await findRoomType(requested.room_id, { includeInactive: false })
+      : null;
+    if (!roomType) {
+      return { status: 400, message: `rooms[${index}]: invalid room type selected` };
+    }
+
+    const guests = parseInt(requested.guests) || 1;
+    const key = `${roomType.id}:${guests}`;
+    if (!quotes.has(key)) {
+      quotes.set(key, await buildQuote({ roomType, checkIn, checkOut, guests }));
+    }
+
+    const result = quotes.get(key);
+    if (result.minStayViolation) {
+      return { status: 400, message: `${roomType.name}: ${result.minStayViolation.message}` };
+    }
+
+    rooms.push({ roomType, quote: result.quote, guests, guestName: requested.guest_name ? String(requested.guest_name).trim() : null });
+  }
+
+  return { rooms };
+}
+
+// Booking row for one room of the group
+const buildRoomBooking = (group, room, { reference, status, paymentMethod, isVip, createdByRole }) => ({
+  room_id: room.roomType.id,
+  group_id: group.id,
+  guest_id: group.lead_guest_id,
+  guest_name: room.guestName || group.lead_name,
+  guest_email: group.lead_email,
+  guest_phone: group.lead_phone,
+  check_in: room.quote.check_in,
+  check_out: room.quote.check_out,
+  guests: room.guests,
+  payment_status: 'pending',
+  transaction_ref: reference,
+  status,
+  is_vip: isVip,
+  confirmed_at: status === 'confirmed' ? new Date().toISOString() : null,
+  base_total: room.quote.base_total,
+  discount_total: room.quote.discount_total,
+  transaction_fee: room.quote.transaction_fee,
+  tax_total: room.quote.tax_total,
+  total_amount: room.quote.total_amount,
+  nightly_breakdown: room.quote.nightly_breakdown,
+  cancellation_policy: room.quote.cancellation_policy || null,
+  discount_details: room.quote.discounts,
+  payment_method: paymentMethod,
+  created_by_role: createdByRole
+});
+
+/**
+ * Create a Group
+ * Shared by the online and front-desk endpoints: validates the lead guest,
+ * dates and rooms, then reserves every room at once. Nothing is kept if any
+ * room can't be had. Sends the response itself and returns the group details
+ * on success (null otherwise).
+ */
+async function createGroup(req, res, { channel }) {
+  const {
+    group_ref,
+    name,
+    notes,
+    guest_name,
+    guest_email,
+    guest_phone,
+    check_in,
+    check_out,
+    rooms: requestedRooms,
+    payment_provider,
+    status,
+    is_vip,
+    override_blacklist
+  } = req.body;
+  const isOnline = channel === 'online';
+
+  if (!guest_name || !guest_email || !guest_phone || !check_in || !check_out) {
+    res.status(400).json({ success: false, message: 'guest_name, guest_email, guest_phone, check_in and check_out are required' });
+    return null;
+  }
+
+  if (!Array.isArray(requestedRooms) || requestedRooms.length === 0 || requestedRooms.length > MAX_GROUP_ROOMS) {
+    res.status(400).json({ success: false, message: `rooms must list between 1 and ${MAX_GROUP_ROOMS} rooms, e.g. [{ "room_id": "deluxe", "guests": 2, "guest_name": "..." }]` });
+    return null;
+  }
+
+  const nights = (new Date(check_out) - new Date(check_in)) / (1000 * 60 * 60 * 24);
+  if (!(nights > 0)) {
+    res.status(400).json({ success: false, message: 'Invalid date range' });
+    return null;
+  }
+
+  // Online groups are paid through a payment provider, front-desk groups at the desk
+  const paymentProvider = isOnline ? getPaymentProvider(payment_provider || DEFAULT_PAYMENT_PROVIDER) : null;
+  if (isOnline && !paymentProvider) {
+    res.status(400).json({ success: false, message: `payment_provider must be one of: ${PAYMENT_PROVIDER_NAMES.join(', ')}` });
+    return null;
+  }
+
+  const initialStatus = isOnline ? 'pending' : (status || 'confirmed');
+  if (!INITIAL_STATUSES.includes(initialStatus)) {
+    res.status(400).json({ success: false, message: `Status must be one of: ${INITIAL_STATUSES.join(', ')}` });
+    return null;
+  }
+
+  const groupRef = group_ref ? String(group_ref).trim() : `GRP-${Date.now()}`;
+  const { data: clash } = await supabase
+    .from('bookings')
+    .select('id')
+    .eq('transaction_ref', groupRef)
+    .limit(1);
+  if (clash && clash.length > 0) {
+    res.status(409).json({ success: false, message: `Reference ${groupRef} is already used by a booking` });
+    return null;
+  }
+
+  const pricing = await priceRooms(requestedRooms, check_in, check_out);
+  if (pricing.status) {
+    res.status(pricing.status).json({ success: false, message: pricing.message });
+    return null;
+  }
+
+  // The group is linked to the lead guest's profile
+  const guest = await findOrCreateGuest({ name: guest_name, email: guest_email, phone: guest_phone });
+  if (guest.is_blacklisted && isOnline) {
+    console.warn(`🚫 Online group booking refused for blacklisted guest ${guest.id}`);
+    res.status(403).json({ success: false, message: 'We are unable to accept this booking online - please contact the hotel', code: 'BOOKING_REFUSED' });
+    return null;
+  }
+  if (guest.is_blacklisted && !(override_blacklist && req.user.role === 'superadmin')) {
+    res.status(403).json({
+      success: false,
+      message: `Guest is blacklisted: ${guest.blacklist_reason || 'no reason given'}`,
+      code: 'GUEST_BLACKLISTED',
+      guest_id: guest.id
+    });
+    return null;
+  }
+
+  const { data: group, error: groupError } = await supabase
+    .from('booking_groups')
+    .insert([{
+      group_ref: groupRef,
+      name: name || null,
+      notes: notes || null,
+      lead_guest_id: guest.id,
+      lead_name: guest_name,
+      lead_email: guest_email,
+      lead_phone: guest_phone,
+      check_in: pricing.rooms[0].quote.check_in,
+      check_out: pricing.rooms[0].quote.check_out,
+      payment_method: isOnline ? paymentProvider.name : 'manual',
+      created_by: req.user?.id || null,
+      created_by_role: isOnline ? 'client' : req.user.role
+    }])
+    .select()
+    .single();
+
+  if (groupError) {
+    const duplicate = groupError.code === '23505';
+    res.status(duplicate ? 409 : 500).json({
+      success: false,
+      message: duplicate ? `Group reference ${groupRef} is already used` : groupError.message
+    });
+    return null;
+  }
+
+  const result = await reserveRooms(pricing.rooms.map((room, index) => ({
+    roomType: room.roomType,
+    bookingData: buildRoomBooking(group, room, {
+      reference: roomReference(groupRef, index + 1),
+      status: initialStatus,
+      paymentMethod: group.payment_method,
+      isVip: !isOnline && is_vip !== undefined ? Boolean(is_vip) : guest.is_vip,
+      createdByRole: group.created_by_role
+    })
+  })));
+
+  if (!result.success) {
+    await supabase.from('booking_groups').delete().eq('id', group.id);
+
+    if (result.conflict) {
+      res.status(409).json(buildGroupConflictResponse(result.unavailable));
+    } else {
+      console.error('Group reservation error:', result.error);
+      res.status(500).json({ success: false, message: result.error.message });
+    }
+    return null;
+  }
+
+  console.log(`👥 Group ${groupRef} booked: ${result.bookings.length} rooms (${check_in} → ${check_out})`);
+
+  // Online groups are confirmed - and emailed - once the combined payment arrives
+  if (initialStatus === 'confirmed') {
+    setImmediate(() => {
+      sendGroupConfirmationOnce(group).catch(err => console.error('❌ Group email send failed:', err.message));
+    });
+  }
+
+  return getGroupDetails(group);
+}
+
+// Load a group for the staff routes; sends 404 and returns null if missing
+async function loadGroup(req, res) {
+  const group = await findGroup(req.params.id);
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking group not found'
+    });
+    return null;
+  }
+  return group;
+}
+
+// POST create a group booking online (public endpoint)
+// Pay for every room at once with POST /payments/initiate { tx_ref: group_ref }
+router.post('/public', async (req, res) => {
+  try {
+    const details = await createGroup(req, res, { channel: 'online' });
+    if (!details) return;
+
+    const roomTypesById = await getRoomTypesById();
+    res.status(201).json({
+      success: true,
+      data: toPublicGroup(details, details.rooms, roomTypesById),
+      message: `Group booked - pay ${details.summary.amount_due} with reference ${details.group_ref} to confirm it`
+    });
+  } catch (error) {
+    console.error('Public group booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group booking'
+    });
+  }
+});
+
+// POST create a group booking at the front desk (superadmin, receptionist)
+router.post('/', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const details = await createGroup(req, res, { channel: 'desk' });
+    if (!details) return;
+
+    res.status(201).json({
+      success: true,
+      data: details,
+      message: `Group booked with ${details.rooms.length} rooms`
+    });
+  } catch (error) {
+    console.error('Group booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group booking'
+    });
+  }
+});
+
+// GET group booking by group reference (public endpoint for payment pages)
+router.get('/by-reference/:group_ref', async (req, res) => {
+  try {
+    const group = await findGroupByReference(req.params.group_ref);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group booking not found'
+      });
+    }
+
+    const [bookings, roomTypesById] = await Promise.all([
+      getGroupBookings(group.id),
+      getRoomTypesById()
+    ]);
+
+    res.json({
+      success: true,
+      data: toPublicGroup(group, bookings, roomTypesById)
+    });
+  } catch (error) {
+    console.error('Get group by reference error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET group bookings (front-office staff), optional ?from=YYYY-MM-DD&to=YYYY-MM-DD on arrival
+router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    let query = supabase
+      .from('booking_groups')
+      .select('*')
+      .order('check_in', { ascending: false })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500));
+
+    if (req.query.from) {
+      query = query.gte('check_in', req.query.from);
+    }
+    if (req.query.to) {
+      query = query.lte('check_in', req.query.to);
+    }
+
+    const { data: groups, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    let bookings = [];
+    if (groups && groups.length > 0) {
+      const { data, error: bookingsError } = await supabase
+        .from('bookings')
+        .select('id, group_id, status, total_amount, folio_charges_total, amount_paid, payment_status')
+        .in('group_id', groups.map(group => group.id));
+
+      if (bookingsError) {
+        return res.status(500).json({
+          success: false,
+          message: bookingsError.message
+        });
+      }
+      bookings = data || [];
+    }
+
+    res.json({
+      success: true,
+      data: (groups || []).map(group => ({
+        ...group,
+        summary: summarizeGroup(bookings.filter(booking => booking.group_id === group.id))
+      })),
+      message: 'Booking groups retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get booking groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET a group with its rooms and totals (front-office staff)
+router.get('/:id', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    res.json({
+      success: true,
+      data: await getGroupDetails(group)
+    });
+  } catch (error) {
+    console.error('Get booking group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET the rooming list - who stays in which room (front-office staff)
+router.get('/:id/rooming-list', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const [bookings, roomTypesById] = await Promise.all([
+      getGroupBookings(group.id),
+      getRoomTypesById()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        group_ref: group.group_ref,
+        name: group.name,
+        lead_name: group.lead_name,
+        rooms: buildRoomingList(bookings, roomTypesById)
+      }
+    });
+  } catch (error) {
+    console.error('Get rooming list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT name the guest staying in each room (superadmin, receptionist)
+// Body: { "rooms": [{ "booking_id": "...", "guest_name": "..." }] }
+router.put('/:id/rooming-list', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const { rooms } = req.body;
+
+    if (!Array.isArray(rooms) || rooms.length === 0 || rooms.some(room => !room || !room.booking_id || !String(room.guest_name || '').trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'rooms must list { booking_id, guest_name } for each room to rename'
+      });
+    }
+
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const bookings = await getGroupBookings(group.id);
+    const unknown = rooms.filter(room => !bookings.some(booking => booking.id === room.booking_id));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Not rooms of this group: ${unknown.map(room => room.booking_id).join(', ')}`
+      });
+    }
+
+    for (const room of rooms) {
+      const { error } = await supabase
+        .from('bookings')
+        .update({ guest_name: String(room.guest_name).trim(), updated_at: new Date().toISOString() })
+        .eq('id', room.booking_id);
+
+      if (error) {
+        return res.status(500).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: buildRoomingList(await getGroupBookings(group.id), await getRoomTypesById()),
+      message: 'Rooming list updated'
+    });
+  } catch (error) {
+    console.error('Update rooming list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST add a room to the group (superadmin, receptionist)
+// Body: { "room_id": "deluxe", "guests": 2, "guest_name": "...", "check_in"?, "check_out"? }
+// Online groups take the new room as pending; the lead pays it with the group_ref
+router.post('/:id/rooms', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const checkIn = req.body.check_in || group.check_in;
+    const checkOut = req.body.check_out || group.check_out;
+    const nights = (new Date(checkOut) - new Date(checkIn)) / (1000 * 60 * 60 * 24);
+    if (!(nights > 0)) {
+      return res.status(400).json({ success: false, message: 'Invalid date range' });
+    }
+
+    const bookings = await getGroupBookings(group.id);
+    if (bookings.length >= MAX_GROUP_ROOMS) {
+      return res.status(400).json({ success: false, message: `A group can have at most ${MAX_GROUP_ROOMS} rooms` });
+    }
+
+    const pricing = await priceRooms([req.body], checkIn, checkOut);
+    if (pricing.status) {
+      return res.status(pricing.status).json({ success: false, message: pricing.message });
+    }
+
+    const [room] = pricing.rooms;
+    const isOnline = group.payment_method !== 'manual';
+    const result = await reserveBooking({
+      roomType: room.roomType,
+      bookingData: buildRoomBooking(group, room, {
+        reference: roomReference(group.group_ref, nextRoomNumber(group, bookings)),
+        status: isOnline ? 'pending' : 'confirmed',
+        paymentMethod: group.payment_method,
+        isVip: bookings[0]?.is_vip || false,
+        createdByRole: req.user.role
+      })
+    });
+
+    if (result.conflict) {
+      return res.status(409).json(buildConflictResponse(room.roomType, result.fullNights));
+    }
+    if (result.error) {
+      console.error('Add group room error:', result.error);
+      return res.status(500).json({ success: false, message: result.error.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await getGroupDetails(group),
+      message: `${room.roomType.name} added to group ${group.group_ref}`
+    });
+  } catch (error) {
+    console.error('Add group room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST cancel every pending or confirmed room of the group (superadmin, receptionist)
+// Each room is cancelled under its own policy; cancel single rooms with POST /bookings/:id/cancel
+router.post('/:id/cancel', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const { reason, waive_penalty } = req.body;
+
+    if (waive_penalty && req.user.role !== 'superadmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only superadmin can waive a cancellation penalty'
+      });
+    }
+
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const bookings = (await getGroupBookings(group.id))
+      .filter(booking => GROUP_CANCELLABLE_STATUSES.includes(booking.status));
+    if (bookings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The group has no pending or confirmed rooms to cancel'
+      });
+    }
+
+    const roomTypesById = await getRoomTypesById();
+    const results = [];
+    for (const booking of bookings) {
+      const result = await cancelBooking({
+        booking,
+        roomType: roomTypesById[booking.room_id],
+        user: req.user,
+        reason: reason || `Group ${group.group_ref} cancelled`,
+        waivePenalty: Boolean(waive_penalty)
+      });
+      results.push({
+        booking_id: booking.id,
+        transaction_ref: booking.transaction_ref,
+        success: result.success,
+        message: result.success ? undefined : result.message,
+        cancellation: result.cancellation,
+        refund: result.refund
+      });
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    res.status(failed > 0 ? 207 : 200).json({
+      success: failed === 0,
+      data: {
+        rooms: results,
+        group: await getGroupDetails(group)
+      },
+      message: failed > 0
+        ? `${results.length - failed} of ${results.length} rooms cancelled`
+        : `${results.length} rooms cancelled`
+    });
+  } catch (error) {
+    console.error('Cancel booking group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
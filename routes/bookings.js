@@ -1,14 +1,67 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
-const nodemailer = require('nodemailer');
-const { Resend } = require('resend');
 const rateLimit = require('express-rate-limit');
 const { cacheMiddleware, invalidateCache } = require('../utils/cache');
+const { findRoomType, getRoomTypesById } = require('../utils/room-types');
+const {
+  BOOKING_STATUSES,
+  INITIAL_STATUSES,
+  ROOM_FREEING_STATUSES,
+  getAllowedTransitions
+} = require('../utils/booking-status');
+const {
+  transitionBooking,
+  restoreRoomToInventory,
+  claimConfirmationEmail,
+  releaseConfirmationEmail
+} = require('../utils/booking-lifecycle');
+const { resolveCancellationPolicy, computeCancellation, cancelBooking } = require('../utils/cancellation');
+const { checkRoomAssignment } = require('../utils/rooms');
+const { reserveBooking, rescheduleBooking, buildConflictResponse } = require('../utils/reservations');
+const { buildQuote, signQuote, verifyQuoteToken, quoteMatchesStay } = require('../utils/pricing');
+const { roundAmount, getAmountPaid, getBalanceDue } = require('../utils/money');
+const { toDateKey, eachNight } = require('../utils/availability');
+const { releasePromoCode } = require('../utils/promotions');
+const {
+  DEFAULT_PAYMENT_PROVIDER,
+  PAYMENT_PROVIDER_NAMES,
+  getPaymentProvider
+} = require('../utils/payment-providers');
+const { PAYMENT_HOLD_MINUTES, expirePendingBookings } = require('../utils/booking-expiry');
+const {
+  DESK_PAYMENT_METHODS,
+  BOOKING_PAYMENT_METHODS,
+  summarizePayments,
+  getBookingPayments,
+  recordBookingPayment,
+  voidBookingPayment
+} = require('../utils/booking-payments');
+const {
+  FOLIO_CHARGE_TYPES,
+  FOLIO_OPEN_STATUSES,
+  getFolio,
+  postFolioCharge,
+  voidFolioCharge
+} = require('../utils/folio');
+const { buildBookingPdf, buildInvoiceAttachment } = require('../utils/invoices');
+const { findOrCreateGuest } = require('../utils/guests');
+const { sendGuestEmail } = require('../utils/email');
+const { toPublicBooking } = require('../utils/guest-portal');
+const { notifyWaitlist } = require('../utils/waitlist');
+const {
+  ID_DOCUMENT_TYPES,
+  FRONT_DESK_CACHE_TTL,
+  hotelDateKey,
+  computeLateCheckout,
+  frontDeskCacheKey,
+  invalidateFrontDeskLists,
+  getFrontDeskList
+} = require('../utils/front-desk');
 
 // Cache keys for bookings
 const CACHE_KEYS = {
-  TODAY_BOOKINGS: 'today_bookings',
+  TODAY_BOOKINGS: (list, date) => frontDeskCacheKey(list, date),
   UPCOMING_BOOKINGS: 'upcoming_bookings',
   MONTHLY_BOOKINGS: (month) => `monthly_bookings_${month}`,
   BOOKING_DETAIL: (id) => `booking_${id}`
@@ -22,145 +75,20 @@ const supabase = createClient(
 
 const { requireRole } = require('../middleware/auth');
 
-// Initialize Resend (preferred for Railway/cloud platforms - no SMTP port blocking)
-let resend = null;
-if (process.env.RESEND_API_KEY) {
-  resend = new Resend(process.env.RESEND_API_KEY);
-  console.log('✅ Resend email API configured (HTTP-based, no SMTP ports)');
-}
-
-// Configure Email transporter (Gmail or Zoho) - fallback for SMTP-friendly environments
-let transporter = null;
-let emailConfigured = false;
-let activeEmailProvider = 'none';
-
-// CRITICAL: Async email verification with timeout and fallback
-async function initializeEmailTransporter() {
-  // Check for email credentials
-  if (!process.env.GMAIL_EMAIL && !process.env.ZOHO_EMAIL) {
-    console.warn('⚠️ Email not configured - missing credentials');
-    console.log('To enable emails, set GMAIL_EMAIL + GMAIL_PASSWORD or ZOHO_EMAIL + ZOHO_PASSWORD');
-    return;
-  }
-
-  // Try Gmail first (most reliable, especially on restrictive hosting platforms like Render.com)
-  if (process.env.GMAIL_EMAIL && process.env.GMAIL_PASSWORD) {
-    console.log('🔍 Attempting to configure Gmail transporter...');
-    console.log('📧 Gmail Email:', process.env.GMAIL_EMAIL ? 'Set ✅' : 'Not set ❌');
-    console.log('🔑 Gmail Password:', process.env.GMAIL_PASSWORD ? 'Set ✅' : 'Not set ❌');
-    
-    const gmailTransporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.GMAIL_EMAIL,
-        pass: process.env.GMAIL_PASSWORD
-      },
-      pool: true,
-      maxConnections: 5,
-      maxMessages: 100,
-      rateDelta: 1000,
-      rateLimit: 5,
-      // Production-ready timeouts
-      connectionTimeout: 30000, // 30 seconds
-      greetingTimeout: 30000,
-      socketTimeout: 60000 // 60 seconds for sending
-    });
-    
-    try {
-      // Skip verification in production - it can timeout on Railway/Render
-      // but emails still work fine. Only verify in development.
-      if (process.env.NODE_ENV !== 'production') {
-        await Promise.race([
-          gmailTransporter.verify(),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Verification timeout')), 5000))
-        ]);
-        console.log('✅ Gmail transporter verified');
-      } else {
-        console.log('✅ Gmail transporter configured (skipping verification in production)');
-      }
-      
-      transporter = gmailTransporter;
-      emailConfigured = true;
-      activeEmailProvider = 'gmail';
-      return;
-    } catch (error) {
-      console.warn('⚠️ Gmail verification failed:', error.message);
-      console.log('📧 Configuring Gmail anyway - emails may still work (verification can fail on restrictive hosts)');
-      
-      // IMPORTANT: Configure anyway - verification can fail but sending may work
-      transporter = gmailTransporter;
-      emailConfigured = true;
-      activeEmailProvider = 'gmail';
-      return;
-    }
-  }
-  
-  // Fallback to Zoho if Gmail not configured
-  if (process.env.ZOHO_EMAIL && process.env.ZOHO_PASSWORD) {
-    console.log('🔍 Attempting to configure Zoho transporter (fallback)...');
-    console.log('📧 Zoho Email:', process.env.ZOHO_EMAIL ? 'Set ✅' : 'Not set ❌');
-    console.log('🔑 Zoho Password:', process.env.ZOHO_PASSWORD ? 'Set ✅' : 'Not set ❌');
-    
-    const zohoTransporter = nodemailer.createTransport({
-      host: 'smtp.zoho.com',
-      port: 465, // SSL port
-      secure: true,
-      auth: {
-        user: process.env.ZOHO_EMAIL,
-        pass: process.env.ZOHO_PASSWORD
-      },
-      pool: true,
-      maxConnections: 3,
-      connectionTimeout: 30000,
-      greetingTimeout: 30000,
-      socketTimeout: 60000
-    });
-    
-    try {
-      // Skip verification in production - it can timeout on Railway/Render
-      // but emails still work fine. Only verify in development.
-      if (process.env.NODE_ENV !== 'production') {
-        await Promise.race([
-          zohoTransporter.verify(),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Verification timeout')), 5000))
-        ]);
-        console.log('✅ Zoho transporter verified');
-      } else {
-        console.log('✅ Zoho transporter configured (skipping verification in production)');
-      }
-      
-      transporter = zohoTransporter;
-      emailConfigured = true;
-      activeEmailProvider = 'zoho';
-      return;
-    } catch (error) {
-      console.warn('⚠️ Zoho verification failed:', error.message);
-      console.log('📧 Configuring Zoho anyway - emails may still work (verification can fail on restrictive hosts)');
-      
-      // IMPORTANT: Configure anyway
-      transporter = zohoTransporter;
-      emailConfigured = true;
-      activeEmailProvider = 'zoho';
-      return;
-    }
-  }
-  
-  // If we reach here, no credentials provided
-  console.error('❌ CRITICAL: No email credentials provided');
-  console.log('📧 Set GMAIL_EMAIL + GMAIL_PASSWORD or ZOHO_EMAIL + ZOHO_PASSWORD');
-}
-
-// Initialize email transporter (non-blocking)
-initializeEmailTransporter().catch(error => {
-  console.error('❌ Fatal error initializing email:', error);
-});
-
 // Simple logging middleware
 router.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl} by ${req.user ? req.user.staff_id : 'anonymous'}`);
   next();
 });
 
+// Booking changes drop the cached arrivals, departures and in-house lists
+router.use((req, res, next) => {
+  if (req.method !== 'GET') {
+    res.on('finish', invalidateFrontDeskLists);
+  }
+  next();
+});
+
 // Rate limiting: max 100 requests per 15 minutes per IP
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -170,7 +98,7 @@ const limiter = rateLimit({
 router.use(limiter);
 
 // Send booking confirmation email - OPTIMIZED for Railway/cloud platforms
-// Tries Resend API first (no SMTP ports), falls back to SMTP if needed
+// The invoice PDF is attached; delivery goes through sendGuestEmail
 async function sendBookingConfirmationEmail(booking) {
   // Validate booking data
   if (!booking || !booking.guest_email) {
@@ -217,70 +145,58 @@ async function sendBookingConfirmationEmail(booking) {
     </div>
   `;
   
-  // TRY METHOD 1: Resend API (preferred for Railway - no SMTP port blocking)
-  if (resend) {
-    try {
-      console.log('📧 Attempting to send via Resend API...');
-      
-      const { data, error } = await resend.emails.send({
-        from: 'Smile-T Continental <bookings@smile-tcontinental.com>',
-        to: [booking.guest_email],
-        subject: `✅ Booking Confirmation - ${booking.transaction_ref}`,
-        html: emailHtml
-      });
-      
-      if (error) {
-        console.error('❌ Resend API error:', error);
-        throw error;
-      }
-      
-      console.log('✅ Email sent successfully via Resend API');
-      console.log('✅ Resend email ID:', data?.id);
-      return true;
-    } catch (error) {
-      console.error('❌ Resend failed, trying SMTP fallback...', error.message);
-      // Continue to SMTP fallback
-    }
-  }
-  
-  // TRY METHOD 2: SMTP fallback (Gmail/Zoho) - may be blocked on Railway
-  if (!emailConfigured || !transporter) {
-    console.log('⚠️ Email not configured - neither Resend nor SMTP available');
-    console.log('⚠️ Set RESEND_API_KEY (recommended) or GMAIL_EMAIL/ZOHO_EMAIL');
-    return false;
-  }
-  
-  try {
-    console.log(`� Sending via SMTP (${activeEmailProvider})...`);
-    
-    const mailOptions = {
-      from: `Smile-T Continental Hotel <${process.env.GMAIL_EMAIL || process.env.ZOHO_EMAIL}>`,
-      to: booking.guest_email,
-      subject: `✅ Booking Confirmation - ${booking.transaction_ref}`,
-      html: emailHtml
-    };
-    
-    // Send with 30-second timeout
-    await Promise.race([
-      transporter.sendMail(mailOptions),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('SMTP timeout - Railway likely blocking SMTP ports')), 30000)
-      )
-    ]);
-    
-    console.log(`✅ Email sent via SMTP (${activeEmailProvider})`);
-    return true;
-  } catch (error) {
-    console.error(`❌ SMTP failed:`, error.message);
-    
-    if (error.message.includes('Railway likely blocking')) {
-      console.error('💡 SOLUTION: Railway blocks SMTP ports. Use Resend API instead!');
-      console.error('💡 Get free API key at: https://resend.com');
-      console.error('💡 Add RESEND_API_KEY to Railway environment variables');
-    }
-    
+  const attachment = await buildInvoiceAttachment(booking);
+  return sendGuestEmail({
+    to: booking.guest_email,
+    subject: `✅ Booking Confirmation - ${booking.transaction_ref}`,
+    html: emailHtml,
+    attachments: attachment ? [attachment] : []
+  });
+}
+
+// Send the checkout email with the final invoice attached
+async function sendCheckoutEmail(booking) {
+  if (!booking || !booking.guest_email) {
+    console.error('❌ Invalid booking data for email - missing guest_email');
     return false;
   }
+
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background: linear-gradient(135deg, #7B3F00 0%, #A0522D 100%); color: white; padding: 30px; text-align: center;">
+        <h1 style="margin: 5px auto 10px;">Smile-T Continental Hotel</h1>
+        <p style="margin: 10px 0 0 0;">Thank You for Staying With Us</p>
+      </div>
+      
+      <div style="padding: 30px; background: white; border: 1px solid #ddd;">
+        <h2 style="color: #7B3F00;">Goodbye, ${booking.guest_name}!</h2>
+        <p>You have checked out. Your final invoice is attached.</p>
+        
+        <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong style="color: #7B3F00;">Booking Reference:</strong> ${booking.transaction_ref}</p>
+          <p><strong style="color: #7B3F00;">Stay:</strong> ${new Date(booking.check_in).toLocaleDateString()} - ${new Date(booking.check_out).toLocaleDateString()}</p>
+          <p><strong style="color: #7B3F00;">Total Paid:</strong> ₦${Number(booking.amount_paid || 0).toLocaleString()}</p>
+        </div>
+        
+        <p style="text-align: center; margin-top: 30px;">
+          <strong>Contact us:</strong> +234-805-323-3660<br>
+          Email: info@smile-tcontinental.com
+        </p>
+      </div>
+      
+      <div style="background: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
+        <p>We hope to see you again at Smile-T Continental Hotel!</p>
+      </div>
+    </div>
+  `;
+
+  const attachment = await buildInvoiceAttachment(booking);
+  return sendGuestEmail({
+    to: booking.guest_email,
+    subject: `🧾 Your Invoice - ${booking.transaction_ref}`,
+    html: emailHtml,
+    attachments: attachment ? [attachment] : []
+  });
 }
 
 // GET all bookings (superadmin, supervisor, receptionist)
@@ -297,38 +213,11 @@ router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async
       return res.status(500).json({ success: false, message: error.message });
     }
 
-    // Room type mappings
-    const ROOM_TYPES = {
-      '11111111-1111-1111-1111-111111111111': {
-        room_type: "Classic Single",
-        price_per_night: 24900,
-        room_type_id: 'classic-single'
-      },
-      '22222222-2222-2222-2222-222222222222': {
-        room_type: "Deluxe",
-        price_per_night: 30500,
-        room_type_id: 'deluxe'
-      },
-      '33333333-3333-3333-3333-333333333333': {
-        room_type: "Deluxe Large",
-        price_per_night: 36600,
-        room_type_id: 'deluxe-large'
-      },
-      '44444444-4444-4444-4444-444444444444': {
-        room_type: "Business Suite",
-        price_per_night: 54900,
-        room_type_id: 'business-suite'
-      },
-      '55555555-5555-5555-5555-555555555555': {
-        room_type: "Executive Suite",
-        price_per_night: 54900,
-        room_type_id: 'executive-suite'
-      }
-    };
+    const roomTypesById = await getRoomTypesById();
 
     // Enrich bookings with room type information
     const enrichedBookings = (bookings || []).map(booking => {
-      const roomType = ROOM_TYPES[booking.room_id];
+      const roomType = roomTypesById[booking.room_id];
       
       // Determine source label based on created_by_role
       let source_label = '👤 Manual Booking';
@@ -338,17 +227,17 @@ router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async
         source_label = '👑 SuperAdmin Booking';
       } else if (booking.created_by_role === 'receptionist') {
         source_label = '🏨 Receptionist Booking';
-      } else if (booking.payment_method === 'flutterwave') {
+      } else if (getPaymentProvider(booking.payment_method)) {
         source_label = '🌐 Online Booking';
       }
       
       return {
         ...booking,
-        room_type: roomType?.room_type || 'Unknown Room',
-        room_type_id: roomType?.room_type_id,
-        price_per_night: roomType?.price_per_night,
+        room_type: roomType?.name || 'Unknown Room',
+        room_type_id: roomType?.slug,
+        price_per_night: roomType ? Number(roomType.price_per_night) : undefined,
         // Determine booking source based on created_by_role or payment method (fallback)
-        booking_source: booking.created_by_role || (booking.payment_method === 'flutterwave' ? 'client' : 'manual'),
+        booking_source: booking.created_by_role || (getPaymentProvider(booking.payment_method) ? 'client' : 'manual'),
         source_label: source_label,
         created_by: booking.created_by_role || 'unknown' // For backward compatibility
       };
@@ -361,6 +250,133 @@ router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async
   }
 });
 
+// GET bookings released by the pending-payment expiry job (superadmin, supervisor)
+// Optional ?from=YYYY-MM-DD&to=YYYY-MM-DD filter on when they expired
+router.get('/expired', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    let query = supabase
+      .from('bookings')
+      .select('id, transaction_ref, guest_name, guest_email, guest_phone, room_id, check_in, check_out, total_amount, payment_status, created_at, expired_at, expiry_reason')
+      .eq('status', 'expired')
+      .order('expired_at', { ascending: false });
+
+    if (req.query.from) {
+      query = query.gte('expired_at', req.query.from);
+    }
+    if (req.query.to) {
+      query = query.lte('expired_at', `${req.query.to}T23:59:59.999Z`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      hold_minutes: PAYMENT_HOLD_MINUTES,
+      message: 'Expired bookings retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get expired bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST run the pending-payment expiry job now (superadmin only)
+router.post('/expire-pending', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const results = await expirePendingBookings();
+
+    res.json({
+      success: true,
+      data: results,
+      message: `${results.filter(result => result.action === 'expired').length} booking(s) expired`
+    });
+  } catch (error) {
+    console.error('Expire pending bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Front-desk lists take an optional ?date=YYYY-MM-DD; the default is today in hotel time
+const validateListDate = (req, res, next) => {
+  if (req.query.date && !/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+    return res.status(400).json({
+      success: false,
+      message: 'date must be YYYY-MM-DD'
+    });
+  }
+  next();
+};
+
+// Cached per list and date; dropped on every booking change (invalidateFrontDeskLists)
+const listCache = cacheMiddleware(
+  req => CACHE_KEYS.TODAY_BOOKINGS(req.path.slice(1), req.query.date || hotelDateKey()),
+  FRONT_DESK_CACHE_TTL
+);
+
+// GET arrivals, departures or in-house guests for a day (front-office staff)
+// Each guest is flagged unpaid and/or VIP, with counts per room type
+router.get(['/arrivals', '/departures', '/in-house'], requireRole(['superadmin', 'supervisor', 'receptionist']), validateListDate, listCache, async (req, res) => {
+  const list = req.path.slice(1);
+
+  try {
+    const result = await getFrontDeskList(list, req.query.date || hotelDateKey());
+
+    res.json({
+      success: true,
+      ...result,
+      message: `${result.total} booking(s) in ${list}`
+    });
+  } catch (error) {
+    console.error(`Get ${list} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET today's arrivals and departures together (front-office staff)
+router.get('/today', requireRole(['superadmin', 'supervisor', 'receptionist']), validateListDate, listCache, async (req, res) => {
+  try {
+    const date = req.query.date || hotelDateKey();
+    const [arrivals, departures] = await Promise.all([
+      getFrontDeskList('arrivals', date),
+      getFrontDeskList('departures', date)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        checkout_time: arrivals.checkout_time,
+        arrivals: arrivals.data,
+        departures: departures.data
+      },
+      message: `${arrivals.total} arrival(s), ${departures.total} departure(s)`
+    });
+  } catch (error) {
+    console.error('Get arrivals and departures error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // GET booking by transaction reference (public endpoint for payment verification)
 router.get('/by-reference/:tx_ref', async (req, res) => {
   const { tx_ref } = req.params;
@@ -396,41 +412,12 @@ router.get('/by-reference/:tx_ref', async (req, res) => {
 
     const booking = bookings[0];
 
-    // Room type mappings
-    const ROOM_TYPES = {
-      '11111111-1111-1111-1111-111111111111': {
-        room_type: "Classic Single",
-        price_per_night: 24900
-      },
-      '22222222-2222-2222-2222-222222222222': {
-        room_type: "Deluxe",
-        price_per_night: 30500
-      },
-      '33333333-3333-3333-3333-333333333333': {
-        room_type: "Deluxe Large",
-        price_per_night: 36600
-      },
-      '44444444-4444-4444-4444-444444444444': {
-        room_type: "Business Suite",
-        price_per_night: 54900
-      },
-      '55555555-5555-5555-5555-555555555555': {
-        room_type: "Executive Suite",
-        price_per_night: 54900
-      }
-    };
-
-    const roomType = ROOM_TYPES[booking.room_id];
-    
-    const enrichedBooking = {
-      ...booking,
-      room_name: roomType?.room_type || 'Unknown Room',
-      reference: booking.transaction_ref
-    };
+    const roomType = await findRoomType(booking.room_id);
 
+    // Anyone with the reference can call this - guests see the rest in /guest-portal
     res.json({ 
       success: true, 
-      booking: enrichedBooking 
+      booking: toPublicBooking(booking, roomType)
     });
   } catch (error) {
     console.error('Get booking by reference error:', error);
@@ -441,6 +428,52 @@ router.get('/by-reference/:tx_ref', async (req, res) => {
   }
 });
 
+// POST price a stay without booking it (public endpoint)
+// Returns an itemized quote plus a signed, time-limited quote_token for POST /bookings/public
+router.post('/quote', async (req, res) => {
+  const { room_id, check_in, check_out, guests, promo_code } = req.body;
+
+  if (!room_id || !check_in || !check_out) {
+    return res.status(400).json({ success: false, message: 'room_id, check_in and check_out are required' });
+  }
+
+  const nights = (new Date(check_out) - new Date(check_in)) / (1000 * 60 * 60 * 24);
+  if (!(nights > 0)) {
+    return res.status(400).json({ success: false, message: 'Invalid date range' });
+  }
+
+  try {
+    const roomType = await findRoomType(room_id, { includeInactive: false });
+    if (!roomType) {
+      return res.status(400).json({ success: false, message: 'Invalid room type selected' });
+    }
+
+    const result = await buildQuote({ roomType, checkIn: check_in, checkOut: check_out, guests, promoCode: promo_code });
+    if (result.minStayViolation) {
+      return res.status(400).json({
+        success: false,
+        message: result.minStayViolation.message,
+        min_stay: result.minStayViolation.required
+      });
+    }
+    if (result.promoError) {
+      return res.status(400).json({ success: false, message: result.promoError, code: 'PROMO_INVALID' });
+    }
+
+    const { quote_token, expires_at } = signQuote(result.quote);
+
+    res.json({
+      success: true,
+      quote: result.quote,
+      quote_token,
+      expires_at
+    });
+  } catch (error) {
+    console.error('Booking quote error:', error);
+    res.status(500).json({ success: false, message: 'Failed to price booking' });
+  }
+});
+
 // POST create public booking (for customer bookings)
 router.post('/public', async (req, res) => {
   const {
@@ -451,9 +484,10 @@ router.post('/public', async (req, res) => {
     check_in,
     check_out,
     guests,
-    payment_status,
     transaction_ref,
-    status
+    quote_token,
+    promo_code,
+    payment_provider
   } = req.body;
 
   // Validate required fields
@@ -461,56 +495,71 @@ router.post('/public', async (req, res) => {
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
-  // Room type definitions with UUID mappings (for database compatibility)
-  const ROOM_TYPES = {
-    'classic-single': {
-      room_type: "Classic Single",
-      price_per_night: 24900,
-      max_occupancy: 2,
-      uuid: '11111111-1111-1111-1111-111111111111' // Fixed UUID for classic-single
-    },
-    'deluxe': {
-      room_type: "Deluxe",
-      price_per_night: 30500,
-      max_occupancy: 2,
-      uuid: '22222222-2222-2222-2222-222222222222' // Fixed UUID for deluxe
-    },
-    'deluxe-large': {
-      room_type: "Deluxe Large",
-      price_per_night: 35900,
-      max_occupancy: 2,
-      uuid: '33333333-3333-3333-3333-333333333333' // Fixed UUID for deluxe-large
-    },
-    'business-suite': {
-      room_type: "Business Suite",
-      price_per_night: 49900,
-      max_occupancy: 4,
-      uuid: '44444444-4444-4444-4444-444444444444' // Fixed UUID for business-suite
-    },
-    'executive-suite': {
-      room_type: "Executive Suite",
-      price_per_night: 54900,
-      max_occupancy: 4,
-      uuid: '55555555-5555-5555-5555-555555555555' // Fixed UUID for executive-suite
-    }
-  };
-
-  const roomType = ROOM_TYPES[room_id];
+  // The guest picks how to pay online; the provider can still be switched at /payments/initiate
+  const paymentProvider = getPaymentProvider(payment_provider || DEFAULT_PAYMENT_PROVIDER);
+  if (!paymentProvider) {
+    return res.status(400).json({ error: `payment_provider must be one of: ${PAYMENT_PROVIDER_NAMES.join(', ')}` });
+  }
+
+  let roomType;
+  try {
+    roomType = await findRoomType(room_id, { includeInactive: false });
+  } catch (catalogError) {
+    console.error('Room type lookup failed:', catalogError);
+    return res.status(500).json({ error: 'Failed to load room types' });
+  }
   if (!roomType) {
     return res.status(400).json({ error: 'Invalid room type selected' });
   }
 
-  const roomPrice = roomType.price_per_night;
-
   const nights = (new Date(check_out) - new Date(check_in)) / (1000 * 60 * 60 * 24);
-  if (nights <= 0) return res.status(400).json({ error: 'Invalid date range' });
+  if (!(nights > 0)) return res.status(400).json({ error: 'Invalid date range' });
+  
+  // Charge what the guest was shown: use the signed quote when one is sent
+  let quote;
+  if (quote_token) {
+    const verification = verifyQuoteToken(quote_token);
+    if (!verification.isValid) {
+      return res.status(400).json({ error: verification.message, code: 'QUOTE_INVALID' });
+    }
+    if (!quoteMatchesStay(verification.quote, { roomType, checkIn: check_in, checkOut: check_out })) {
+      return res.status(400).json({ error: 'Quote does not match the selected room and dates', code: 'QUOTE_MISMATCH' });
+    }
+    quote = verification.quote;
+  } else {
+    // Price every night from the room type's rate plans
+    try {
+      const result = await buildQuote({ roomType, checkIn: check_in, checkOut: check_out, guests, promoCode: promo_code });
+      if (result.minStayViolation) {
+        return res.status(400).json({ error: result.minStayViolation.message, min_stay: result.minStayViolation.required });
+      }
+      if (result.promoError) {
+        return res.status(400).json({ error: result.promoError, code: 'PROMO_INVALID' });
+      }
+      quote = result.quote;
+    } catch (pricingError) {
+      console.error('Stay pricing failed:', pricingError);
+      return res.status(500).json({ error: 'Failed to price booking' });
+    }
+  }
   
-  const base_total = Number((roomPrice * nights).toFixed(2));
-  const transaction_fee = Number((base_total * 0.02).toFixed(2));
-  const total_amount = base_total + transaction_fee;
+  const { base_total, discount_total, transaction_fee, tax_total, total_amount } = quote;
+
+  // Link the booking to the guest's profile (returning guests are matched by email or phone)
+  let guest;
+  try {
+    guest = await findOrCreateGuest({ name: guest_name, email: guest_email, phone: guest_phone });
+  } catch (guestError) {
+    console.error('Guest lookup failed:', guestError);
+    return res.status(500).json({ error: 'Failed to create booking' });
+  }
+  if (guest.is_blacklisted) {
+    console.warn(`🚫 Online booking refused for blacklisted guest ${guest.id}`);
+    return res.status(403).json({ error: 'We are unable to accept this booking online - please contact the hotel', code: 'BOOKING_REFUSED' });
+  }
 
   // Use UUID for database, but store original room_type_id for reference
-  const roomUuid = roomType.uuid;
+  const roomUuid = roomType.id;
   
   console.log('Attempting to create booking with data:', {
     room_id: room_id, // Original room type ID
@@ -524,27 +573,49 @@ router.post('/public', async (req, res) => {
 
   let data, error;
   try {
-    const result = await supabase.from('bookings').insert([
-      {
+    // Reserve through the shared engine - holds inventory for every night atomically
+    const result = await reserveBooking({
+      roomType,
+      bookingData: {
         room_id: roomUuid, // Use UUID for database compatibility
+        guest_id: guest.id,
         guest_name,
         guest_email,
         guest_phone,
         check_in,
         check_out,
         guests: guests || 1,
-        payment_status: payment_status || 'pending',
+        // Online bookings start unpaid and pending whatever the client sends -
+        // only a verified payment pays and confirms them
+        payment_status: 'pending',
+        amount_paid: 0,
         transaction_ref,
-        status: status || 'pending',
+        status: 'pending',
+        is_vip: guest.is_vip,
         base_total,
+        discount_total,
         transaction_fee,
+        tax_total,
         total_amount,
-        payment_method: 'flutterwave', // Online bookings use Flutterwave
+        nightly_breakdown: quote.nightly_breakdown,
+        cancellation_policy: quote.cancellation_policy || null,
+        promo_code_id: quote.promo_code_id,
+        promo_code: quote.promo_code,
+        discount_details: quote.discounts,
+        payment_method: paymentProvider.name, // Online bookings are paid through a payment provider
         created_by_role: 'client' // Online bookings are created by clients
       }
-    ]).select();
+    });
     
-    data = result.data;
+    if (result.conflict) {
+      // Sold out - the guest can join the waitlist for these dates instead (POST /waitlist)
+      return res.status(409).json({ ...buildConflictResponse(roomType, result.fullNights), can_waitlist: true });
+    }
+    if (result.promoError) {
+      return res.status(400).json({ error: result.promoError, code: 'PROMO_INVALID' });
+    }
+    
+    data = result.booking ? [result.booking] : null;
     error = result.error;
   } catch (insertError) {
     console.error('Supabase insert failed:', insertError);
@@ -560,21 +631,10 @@ router.post('/public', async (req, res) => {
     return res.status(500).json({ error: error.message });
   }
   
-  // ✅ Send confirmation email asynchronously for public bookings
-  if (data && data[0]) {
-    const bookingWithRoomInfo = {
-      ...data[0],
-      room_name: roomType.room_type // Add room type name for email
-    };
-    
-    setImmediate(() => {
-      sendBookingConfirmationEmail(bookingWithRoomInfo)
-        .then(() => console.log('✅ Public booking confirmation email sent to:', guest_email))
-        .catch(err => console.error('❌ Public booking email failed:', err.message));
-    });
-  }
+  // Public bookings are confirmed - and emailed - once the payment provider reports the payment
+  // (POST /payments/webhook or /payments/verify)
   
-  res.status(201).json({ booking: data[0], base_total, transaction_fee, total_amount });
+  res.status(201).json({ booking: data[0], base_total, discount_total, transaction_fee, tax_total, total_amount, nightly_breakdown: quote.nightly_breakdown });
 });
 
 // POST create booking (receptionist, superadmin)
@@ -587,10 +647,17 @@ router.post('/', (req, res, next) => { console.log(`[${new Date().toISOString()}
     check_in,
     check_out,
     guests,
-    payment_status,
     transaction_ref,
     status,
-    reference
+    reference,
+    payment_method,
+    payment_amount,
+    payment_reference,
+    assigned_room_id,
+    room_number,
+    promo_code,
+    is_vip,
+    override_blacklist
   } = req.body;
 
   // Validate required fields
@@ -598,164 +665,174 @@ router.post('/', (req, res, next) => { console.log(`[${new Date().toISOString()}
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
-  // Use same room type definitions as public booking (with UUID mappings)
-  const ROOM_TYPES = {
-    'classic-single': {
-      room_type: "Classic Single",
-      price_per_night: 24900,
-      max_occupancy: 2,
-      uuid: '11111111-1111-1111-1111-111111111111'
-    },
-    'deluxe': {
-      room_type: "Deluxe",
-      price_per_night: 30500,
-      max_occupancy: 2,
-      uuid: '22222222-2222-2222-2222-222222222222'
-    },
-    'deluxe-large': {
-      room_type: "Deluxe Large",
-      price_per_night: 35900,
-      max_occupancy: 2,
-      uuid: '33333333-3333-3333-3333-333333333333'
-    },
-    'business-suite': {
-      room_type: "Business Suite",
-      price_per_night: 49900,
-      max_occupancy: 4,
-      uuid: '44444444-4444-4444-4444-444444444444'
-    },
-    'executive-suite': {
-      room_type: "Executive Suite",
-      price_per_night: 54900,
-      max_occupancy: 4,
-      uuid: '55555555-5555-5555-5555-555555555555'
-    }
-  };
-
-  const roomType = ROOM_TYPES[room_id];
+  // New bookings enter the lifecycle as pending or confirmed
+  const initialStatus = status || 'confirmed';
+  if (!INITIAL_STATUSES.includes(initialStatus)) {
+    return res.status(400).json({ success: false, message: `Status must be one of: ${INITIAL_STATUSES.join(', ')}` });
+  }
+
+  // Money taken at booking time is recorded as a desk payment - the booking's
+  // payment status is derived from its payments, never sent in
+  if (payment_method && !DESK_PAYMENT_METHODS.includes(payment_method)) {
+    return res.status(400).json({ success: false, message: `payment_method must be one of: ${DESK_PAYMENT_METHODS.join(', ')}` });
+  }
+
+  // Resolve room type from the shared catalog (same as public booking)
+  let roomType;
+  try {
+    roomType = await findRoomType(room_id, { includeInactive: false });
+  } catch (catalogError) {
+    console.error('Room type lookup failed:', catalogError);
+    return res.status(500).json({ success: false, message: 'Failed to load room types' });
+  }
   if (!roomType) return res.status(400).json({ error: 'Invalid room type selected' });
   
-  const roomPrice = roomType.price_per_night;
-  const roomUuid = roomType.uuid; // Get UUID for database
+  const roomUuid = roomType.id; // Get UUID for database
   
   const nights = (new Date(check_out) - new Date(check_in)) / (1000 * 60 * 60 * 24);
-  if (nights <= 0) return res.status(400).json({ error: 'Invalid date range' });
-  
-  // Declare variables outside try-catch for broader scope
-  let roomInventory;
-  let bookedRooms = 0;
-  
-  // Check room availability
-  try {
-    // Get room inventory (filter for active rooms)
-    const { data: roomInventoryData, error: inventoryError } = await supabase
-      .from('room_inventory')
-      .select('available_rooms, total_rooms')
-      .eq('room_type_id', room_id)
-      .eq('is_active', true)
-      .single();
-
-    roomInventory = roomInventoryData;
+  if (!(nights > 0)) return res.status(400).json({ error: 'Invalid date range' });
 
-    if (inventoryError || !roomInventory) {
-      console.error('Room inventory error:', inventoryError);
-      console.log('Looking for room_type_id:', room_id);
-      return res.status(400).json({ 
-        success: false, 
-        message: `Room type '${room_id}' not found in active inventory` 
-      });
+  // Link the booking to the guest's profile (returning guests are matched by email or phone)
+  let guest;
+  try {
+    guest = await findOrCreateGuest({ name: guest_name, email: guest_email, phone: guest_phone });
+  } catch (guestError) {
+    console.error('Guest lookup failed:', guestError);
+    return res.status(500).json({ success: false, message: 'Failed to load guest profile' });
+  }
+  if (guest.is_blacklisted && !(override_blacklist && req.user.role === 'superadmin')) {
+    return res.status(403).json({
+      success: false,
+      message: `Guest is blacklisted: ${guest.blacklist_reason || 'no reason given'}`,
+      code: 'GUEST_BLACKLISTED',
+      guest_id: guest.id
+    });
+  }
+  
+  // Optionally give the guest a specific physical room at booking time
+  let assignedRoom = null;
+  if (assigned_room_id || room_number) {
+    try {
+      const assignment = await checkRoomAssignment(
+        { room_id: roomUuid, check_in, check_out },
+        { roomId: assigned_room_id, roomNumber: room_number }
+      );
+      if (!assignment.isValid) {
+        return res.status(assignment.status).json({ success: false, message: assignment.message });
+      }
+      assignedRoom = assignment.room;
+    } catch (assignmentError) {
+      console.error('Room assignment check failed:', assignmentError);
+      return res.status(500).json({ success: false, message: 'Error checking room assignment' });
     }
+  }
 
-    // Check existing bookings for the same room type and overlapping dates
-    // Booking overlap logic: new booking overlaps if:
-    // 1. New check-in is before existing check-out AND
-    // 2. New check-out is after existing check-in
-    const { data: existingBookings, error: bookingsError } = await supabase
-      .from('bookings')
-      .select('*')
-      .eq('room_id', roomUuid)
-      .lt('check_in', check_out)
-      .gt('check_out', check_in)
-      .not('status', 'eq', 'cancelled');
-
-    if (bookingsError) {
-      console.error('Error checking existing bookings:', bookingsError);
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Error checking room availability' 
+  // Price every night from the room type's rate plans
+  let quote;
+  try {
+    const result = await buildQuote({ roomType, checkIn: check_in, checkOut: check_out, guests, promoCode: promo_code });
+    if (result.minStayViolation) {
+      return res.status(400).json({
+        success: false,
+        message: result.minStayViolation.message,
+        min_stay: result.minStayViolation.required
       });
     }
-
-    bookedRooms = existingBookings ? existingBookings.length : 0;
-    // Use total_rooms from inventory, not available_rooms (which gets updated)
-    const availableRooms = roomInventory.total_rooms - bookedRooms;
-
-    // Enhanced logging for debugging
-    console.log('=== Room Availability Check ===');
-    console.log('Room type:', room_id);
-    console.log('Check-in:', check_in);
-    console.log('Check-out:', check_out);
-    console.log('Total rooms in inventory:', roomInventory.total_rooms);
-    console.log('Currently booked rooms for these dates:', bookedRooms);
-    console.log('Available rooms (total - booked):', availableRooms);
-    console.log('Existing bookings details:', existingBookings);
-    console.log('===============================');
-
-    if (availableRooms < 1) {
-      return res.status(400).json({ 
-        success: false, 
-        message: `No rooms available for the selected dates. ${bookedRooms} out of ${roomInventory.total_rooms} rooms already booked.`,
-        debug: {
-          totalRooms: roomInventory.total_rooms,
-          bookedRooms,
-          calculatedAvailable: availableRooms,
-          checkIn: check_in,
-          checkOut: check_out,
-          roomType: room_id
-        }
-      });
+    if (result.promoError) {
+      return res.status(400).json({ success: false, message: result.promoError, code: 'PROMO_INVALID' });
     }
-  } catch (availabilityError) {
-    console.error('Room availability check failed:', availabilityError);
-    return res.status(500).json({ 
-      success: false, 
-      message: 'Error checking room availability' 
-    });
+    quote = result.quote;
+  } catch (pricingError) {
+    console.error('Stay pricing failed:', pricingError);
+    return res.status(500).json({ success: false, message: 'Failed to price booking' });
   }
 
-  const base_total = Number((roomPrice * nights).toFixed(2));
-  const transaction_fee = Number((base_total * 0.02).toFixed(2));
-  const total_amount = base_total + transaction_fee;
+  const { base_total, discount_total, transaction_fee, tax_total, total_amount } = quote;
+
+  const paymentAmount = payment_method
+    ? roundAmount(payment_amount !== undefined ? parseFloat(payment_amount) : total_amount)
+    : 0;
+  if (payment_method && (isNaN(paymentAmount) || paymentAmount <= 0 || paymentAmount > total_amount)) {
+    return res.status(400).json({ success: false, message: `payment_amount must be more than 0 and at most the total of ${total_amount}` });
+  }
 
   let data, error;
   try {
-    const result = await supabase.from('bookings').insert([
-      {
+    // Availability is checked night by night inside the reservation engine
+    const result = await reserveBooking({
+      roomType,
+      bookingData: {
         room_id: roomUuid, // Use UUID for database compatibility
+        guest_id: guest.id,
+        assigned_room_id: assignedRoom?.id || null,
+        room_number: assignedRoom?.room_number || null,
         guest_name,
         guest_email,
         guest_phone,
         check_in,
         check_out,
         guests: guests || 1,
-        payment_status: payment_status || 'pending',
+        payment_status: 'pending',
+        amount_paid: 0,
         transaction_ref: transaction_ref || `BK-${Date.now()}`,
-        status: status || 'confirmed',
+        status: initialStatus,
+        confirmed_at: initialStatus === 'confirmed' ? new Date().toISOString() : null,
         base_total,
+        discount_total,
         transaction_fee,
+        tax_total,
         total_amount,
+        nightly_breakdown: quote.nightly_breakdown,
+        cancellation_policy: quote.cancellation_policy || null,
+        promo_code_id: quote.promo_code_id,
+        promo_code: quote.promo_code,
+        discount_details: quote.discounts,
         payment_method: 'manual', // Manual bookings don't use online payment
+        is_vip: is_vip !== undefined ? Boolean(is_vip) : guest.is_vip,
         created_by_role: req.user.role // Get role from authenticated user
       }
-    ]).select();
+    });
     
-    data = result.data;
-    error = result.error;
+    if (result.conflict) {
+      return res.status(409).json(buildConflictResponse(roomType, result.fullNights));
+    }
+    if (result.promoError) {
+      return res.status(400).json({ success: false, message: result.promoError, code: 'PROMO_INVALID' });
+    }
+    
+    data = result.booking ? [result.booking] : null;
+    error = result.error;
+
+    if (!error && data && data.length > 0 && payment_method) {
+      const recorded = await recordBookingPayment({
+        booking: data[0],
+        method: payment_method,
+        amount: paymentAmount,
+        reference: payment_reference,
+        notes: 'Taken at booking',
+        user: req.user
+      });
+      data = [recorded.booking];
+
+      if (recorded.booking.status === 'pending' && recorded.summary.payment_status === 'paid') {
+        const transition = await transitionBooking({
+          booking: recorded.booking,
+          toStatus: 'confirmed',
+          user: req.user,
+          reason: `Paid in full at the desk (${payment_method})`
+        });
+        if (transition.success) {
+          data = [transition.booking];
+        } else {
+          console.error('❌ Error confirming paid booking:', transition.message);
+        }
+      }
+    }
 
-    // Note: Room availability is now calculated dynamically based on bookings
+    // Note: Room availability is calculated dynamically based on bookings
     // No need to update inventory since we calculate availability from total_rooms - active_bookings
     if (!error && data && data.length > 0) {
-      console.log(`Booking created successfully: ${room_id} (${bookedRooms + 1} rooms now booked out of ${roomInventory.total_rooms})`);
+      console.log(`Booking created successfully: ${room_id} (${check_in} → ${check_out})`);
     }
   } catch (insertError) {
     console.error('Staff booking creation error:', insertError);
@@ -779,13 +856,23 @@ router.post('/', (req, res, next) => { console.log(`[${new Date().toISOString()}
   if (data && data[0]) {
     const bookingWithRoomInfo = {
       ...data[0],
-      room_name: roomType.room_type // Add room type name for email
+      room_name: roomType.name // Add room type name for email
     };
     
-    setImmediate(() => {
-      sendBookingConfirmationEmail(bookingWithRoomInfo)
-        .then(() => console.log('✅ Staff booking confirmation email sent to:', guest_email))
-        .catch(err => console.error('❌ Staff booking email failed:', err.message));
+    setImmediate(async () => {
+      try {
+        // Claimed first so the payment webhook can't send it a second time
+        if (!(await claimConfirmationEmail(bookingWithRoomInfo.id))) return;
+        
+        const sent = await sendBookingConfirmationEmail(bookingWithRoomInfo);
+        if (sent) {
+          console.log('✅ Staff booking confirmation email sent to:', guest_email);
+        } else {
+          await releaseConfirmationEmail(bookingWithRoomInfo.id);
+        }
+      } catch (err) {
+        console.error('❌ Staff booking email failed:', err.message);
+      }
     });
   }
   
@@ -793,87 +880,30 @@ router.post('/', (req, res, next) => { console.log(`[${new Date().toISOString()}
     success: true,
     booking: data[0], 
     base_total, 
+    discount_total,
     transaction_fee, 
+    tax_total,
     total_amount,
+    nightly_breakdown: quote.nightly_breakdown,
     message: 'Booking created successfully - confirmation email will be sent'
   });
 });
 
 
-// Booking statuses that should restore room to inventory
-// These statuses indicate the room is no longer occupied and should be available
-const ROOM_FREEING_STATUSES = [
-  'checked_out',   // Guest completed stay normally
-  'completed',     // Booking finished
-  'cancelled',     // Booking cancelled (guest won't arrive)
-  'no_show',       // Guest didn't show up
-  'voided'         // Booking voided/invalidated
-];
-
-// Helper function to restore room to inventory
-async function restoreRoomToInventory(roomId, roomTypeId) {
-  console.log(`🔧 restoreRoomToInventory called with: roomId=${roomId}, roomTypeId=${roomTypeId}`);
-  
-  try {
-    const { data: currentInventory, error: fetchInventoryError } = await supabase
-      .from('room_inventory')
-      .select('available_rooms, total_rooms')
-      .eq('room_type_id', roomTypeId)
-      .single();
-
-    if (fetchInventoryError) {
-      console.error('❌ Failed to fetch room inventory:', fetchInventoryError);
-      return false;
-    }
-
-    if (currentInventory) {
-      console.log(`📊 Current inventory for ${roomTypeId}: ${currentInventory.available_rooms}/${currentInventory.total_rooms}`);
-      
-      // Increase available room count by 1, but don't exceed total_rooms
-      const newAvailableRooms = Math.min(
-        (currentInventory.available_rooms || 0) + 1,
-        currentInventory.total_rooms || 0
-      );
-
-      console.log(`📊 New available rooms will be: ${newAvailableRooms}`);
-
-      const { error: inventoryError } = await supabase
-        .from('room_inventory')
-        .update({ 
-          available_rooms: newAvailableRooms,
-          updated_at: new Date().toISOString()
-        })
-        .eq('room_type_id', roomTypeId);
-
-      if (inventoryError) {
-        console.error('❌ Failed to restore room availability:', inventoryError);
-        return false;
-      }
-
-      console.log(`✅ Room restored successfully: ${roomTypeId} → ${newAvailableRooms} available`);
-      return true;
-    } else {
-      console.log(`❌ No inventory found for room type: ${roomTypeId}`);
-    }
-  } catch (error) {
-    console.error('❌ Error in restoreRoomToInventory:', error);
-    return false;
-  }
-  return false;
-}
-
-// PUT update booking status (superadmin, receptionist) 
+// PUT update booking status and/or assigned room (superadmin, receptionist) 
+// Status changes must follow the booking lifecycle (utils/booking-status.js)
+// Send assigned_room_id or room_number to give the guest a specific room (at booking or check-in)
+// Send is_vip to flag the guest as a VIP on the front-desk lists
 router.put('/:id', requireRole(['superadmin', 'receptionist']), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason, assigned_room_id, room_number, is_vip } = req.body;
+    const isAssigningRoom = assigned_room_id !== undefined || room_number !== undefined;
     
-    // Validate status - now supporting more statuses for better tracking
-    const validStatuses = ['pending', 'confirmed', 'checked_in', 'checked_out', 'completed', 'cancelled', 'no_show', 'voided'];
-    if (!status || !validStatuses.includes(status)) {
+    if ((!status && !isAssigningRoom && is_vip === undefined) || (status && !BOOKING_STATUSES.includes(status))) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Invalid status. Valid statuses: ' + validStatuses.join(', ') 
+        message: 'Invalid status. Valid statuses: ' + BOOKING_STATUSES.join(', ') 
       });
     }
     
@@ -891,93 +921,129 @@ router.put('/:id', requireRole(['superadmin', 'receptionist']), async (req, res)
       });
     }
     
-    // Update booking status
-    const { data: updatedBooking, error: updateError } = await supabase
-      .from('bookings')
-      .update({ 
-        status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
-    
-    if (updateError) {
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Failed to update booking status' 
+    const isChangingStatus = status && status !== existingBooking.status;
+    const newStatus = status || existingBooking.status;
+    const updates = {};
+
+    // Check-out settles the folio and any late check-out charge
+    if (isChangingStatus && status === 'checked_out') {
+      return res.status(400).json({
+        success: false,
+        message: `Check guests out with POST /bookings/${id}/check-out`
       });
     }
 
-    // ===== STATUS-BASED ROOM RESTORATION =====
-    // NOTE: This system uses BOTH approaches for reliability:
-    // 1. MANUAL INCREMENT (this section): Updates available_rooms count in room_inventory table
-    // 2. DYNAMIC CALCULATION (room-inventory.js /dashboard endpoint): Calculates from active bookings
-    // 
-    // Why both? The dynamic calculation is the SOURCE OF TRUTH for dashboards,
-    // but we also increment/decrement for data consistency and backup.
-    // If dynamic calculation fails, manual count acts as fallback.
+    if (is_vip !== undefined) {
+      updates.is_vip = Boolean(is_vip);
+    }
     
-    const wasRoomFreed = ROOM_FREEING_STATUSES.includes(existingBooking.status);
-    const isRoomBeingFreed = ROOM_FREEING_STATUSES.includes(status);
+    // Assign (or clear) the physical room
+    if (isAssigningRoom) {
+      if (assigned_room_id === null || room_number === null) {
+        updates.assigned_room_id = null;
+        updates.room_number = null;
+      } else {
+        if (ROOM_FREEING_STATUSES.includes(newStatus)) {
+          return res.status(400).json({
+            success: false,
+            message: `Cannot assign a room to a ${newStatus} booking`
+          });
+        }
+        
+        const assignment = await checkRoomAssignment(existingBooking, {
+          roomId: assigned_room_id,
+          roomNumber: room_number
+        });
+        
+        if (!assignment.isValid) {
+          return res.status(assignment.status).json({
+            success: false,
+            message: assignment.message
+          });
+        }
+        
+        updates.assigned_room_id = assignment.room.id;
+        updates.room_number = assignment.room.room_number;
+      }
+    }
     
-    console.log(`🔍 Room Restoration Debug:
-      Booking ID: ${id}
-      Room ID: ${existingBooking.room_id}
-      Old Status: ${existingBooking.status} (wasRoomFreed: ${wasRoomFreed})
-      New Status: ${status} (isRoomBeingFreed: ${isRoomBeingFreed})
-      ROOM_FREEING_STATUSES: ${JSON.stringify(ROOM_FREEING_STATUSES)}
-      Action: ${isRoomBeingFreed && !wasRoomFreed ? '✅ WILL RESTORE ROOM' : '❌ NO ACTION NEEDED'}
-    `);
+    let updatedBooking;
+    let transition = null;
     
-    if (isRoomBeingFreed && !wasRoomFreed) {
-      // Room is being freed for the first time
-      try {
-        const UUID_TO_ROOM_TYPE = {
-          '11111111-1111-1111-1111-111111111111': 'classic-single',
-          '22222222-2222-2222-2222-222222222222': 'deluxe',
-          '33333333-3333-3333-3333-333333333333': 'deluxe-large',
-          '44444444-4444-4444-4444-444444444444': 'business-suite',
-          '55555555-5555-5555-5555-555555555555': 'executive-suite'
-        };
-
-        const roomTypeId = UUID_TO_ROOM_TYPE[existingBooking.room_id];
-        console.log(`🔍 Room Type Mapping: ${existingBooking.room_id} → ${roomTypeId}`);
-        
-        if (roomTypeId) {
-          const restoreSuccess = await restoreRoomToInventory(existingBooking.room_id, roomTypeId);
-          if (restoreSuccess) {
-            console.log(`✅ Room manually restored to inventory: ${roomTypeId}`);
-            console.log(`ℹ️ Dashboard will also calculate dynamically (excluding ${status} bookings)`);
-          } else {
-            console.error(`❌ Manual room restoration failed for: ${roomTypeId}`);
-            console.log(`ℹ️ Dynamic calculation will still work correctly`);
-          }
-        } else {
-          console.error(`❌ Room ID not found in UUID_TO_ROOM_TYPE mapping: ${existingBooking.room_id}`);
+    if (isChangingStatus) {
+      // Validates the move for this role, timestamps it, logs it and keeps inventory in step.
+      // Cancelling also applies the cancellation policy and refunds what is owed.
+      transition = status === 'cancelled'
+        ? await cancelBooking({
+            booking: existingBooking,
+            roomType: await findRoomType(existingBooking.room_id),
+            user: req.user,
+            reason
+          })
+        : await transitionBooking({
+            booking: existingBooking,
+            toStatus: status,
+            user: req.user,
+            reason,
+            updates
+          });
+      
+      if (!transition.success) {
+        if (transition.conflict) {
+          return res.status(409).json({
+            ...buildConflictResponse(transition.roomType, transition.fullNights),
+            message: transition.message
+          });
         }
-      } catch (roomError) {
-        console.error('❌ Error restoring room availability:', roomError);
-        console.log(`ℹ️ Dynamic availability calculation will still work correctly`);
-        // Don't fail the status update for this
+        return res.status(transition.status).json({
+          success: false,
+          message: transition.message,
+          allowed_statuses: getAllowedTransitions(existingBooking.status, req.user.role),
+          ...(transition.balanceDue && { balance_due: transition.balanceDue })
+        });
       }
-    } else if (wasRoomFreed && !isRoomBeingFreed) {
-      // Room was freed but now being taken back (fixing a mistake)
-      console.log(`⚠️ Warning: Changing from ${existingBooking.status} to ${status} - room may need manual inventory adjustment`);
+      updatedBooking = transition.booking;
     } else {
-      console.log(`ℹ️ No room restoration needed (wasRoomFreed=${wasRoomFreed}, isRoomBeingFreed=${isRoomBeingFreed})`);
+      const { data, error: updateError } = await supabase
+        .from('bookings')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+      
+      if (updateError) {
+        return res.status(500).json({ 
+          success: false, 
+          message: 'Failed to update booking' 
+        });
+      }
+      updatedBooking = data;
     }
 
     // Determine appropriate success message based on status
-    let message = `Booking status updated to ${status}`;
-    if (isRoomBeingFreed && !wasRoomFreed) {
+    let message = isChangingStatus ? `Booking status updated to ${status}` : 'Booking updated';
+    if (transition?.roomRestored) {
       message += ' - Room returned to inventory';
     }
+    if (transition?.roomTaken) {
+      message += ' - Room taken back from inventory';
+    }
+    if (transition?.cancellation) {
+      message += ` - Penalty ${transition.cancellation.penalty}, refund ${transition.cancellation.refund_amount}`;
+    }
+    if (isAssigningRoom) {
+      message += updatedBooking.room_number ? ` - Room ${updatedBooking.room_number} assigned` : ' - Room assignment cleared';
+    }
+    if (is_vip !== undefined) {
+      message += updatedBooking.is_vip ? ' - Marked as VIP' : ' - VIP flag removed';
+    }
 
     res.json({ 
       success: true,
       message,
-      booking: updatedBooking
+      booking: updatedBooking,
+      cancellation: transition?.cancellation,
+      refund: transition?.refund
     });
 
   } catch (error) {
@@ -989,71 +1055,1126 @@ router.put('/:id', requireRole(['superadmin', 'receptionist']), async (req, res)
   }
 });
 
-// DELETE booking (SUPERADMIN ONLY - for cancellations/errors)
-// For ACTIVE bookings (not checked out): Restores room to inventory
-// For CHECKED-OUT bookings: Should not be deleted (UI hides button)
-// Receptionist cannot delete - only SuperAdmin
-router.delete('/:id', requireRole(['superadmin']), async (req, res) => {
+// POST check a guest in (superadmin, receptionist)
+// Records the guest's ID document, when they actually arrived and the physical room they are given
+router.post('/:id/check-in', requireRole(['superadmin', 'receptionist']), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // First check if booking exists
-    const { data: existingBooking, error: fetchError } = await supabase
+    const {
+      id_document_type,
+      id_document_number,
+      id_document_country,
+      arrival_time,
+      assigned_room_id,
+      room_number,
+      reason
+    } = req.body;
+
+    if (!ID_DOCUMENT_TYPES.includes(id_document_type) || !id_document_number || !String(id_document_number).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: `id_document_number and an id_document_type of ${ID_DOCUMENT_TYPES.join(', ')} are required`
+      });
+    }
+
+    const arrivedAt = arrival_time ? new Date(arrival_time) : new Date();
+    if (isNaN(arrivedAt.getTime()) || arrivedAt.getTime() > Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'arrival_time must be a valid time that is not in the future'
+      });
+    }
+
+    const { data: booking, error: fetchError } = await supabase
       .from('bookings')
       .select('*')
-      .eq('id', id)
+      .eq('id', req.params.id)
       .single();
-    
-    if (fetchError || !existingBooking) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Booking not found' 
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
       });
     }
 
-    // ⚠️ WARNING: Prefer using status updates (cancelled, no_show, voided) instead of deletion
-    // Check if booking room was already freed (checked_out, completed, cancelled, no_show, voided)
-    const isRoomAlreadyFreed = ROOM_FREEING_STATUSES.includes(existingBooking.status);
-    
-    if (isRoomAlreadyFreed) {
+    if (booking.status === 'checked_in') {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete bookings with freed rooms. Room has already been returned to inventory. Consider keeping for records.'
+        message: 'Guest is already checked in'
       });
     }
-    
-    console.warn(`⚠️ DELETING BOOKING ${id} - Consider using 'cancelled' status instead for audit trail`);
-    
-    // Delete the booking first
-    const { error: deleteError } = await supabase
+
+    const arrivalDate = hotelDateKey(arrivedAt);
+    if (arrivalDate < toDateKey(booking.check_in)) {
+      return res.status(400).json({
+        success: false,
+        message: `This booking starts on ${toDateKey(booking.check_in)} - modify the booking for an early arrival`
+      });
+    }
+    if (arrivalDate >= toDateKey(booking.check_out)) {
+      return res.status(400).json({
+        success: false,
+        message: `This booking ended on ${toDateKey(booking.check_out)}`
+      });
+    }
+
+    // The room picked at the desk, or the one assigned in advance
+    const isAssigningRoom = assigned_room_id || room_number;
+    if (!isAssigningRoom && !booking.assigned_room_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send assigned_room_id or room_number to give the guest a room'
+      });
+    }
+
+    const assignment = await checkRoomAssignment(booking, isAssigningRoom
+      ? { roomId: assigned_room_id, roomNumber: room_number }
+      : { roomId: booking.assigned_room_id });
+
+    if (!assignment.isValid) {
+      return res.status(assignment.status).json({
+        success: false,
+        message: assignment.message
+      });
+    }
+
+    if (assignment.room.status === 'dirty') {
+      return res.status(409).json({
+        success: false,
+        message: `Room ${assignment.room.room_number} has not been cleaned yet`
+      });
+    }
+
+    const transition = await transitionBooking({
+      booking,
+      toStatus: 'checked_in',
+      user: req.user,
+      reason,
+      updates: {
+        assigned_room_id: assignment.room.id,
+        room_number: assignment.room.room_number,
+        id_document_type,
+        id_document_number: String(id_document_number).trim(),
+        id_document_country: id_document_country || null,
+        arrived_at: arrivedAt.toISOString()
+      }
+    });
+
+    if (!transition.success) {
+      if (transition.conflict) {
+        return res.status(409).json({
+          ...buildConflictResponse(transition.roomType, transition.fullNights),
+          message: transition.message
+        });
+      }
+      return res.status(transition.status).json({
+        success: false,
+        message: transition.message,
+        allowed_statuses: getAllowedTransitions(booking.status, req.user.role)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Guest checked in to room ${assignment.room.room_number}`,
+      booking: transition.booking
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST check a guest out (superadmin, receptionist)
+// Posts any late-checkout charge, settles the folio with payment_method if sent, and frees the room
+router.post('/:id/check-out', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const { payment_method, payment_reference, waive_late_checkout, reason } = req.body;
+
+    if (payment_method && !DESK_PAYMENT_METHODS.includes(payment_method)) {
+      return res.status(400).json({
+        success: false,
+        message: `payment_method must be one of: ${DESK_PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    if (waive_late_checkout && req.user.role !== 'superadmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only superadmin can waive a late checkout charge'
+      });
+    }
+
+    const { data: booking, error: fetchError } = await supabase
       .from('bookings')
-      .delete()
-      .eq('id', id);
-    
-    if (deleteError) {
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Failed to cancel booking' 
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
       });
     }
+
+    if (booking.status !== 'checked_in') {
+      return res.status(400).json({
+        success: false,
+        message: `Only checked-in guests can be checked out - this booking is ${booking.status}`
+      });
+    }
+
+    let currentBooking = booking;
+    const lateCheckout = computeLateCheckout(booking);
+    let lateCharge = null;
+
+    if (lateCheckout.is_late) {
+      // One late-checkout charge per stay, so a retried check-out doesn't post it twice
+      const { data: existingCharges, error: chargeError } = await supabase
+        .from('folio_charges')
+        .select('*')
+        .eq('booking_id', booking.id)
+        .eq('charge_type', 'late_checkout')
+        .is('voided_at', null)
+        .limit(1);
+
+      if (chargeError) {
+        throw new Error(`Failed to load late checkout charge: ${chargeError.message}`);
+      }
+
+      if (existingCharges && existingCharges.length > 0) {
+        lateCharge = existingCharges[0];
+      } else if (!waive_late_checkout) {
+        const posted = await postFolioCharge({
+          booking,
+          chargeType: 'late_checkout',
+          description: lateCheckout.description,
+          quantity: lateCheckout.quantity,
+          unitPrice: lateCheckout.unit_price,
+          serviceDate: hotelDateKey(),
+          user: req.user
+        });
+        lateCharge = posted.charge;
+        currentBooking = posted.booking;
+      }
+    }
+
+    // Settle what is left on the folio at the desk
+    let payment = null;
+    const balanceDue = getBalanceDue(currentBooking);
+    if (balanceDue > 0 && payment_method) {
+      const recorded = await recordBookingPayment({
+        booking: currentBooking,
+        method: payment_method,
+        amount: balanceDue,
+        reference: payment_reference,
+        notes: 'Settled at check-out',
+        user: req.user
+      });
+      payment = recorded.payment;
+      currentBooking = recorded.booking;
+    }
+
+    const isLateCheckoutWaived = Boolean(lateCheckout.is_late && waive_late_checkout && !lateCharge);
+    const transition = await transitionBooking({
+      booking: currentBooking,
+      toStatus: 'checked_out',
+      user: req.user,
+      reason: reason || (isLateCheckoutWaived ? `Late checkout of ${lateCheckout.minutes_late} minutes waived` : undefined)
+    });
+
+    if (!transition.success) {
+      return res.status(transition.status).json({
+        success: false,
+        message: transition.message,
+        late_checkout_charge: lateCharge,
+        ...(transition.balanceDue && { balance_due: transition.balanceDue })
+      });
+    }
+
+    const updatedBooking = transition.booking;
+    setImmediate(() => {
+      sendCheckoutEmail(updatedBooking).catch(err => console.error('❌ Checkout email failed:', err.message));
+    });
+
+    let message = `Guest checked out${updatedBooking.room_number ? ` of room ${updatedBooking.room_number}` : ''}`;
+    if (lateCharge) {
+      message += ` - Late checkout charge ${lateCharge.amount}`;
+    }
+    if (payment) {
+      message += ` - Balance of ${payment.amount} settled by ${payment.method}`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      booking: updatedBooking,
+      late_checkout: {
+        ...lateCheckout,
+        waived: isLateCheckoutWaived,
+        charge: lateCharge
+      },
+      payment
+    });
+  } catch (error) {
+    console.error('Check-out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET status history of a booking (front-office staff)
+router.get('/:id/status-history', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('id, status')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('booking_status_history')
+      .select('*')
+      .eq('booking_id', booking.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: booking.status,
+        allowed_statuses: getAllowedTransitions(booking.status, req.user.role),
+        history: data || []
+      }
+    });
+  } catch (error) {
+    console.error('Get booking status history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET what cancelling a booking now would cost (front-office staff)
+router.get('/:id/cancellation-quote', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const policy = booking.cancellation_policy ||
+      await resolveCancellationPolicy(await findRoomType(booking.room_id) || {}, booking.nightly_breakdown || []);
+
+    res.json({
+      success: true,
+      data: computeCancellation(booking, policy)
+    });
+  } catch (error) {
+    console.error('Cancellation quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST cancel booking under its cancellation policy (superadmin, receptionist)
+// Stores the penalty and refund on the booking and refunds online payments through their provider
+router.post('/:id/cancel', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const { reason, waive_penalty, refund } = req.body;
+
+    if (waive_penalty && req.user.role !== 'superadmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only superadmin can waive a cancellation penalty'
+      });
+    }
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const result = await cancelBooking({
+      booking,
+      roomType: await findRoomType(booking.room_id),
+      user: req.user,
+      reason,
+      waivePenalty: Boolean(waive_penalty),
+      issueRefund: refund !== false
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        allowed_statuses: getAllowedTransitions(booking.status, req.user.role)
+      });
+    }
+
+    const { cancellation } = result;
+    let message = cancellation.penalty > 0
+      ? `Booking cancelled with a penalty of ${cancellation.penalty}`
+      : 'Booking cancelled free of charge';
+    if (result.refund) {
+      message += ` - ${result.refund.message}`;
+    } else if (cancellation.refund_amount > 0) {
+      message += ` - refund of ${cancellation.refund_amount} pending`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      booking: result.booking,
+      cancellation,
+      refund: result.refund
+    });
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST modify booking dates, room type and/or guest count (superadmin, receptionist)
+// Re-checks availability, re-prices the stay and records the change.
+// Send collect_payment: 'flutterwave' or 'paystack' to create a top-up payment link when the price goes up.
+router.post('/:id/modify', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { check_in, check_out, room_id, guests, reason, collect_payment, redirect_url } = req.body;
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (ROOM_FREEING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot modify a ${booking.status} booking`
+      });
+    }
+
+    // Resolve the new room type (unchanged unless room_id is sent)
+    const roomType = room_id
+      ? await findRoomType(room_id, { includeInactive: false })
+      : await findRoomType(booking.room_id);
+    if (!roomType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid room type selected'
+      });
+    }
+
+    if ([check_in, check_out].some(date => date && isNaN(new Date(date)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const stay = {
+      room_id: roomType.id,
+      check_in: check_in ? toDateKey(check_in) : toDateKey(booking.check_in),
+      check_out: check_out ? toDateKey(check_out) : toDateKey(booking.check_out),
+      guests: guests !== undefined ? parseInt(guests) : booking.guests
+    };
+
+    const changes = ['room_id', 'check_in', 'check_out', 'guests'].reduce((acc, field) => {
+      const previous = field === 'check_in' || field === 'check_out' ? toDateKey(booking[field]) : booking[field];
+      if (stay[field] !== previous) {
+        acc[field] = { from: previous, to: stay[field] };
+      }
+      return acc;
+    }, {});
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send a new check_in, check_out, room_id or guests to modify the booking'
+      });
+    }
+
+    if (booking.status === 'checked_in' && (changes.check_in || changes.room_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Guest is checked in - only check_out and guests can be changed'
+      });
+    }
+
+    if (!(eachNight(stay.check_in, stay.check_out).length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    if (!(stay.guests > 0) || (roomType.max_occupancy && stay.guests > roomType.max_occupancy)) {
+      return res.status(400).json({
+        success: false,
+        message: `${roomType.name} rooms take 1 to ${roomType.max_occupancy} guests`
+      });
+    }
+
+    // Re-price the new stay; a promo code already redeemed by the booking is kept if it still applies
+    let promoRemoved = null;
+    const pricing = {
+      roomType,
+      checkIn: stay.check_in,
+      checkOut: stay.check_out,
+      guests: stay.guests,
+      promoCode: booking.promo_code,
+      promoRedeemedOn: booking.promo_code ? toDateKey(booking.created_at) : undefined
+    };
+    let result = await buildQuote(pricing);
+    if (result.promoError) {
+      promoRemoved = result.promoError;
+      result = await buildQuote({ ...pricing, promoCode: null, promoRedeemedOn: undefined });
+    }
+    if (result.minStayViolation) {
+      return res.status(400).json({
+        success: false,
+        message: result.minStayViolation.message,
+        min_stay: result.minStayViolation.required
+      });
+    }
+    const { quote } = result;
+
+    // What the guest has paid so far decides the balance due
+    const amountPaid = getAmountPaid(booking);
+    const previousTotal = Number(booking.total_amount) || 0;
+    const priceDifference = roundAmount(quote.total_amount - previousTotal);
+    const balanceDue = roundAmount(quote.total_amount + (Number(booking.folio_charges_total) || 0) - amountPaid);
+
+    const updates = {
+      ...stay,
+      base_total: quote.base_total,
+      discount_total: quote.discount_total,
+      discount_details: quote.discounts,
+      promo_code_id: quote.promo_code_id,
+      promo_code: quote.promo_code,
+      transaction_fee: quote.transaction_fee,
+      tax_total: quote.tax_total,
+      total_amount: quote.total_amount,
+      nightly_breakdown: quote.nightly_breakdown,
+      cancellation_policy: quote.cancellation_policy,
+      amount_paid: amountPaid,
+      balance_due: balanceDue,
+      updated_at: new Date().toISOString()
+    };
+    if (amountPaid > 0) {
+      updates.payment_status = balanceDue > 0 ? 'partially_paid' : 'paid';
+    }
+
+    // Keep the physical room only if it still fits the new stay
+    let roomReleased = null;
+    if (booking.assigned_room_id) {
+      const assignment = await checkRoomAssignment(
+        { ...booking, ...stay },
+        { roomId: booking.assigned_room_id }
+      );
+      if (!assignment.isValid) {
+        roomReleased = booking.room_number;
+        updates.assigned_room_id = null;
+        updates.room_number = null;
+      }
+    }
+
+    const reservation = await rescheduleBooking({ booking, roomType, updates });
+    if (reservation.conflict) {
+      return res.status(409).json(buildConflictResponse(roomType, reservation.fullNights));
+    }
+    if (reservation.error) {
+      console.error('Booking modification error:', reservation.error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to modify booking'
+      });
+    }
+
+    if (promoRemoved && booking.promo_code_id) {
+      await releasePromoCode(booking.promo_code_id);
+    }
+
+    // Optional online top-up for the amount still owed
+    let topUp = null;
+    const topUpProvider = collect_payment ? getPaymentProvider(collect_payment) : null;
+    if (balanceDue > 0 && topUpProvider) {
+      const topUpRef = `${booking.transaction_ref || booking.id}-TOPUP-${Date.now()}`;
+      try {
+        const payment = await topUpProvider.initiatePayment({
+          tx_ref: topUpRef,
+          amount: balanceDue,
+          email: booking.guest_email,
+          name: booking.guest_name,
+          redirect_url,
+          description: `Balance for booking ${booking.transaction_ref || booking.id}`
+        });
+        topUp = { tx_ref: topUpRef, link: payment.link, amount: balanceDue, provider: topUpProvider.name };
+      } catch (paymentError) {
+        console.error('❌ Top-up payment link failed:', paymentError.response?.data || paymentError.message);
+      }
+    }
+
+    const { data: modification, error: historyError } = await supabase
+      .from('booking_modifications')
+      .insert([{
+        booking_id: booking.id,
+        changes,
+        previous_total: previousTotal,
+        new_total: quote.total_amount,
+        price_difference: priceDifference,
+        balance_due: balanceDue,
+        reason: reason || null,
+        top_up_tx_ref: topUp?.tx_ref || null,
+        top_up_link: topUp?.link || null,
+        top_up_status: topUp ? 'pending' : null,
+        modified_by: req.user?.id || null,
+        modified_by_role: req.user?.role || null
+      }])
+      .select()
+      .single();
+
+    if (historyError) {
+      console.error('❌ Failed to record booking modification:', historyError);
+    }
+
+    let message = 'Booking modified successfully';
+    if (balanceDue > 0) {
+      message += ` - balance due ${balanceDue}`;
+    } else if (balanceDue < 0) {
+      message += ` - guest is owed ${Math.abs(balanceDue)}`;
+    }
+    if (roomReleased) {
+      message += ` - Room ${roomReleased} no longer fits and was unassigned`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      booking: reservation.booking,
+      modification,
+      quote,
+      price_difference: priceDifference,
+      balance_due: balanceDue,
+      top_up: topUp,
+      promo_removed: promoRemoved
+    });
+  } catch (error) {
+    console.error('Error modifying booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET modification history of a booking (front-office staff)
+router.get('/:id/modifications', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('booking_modifications')
+      .select('*')
+      .eq('booking_id', req.params.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || []
+    });
+  } catch (error) {
+    console.error('Get booking modifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET payments recorded on a booking with the balance derived from them (front-office staff)
+router.get('/:id/payments', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const payments = await getBookingPayments(booking.id);
+
+    res.json({
+      success: true,
+      data: payments,
+      summary: summarizePayments(booking, payments)
+    });
+  } catch (error) {
+    console.error('Get booking payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST record a payment on a booking - deposits, split cash/POS payments, transfers (superadmin, receptionist)
+// A pending booking that ends up fully paid is confirmed
+router.post('/:id/payments', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const { method, amount, reference, notes } = req.body;
+
+    if (!BOOKING_PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `method must be one of: ${BOOKING_PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    const paymentAmount = roundAmount(parseFloat(amount));
+    if (isNaN(paymentAmount) || paymentAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be more than 0'
+      });
+    }
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (['cancelled', 'voided', 'expired'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot take payment on a ${booking.status} booking`
+      });
+    }
+
+    const balanceDue = getBalanceDue(booking);
+    if (paymentAmount > balanceDue) {
+      return res.status(400).json({
+        success: false,
+        message: balanceDue > 0
+          ? `Payment is more than the balance due of ${balanceDue}`
+          : 'This booking has nothing left to pay',
+        balance_due: balanceDue
+      });
+    }
+
+    const recorded = await recordBookingPayment({
+      booking,
+      method,
+      amount: paymentAmount,
+      reference,
+      notes,
+      user: req.user
+    });
+    let updatedBooking = recorded.booking;
+
+    if (updatedBooking.status === 'pending' && recorded.summary.payment_status === 'paid') {
+      const transition = await transitionBooking({
+        booking: updatedBooking,
+        toStatus: 'confirmed',
+        user: req.user,
+        reason: `Paid in full at the desk (${method})`
+      });
+      if (transition.success) {
+        updatedBooking = transition.booking;
+      } else {
+        console.error('❌ Error confirming paid booking:', transition.message);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: recorded.summary.balance_due > 0
+        ? `Payment recorded - balance due ${recorded.summary.balance_due}`
+        : 'Payment recorded - booking fully paid',
+      data: recorded.payment,
+      booking: updatedBooking,
+      summary: recorded.summary
+    });
+  } catch (error) {
+    console.error('Record booking payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST void a payment recorded by mistake (SUPERADMIN ONLY) - the entry is kept but no longer counts
+router.post('/:id/payments/:paymentId/void', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { data: payment, error: fetchError } = await supabase
+      .from('booking_payments')
+      .select('*')
+      .eq('id', req.params.paymentId)
+      .eq('booking_id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError || !payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.provider_transaction_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Online payments cannot be voided - refund them instead'
+      });
+    }
+
+    const result = await voidBookingPayment(payment, req.user, req.body.reason);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment is already voided'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment voided',
+      data: result.payment,
+      booking: result.booking,
+      summary: result.summary
+    });
+  } catch (error) {
+    console.error('Void booking payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET guest folio - stay, posted charges, payments and balance (front-office staff)
+router.get('/:id/folio', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getFolio(booking)
+    });
+  } catch (error) {
+    console.error('Get folio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST a charge to a guest's folio - restaurant, laundry, minibar... (superadmin, receptionist)
+router.post('/:id/folio/charges', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const { charge_type, description, quantity, unit_price, service_date } = req.body;
+
+    if (!FOLIO_CHARGE_TYPES.includes(charge_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `charge_type must be one of: ${FOLIO_CHARGE_TYPES.join(', ')}`
+      });
+    }
+
+    const chargeQuantity = quantity !== undefined ? parseInt(quantity) : 1;
+    const unitPrice = parseFloat(unit_price);
+    if (!description || isNaN(chargeQuantity) || chargeQuantity < 1 || isNaN(unitPrice) || unitPrice < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'description, a quantity of at least 1 and a unit_price are required'
+      });
+    }
+
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!FOLIO_OPEN_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Charges can only be posted to ${FOLIO_OPEN_STATUSES.join(' or ')} bookings`
+      });
+    }
+
+    const posted = await postFolioCharge({
+      booking,
+      chargeType: charge_type,
+      description,
+      quantity: chargeQuantity,
+      unitPrice,
+      serviceDate: service_date,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Charge posted - balance due ${posted.summary.balance_due}`,
+      data: posted.charge,
+      summary: posted.summary
+    });
+  } catch (error) {
+    console.error('Post folio charge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST void a folio charge posted by mistake (SUPERADMIN ONLY)
+router.post('/:id/folio/charges/:chargeId/void', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { data: charge, error: fetchError } = await supabase
+      .from('folio_charges')
+      .select('*')
+      .eq('id', req.params.chargeId)
+      .eq('booking_id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError || !charge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folio charge not found'
+      });
+    }
+
+    const result = await voidFolioCharge(charge, req.user, req.body.reason);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Charge is already voided'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Charge voided',
+      data: result.charge,
+      summary: result.summary
+    });
+  } catch (error) {
+    console.error('Void folio charge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET itemized PDF invoice or receipt of a booking (front-office staff)
+// The invoice/receipt number is issued the first time and reused afterwards
+router.get(['/:id/invoice.pdf', '/:id/receipt.pdf'], requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  const documentType = req.path.endsWith('/receipt.pdf') ? 'receipt' : 'invoice';
+
+  try {
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (documentType === 'receipt' && !(getAmountPaid(booking) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing has been paid on this booking yet - download the invoice instead'
+      });
+    }
+
+    const { buffer, filename } = await buildBookingPdf(booking, documentType);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
+  } catch (error) {
+    console.error(`Booking ${documentType} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to generate ${documentType}`
+    });
+  }
+});
+
+// DELETE booking (SUPERADMIN ONLY - for cancellations/errors)
+// For ACTIVE bookings (not checked out): Restores room to inventory
+// For CHECKED-OUT bookings: Should not be deleted (UI hides button)
+// Receptionist cannot delete - only SuperAdmin
+router.delete('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // First check if booking exists
+    const { data: existingBooking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (fetchError || !existingBooking) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Booking not found' 
+      });
+    }
+
+    // ⚠️ WARNING: Prefer using status updates (cancelled, no_show, voided) instead of deletion
+    // Check if booking room was already freed (checked_out, completed, cancelled, no_show, voided)
+    const isRoomAlreadyFreed = ROOM_FREEING_STATUSES.includes(existingBooking.status);
+    
+    if (isRoomAlreadyFreed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete bookings with freed rooms. Room has already been returned to inventory. Consider keeping for records.'
+      });
+    }
+
+    // Deleting would take the booking's payments with it
+    const { count: paymentCount, error: paymentsError } = await supabase
+      .from('booking_payments')
+      .select('id', { count: 'exact', head: true })
+      .eq('booking_id', id)
+      .is('voided_at', null);
+
+    if (paymentsError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check booking payments'
+      });
+    }
+    if (paymentCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This booking has recorded payments and cannot be deleted. Cancel it instead, or void its payments first.'
+      });
+    }
+    
+    console.warn(`⚠️ DELETING BOOKING ${id} - Consider using 'cancelled' status instead for audit trail`);
+    
+    // Delete the booking first
+    const { error: deleteError } = await supabase
+      .from('bookings')
+      .delete()
+      .eq('id', id);
+    
+    if (deleteError) {
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to cancel booking' 
+      });
+    }
+    
+    // For ACTIVE bookings (not checked out), restore room availability
+    // This is because the guest never actually occupied the room or it was cancelled
     
-    // For ACTIVE bookings (not checked out), restore room availability
-    // This is because the guest never actually occupied the room or it was cancelled
-    
-    // ✅ FIX: Map UUID to room_type_id (bookings table doesn't have room_type_id column)
-    const UUID_TO_ROOM_TYPE = {
-      '11111111-1111-1111-1111-111111111111': 'classic-single',
-      '22222222-2222-2222-2222-222222222222': 'deluxe',
-      '33333333-3333-3333-3333-333333333333': 'deluxe-large',
-      '44444444-4444-4444-4444-444444444444': 'business-suite',
-      '55555555-5555-5555-5555-555555555555': 'executive-suite'
-    };
-    
+    // ✅ FIX: Map UUID to room_type_id slug via the catalog (bookings table doesn't have room_type_id column)
     if (existingBooking.room_id) {
-      const roomTypeId = UUID_TO_ROOM_TYPE[existingBooking.room_id];
+      const roomType = await findRoomType(existingBooking.room_id);
+      const roomTypeId = roomType?.slug;
       if (roomTypeId) {
-        await restoreRoomToInventory(existingBooking.room_id, roomTypeId);
+        await restoreRoomToInventory(roomTypeId);
         console.log(`✅ Room restored after deleting active booking. UUID: ${existingBooking.room_id} → Type: ${roomTypeId}`);
+        setImmediate(() => notifyWaitlist(roomType.id));
       } else {
         console.warn(`⚠️ Unknown room UUID: ${existingBooking.room_id} - cannot restore to inventory`);
       }
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { DEFAULT_POLICY } = require('../utils/cancellation');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Validate and normalize a cancellation policy payload (partial for updates)
+function buildPolicyFields(body, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      errors.push('Name is required');
+    } else {
+      fields.name = String(body.name).trim();
+    }
+  }
+
+  if (body.description !== undefined) {
+    fields.description = body.description || null;
+  }
+
+  if (body.free_cancellation_days !== undefined) {
+    if (body.free_cancellation_days === null || body.free_cancellation_days === '') {
+      fields.free_cancellation_days = null; // No free cancellation window
+    } else {
+      const days = parseInt(body.free_cancellation_days);
+      if (isNaN(days) || days < 0) {
+        errors.push('free_cancellation_days must be 0 or more');
+      } else {
+        fields.free_cancellation_days = days;
+      }
+    }
+  }
+
+  if (body.penalty_percentage !== undefined) {
+    const percentage = parseFloat(body.penalty_percentage);
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+      errors.push('penalty_percentage must be between 0 and 100');
+    } else {
+      fields.penalty_percentage = percentage;
+    }
+  }
+
+  if (body.is_refundable !== undefined) {
+    fields.is_refundable = body.is_refundable !== false;
+  }
+
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active !== false;
+  }
+
+  return { errors, fields };
+}
+
+// GET cancellation policies (front-office staff)
+router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('cancellation_policies')
+      .select('*')
+      .eq('is_active', true)
+      .order('name', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      default_policy: DEFAULT_POLICY,
+      message: 'Cancellation policies retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get cancellation policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST create cancellation policy (superadmin only)
+router.post('/', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { errors, fields } = buildPolicyFields(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('cancellation_policies')
+      .insert([{ ...fields, is_active: fields.is_active !== false }])
+      .select()
+      .single();
+
+    if (error) {
+      const duplicate = error.code === '23505';
+      return res.status(duplicate ? 409 : 500).json({
+        success: false,
+        message: duplicate ? `A cancellation policy named ${fields.name} already exists` : error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Cancellation policy created successfully'
+    });
+  } catch (error) {
+    console.error('Create cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT update cancellation policy (superadmin only)
+// Bookings keep the policy they were made under
+router.put('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { errors, fields } = buildPolicyFields(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('cancellation_policies')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) {
+      const duplicate = error.code === '23505';
+      return res.status(duplicate ? 409 : 500).json({
+        success: false,
+        message: duplicate ? `A cancellation policy named ${fields.name} already exists` : error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data[0],
+      message: 'Cancellation policy updated successfully'
+    });
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE (deactivate) cancellation policy (superadmin only)
+// Room types and rate plans still pointing at it fall back to the default policy
+router.delete('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('cancellation_policies')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data[0],
+      message: 'Cancellation policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
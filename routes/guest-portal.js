@@ -0,0 +1,417 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+const { requireGuestSession } = require('../middleware/auth');
+const { findRoomType } = require('../utils/room-types');
+const { resolveCancellationPolicy, computeCancellation, cancelBooking } = require('../utils/cancellation');
+const { buildBookingPdf } = require('../utils/invoices');
+const { normalizeEmail } = require('../utils/guests');
+const { sendGuestEmail } = require('../utils/email');
+const {
+  ACCESS_CODE_MINUTES,
+  GUEST_EDITABLE_STATUSES,
+  issueAccessCode,
+  redeemAccessCode,
+  signGuestSession,
+  toGuestBooking
+} = require('../utils/guest-portal');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ARRIVAL_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const SPECIAL_REQUESTS_MAX_LENGTH = 1000;
+
+// Access codes are guessable in bulk - keep the sign-in endpoints tight
+const accessLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many attempts, please try again later.'
+  }
+});
+
+async function findBookingByReference(reference) {
+  const { data, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('transaction_ref', String(reference || '').trim())
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to load booking: ${error.message}`);
+  }
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Load the booking of the current guest session
+async function loadSessionBooking(req, res, next) {
+  try {
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', req.guestSession.booking_id)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    req.booking = booking;
+    next();
+  } catch (error) {
+    console.error('Load guest booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
+
+async function getCancellationQuote(booking, roomType) {
+  const policy = booking.cancellation_policy ||
+    await resolveCancellationPolicy(roomType || {}, booking.nightly_breakdown || []);
+  return computeCancellation(booking, policy);
+}
+
+// Send the one-time access code and sign-in link
+async function sendAccessCodeEmail(booking, { code, link }) {
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background: linear-gradient(135deg, #7B3F00 0%, #A0522D 100%); color: white; padding: 30px; text-align: center;">
+        <h1 style="margin: 5px auto 10px;">Smile-T Continental Hotel</h1>
+        <p style="margin: 10px 0 0 0;">Manage Your Booking</p>
+      </div>
+
+      <div style="padding: 30px; background: white; border: 1px solid #ddd;">
+        <h2 style="color: #7B3F00;">Hello, ${booking.guest_name}</h2>
+        <p>Use this code to manage booking <strong>${booking.transaction_ref}</strong>:</p>
+
+        <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+          <p style="font-size: 32px; letter-spacing: 8px; margin: 0; color: #7B3F00;"><strong>${code}</strong></p>
+        </div>
+
+        <p style="text-align: center;">
+          <a href="${link}" style="background: #7B3F00; color: white; padding: 12px 24px; border-radius: 4px; text-decoration: none;">Open My Booking</a>
+        </p>
+
+        <div style="background: #fff3cd; border-left: 4px solid #FFD700; padding: 15px; margin: 20px 0;">
+          <p style="margin: 0;"><strong>🔒 Important:</strong> The code expires in ${ACCESS_CODE_MINUTES} minutes and works once. If you did not ask for it, ignore this email.</p>
+        </div>
+      </div>
+
+      <div style="background: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
+        <p>Smile-T Continental Hotel | +234-805-323-3660 | info@smile-tcontinental.com</p>
+      </div>
+    </div>
+  `;
+
+  return sendGuestEmail({
+    to: booking.guest_email,
+    subject: `🔑 Your access code - ${booking.transaction_ref}`,
+    html: emailHtml
+  });
+}
+
+// POST request an access code (public endpoint)
+// Body: { "reference": "<transaction_ref>", "email": "<booking email>" }
+// The answer is the same whether or not the booking exists
+router.post('/request-access', accessLimiter, async (req, res) => {
+  const { reference, email } = req.body;
+
+  if (!reference || !email) {
+    return res.status(400).json({
+      success: false,
+      message: 'reference and email are required'
+    });
+  }
+
+  const response = {
+    success: true,
+    message: 'If the details match a booking, an access code has been sent to its email address'
+  };
+
+  try {
+    const booking = await findBookingByReference(reference);
+
+    if (!booking || normalizeEmail(booking.guest_email) !== normalizeEmail(email)) {
+      return res.json(response);
+    }
+
+    const accessCode = await issueAccessCode(booking);
+    setImmediate(() => {
+      sendAccessCodeEmail(booking, accessCode).catch(error => {
+        console.error(`❌ Failed to send access code for ${booking.transaction_ref}:`, error.message);
+      });
+    });
+
+    console.log(`🔑 Access code issued for booking ${booking.transaction_ref}`);
+    res.json(response);
+  } catch (error) {
+    console.error('Request guest access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST exchange an access code for a guest session (public endpoint)
+// Body: { "reference": "<transaction_ref>", "code": "123456" }
+router.post('/verify', accessLimiter, async (req, res) => {
+  const { reference, code } = req.body;
+
+  if (!reference || !code) {
+    return res.status(400).json({
+      success: false,
+      message: 'reference and code are required'
+    });
+  }
+
+  try {
+    const booking = await findBookingByReference(reference);
+    const result = booking ? await redeemAccessCode(booking, code) : { isValid: false };
+
+    if (!result.isValid) {
+      return res.status(401).json({
+        success: false,
+        message: result.message || 'The code is wrong or has expired - request a new one'
+      });
+    }
+
+    const roomType = await findRoomType(booking.room_id);
+
+    res.json({
+      success: true,
+      data: {
+        token: signGuestSession(booking),
+        booking: toGuestBooking(booking, roomType)
+      },
+      message: 'Access granted'
+    });
+  } catch (error) {
+    console.error('Verify guest access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.use('/booking', requireGuestSession, loadSessionBooking);
+
+// GET the guest's booking with its cancellation terms
+router.get('/booking', async (req, res) => {
+  try {
+    const roomType = await findRoomType(req.booking.room_id);
+    const canCancel = GUEST_EDITABLE_STATUSES.includes(req.booking.status);
+
+    res.json({
+      success: true,
+      data: {
+        ...toGuestBooking(req.booking, roomType),
+        cancellation: canCancel ? await getCancellationQuote(req.booking, roomType) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get guest booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET the booking invoice as a PDF
+router.get('/booking/invoice.pdf', async (req, res) => {
+  try {
+    const { buffer, filename } = await buildBookingPdf(req.booking, 'invoice');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Guest invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice'
+    });
+  }
+});
+
+// PATCH update arrival time and special requests
+// Body: { "expected_arrival_time": "HH:MM" | null, "special_requests": "..." | null }
+router.patch('/booking', async (req, res) => {
+  const { expected_arrival_time, special_requests } = req.body;
+  const updates = {};
+  const errors = [];
+
+  if (expected_arrival_time !== undefined) {
+    if (expected_arrival_time && !ARRIVAL_TIME_PATTERN.test(String(expected_arrival_time))) {
+      errors.push('expected_arrival_time must be HH:MM, e.g. 15:30');
+    } else {
+      updates.expected_arrival_time = expected_arrival_time || null;
+    }
+  }
+
+  if (special_requests !== undefined) {
+    const requests = special_requests ? String(special_requests).trim() : '';
+    if (requests.length > SPECIAL_REQUESTS_MAX_LENGTH) {
+      errors.push(`special_requests must be at most ${SPECIAL_REQUESTS_MAX_LENGTH} characters`);
+    } else {
+      updates.special_requests = requests || null;
+    }
+  }
+
+  if (errors.length > 0 || Object.keys(updates).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: errors.length > 0 ? errors.join('. ') : 'Nothing to update - send expected_arrival_time or special_requests',
+      errors
+    });
+  }
+
+  if (!GUEST_EDITABLE_STATUSES.includes(req.booking.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `A ${req.booking.status} booking can no longer be changed - please contact reception`
+    });
+  }
+
+  try {
+    const { data: updated, error } = await supabase
+      .from('bookings')
+      .update(updates)
+      .eq('id', req.booking.id)
+      .in('status', GUEST_EDITABLE_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The booking changed meanwhile - reload and try again'
+      });
+    }
+
+    const roomType = await findRoomType(updated.room_id);
+
+    res.json({
+      success: true,
+      data: toGuestBooking(updated, roomType),
+      message: 'Booking updated successfully'
+    });
+  } catch (error) {
+    console.error('Update guest booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET what cancelling now would cost and refund
+router.get('/booking/cancellation-quote', async (req, res) => {
+  try {
+    const roomType = await findRoomType(req.booking.room_id);
+
+    res.json({
+      success: true,
+      data: await getCancellationQuote(req.booking, roomType)
+    });
+  } catch (error) {
+    console.error('Guest cancellation quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST cancel the booking under its cancellation policy
+// Body: { "reason": "..." } - paid amounts beyond the penalty are refunded
+router.post('/booking/cancel', async (req, res) => {
+  try {
+    const { booking } = req;
+    const roomType = await findRoomType(booking.room_id);
+
+    if (!GUEST_EDITABLE_STATUSES.includes(booking.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${booking.status} booking cannot be cancelled online - please contact reception`
+      });
+    }
+
+    const quote = await getCancellationQuote(booking, roomType);
+    if (quote.days_before_check_in < 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The check-in date has passed - please contact reception'
+      });
+    }
+
+    const guestReason = req.body.reason ? String(req.body.reason).trim().slice(0, 500) : '';
+    const result = await cancelBooking({
+      booking,
+      roomType,
+      user: null,
+      reason: `Cancelled by the guest online${guestReason ? `: ${guestReason}` : ''}`
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { cancellation } = result;
+    let message = cancellation.penalty > 0
+      ? `Booking cancelled with a penalty of ${cancellation.penalty}`
+      : 'Booking cancelled free of charge';
+    if (result.refund) {
+      message += ` - ${result.refund.message}`;
+    } else if (cancellation.refund_amount > 0) {
+      message += ` - refund of ${cancellation.refund_amount} pending`;
+    }
+
+    console.log(`🚫 Booking ${booking.transaction_ref} cancelled by the guest`);
+    res.json({
+      success: true,
+      data: {
+        booking: toGuestBooking(result.booking, roomType),
+        cancellation
+      },
+      message
+    });
+  } catch (error) {
+    console.error('Guest cancel booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,435 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const {
+  normalizeEmail,
+  normalizePhone,
+  getGuestHistory,
+  mergeGuests,
+  findDuplicateGuests
+} = require('../utils/guests');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validate and normalize a guest payload (partial for updates)
+function buildGuestFields(body, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = body.name ? String(body.name).trim() : '';
+    if (!name) {
+      errors.push('name is required');
+    } else {
+      fields.name = name;
+    }
+  }
+
+  if (body.email !== undefined) {
+    const email = normalizeEmail(body.email);
+    if (email && !EMAIL_PATTERN.test(email)) {
+      errors.push('email is not a valid email address');
+    } else {
+      fields.email = email;
+    }
+  }
+
+  if (body.phone !== undefined) {
+    fields.phone = body.phone ? String(body.phone).trim() : null;
+    fields.phone_normalized = normalizePhone(body.phone);
+  }
+
+  if (!partial && !fields.email && !fields.phone) {
+    errors.push('An email or a phone number is required');
+  }
+
+  if (body.preferences !== undefined) {
+    if (!body.preferences || typeof body.preferences !== 'object' || Array.isArray(body.preferences)) {
+      errors.push('preferences must be an object, e.g. { "room": "high floor", "pillow": "firm" }');
+    } else {
+      fields.preferences = body.preferences;
+    }
+  }
+
+  if (body.notes !== undefined) {
+    fields.notes = body.notes || null;
+  }
+
+  if (body.is_vip !== undefined) {
+    fields.is_vip = Boolean(body.is_vip);
+  }
+
+  return { errors, fields };
+}
+
+async function findGuest(id) {
+  const { data, error } = await supabase
+    .from('guests')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load guest: ${error.message}`);
+  }
+  return data;
+}
+
+// GET guests (front-office staff), optional ?search=name/email/phone&blacklisted=true&vip=true
+// Sorted by lifetime value; merged duplicates are left out
+router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    let query = supabase
+      .from('guests')
+      .select('*')
+      .is('merged_into_id', null)
+      .order('lifetime_value', { ascending: false })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500));
+
+    if (req.query.search) {
+      const search = String(req.query.search).replace(/[,()*]/g, ' ').trim();
+      const phone = normalizePhone(search);
+      query = query.or([
+        `name.ilike.*${search}*`,
+        `email.ilike.*${search.toLowerCase()}*`,
+        ...(phone ? [`phone_normalized.like.*${phone}*`] : [])
+      ].join(','));
+    }
+    if (req.query.blacklisted === 'true') {
+      query = query.eq('is_blacklisted', true);
+    }
+    if (req.query.vip === 'true') {
+      query = query.eq('is_vip', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      message: 'Guests retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get guests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET likely duplicate profiles - same phone number or name (superadmin, supervisor, receptionist)
+router.get('/duplicates', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const duplicates = await findDuplicateGuests();
+
+    res.json({
+      success: true,
+      data: duplicates,
+      message: `${duplicates.length} possible duplicate group(s)`
+    });
+  } catch (error) {
+    console.error('Get duplicate guests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET guest profile with stay and spend history (front-office staff)
+router.get('/:id', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const guest = await findGuest(req.params.id);
+
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    const history = await getGuestHistory(guest.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...guest,
+        ...history
+      },
+      message: guest.merged_into_id
+        ? `This profile was merged into guest ${guest.merged_into_id}`
+        : 'Guest retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get guest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST create a guest profile (superadmin, receptionist)
+// Bookings create profiles automatically; this is for guests entered ahead of a booking
+router.post('/', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const { errors, fields } = buildGuestFields(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('guests')
+      .insert([fields])
+      .select()
+      .single();
+
+    if (error) {
+      const duplicate = error.code === '23505';
+      return res.status(duplicate ? 409 : 500).json({
+        success: false,
+        message: duplicate ? `A guest with email ${fields.email} already exists` : error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Guest created successfully'
+    });
+  } catch (error) {
+    console.error('Create guest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT update contact details, preferences, notes or VIP flag (superadmin, receptionist)
+// Bookings keep the guest details they were made with
+router.put('/:id', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const guest = await findGuest(req.params.id);
+
+    if (!guest || guest.merged_into_id) {
+      return res.status(404).json({
+        success: false,
+        message: guest ? `This profile was merged into guest ${guest.merged_into_id}` : 'Guest not found'
+      });
+    }
+
+    const { errors, fields } = buildGuestFields(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('guests')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', guest.id)
+      .select()
+      .single();
+
+    if (error) {
+      const duplicate = error.code === '23505';
+      return res.status(duplicate ? 409 : 500).json({
+        success: false,
+        message: duplicate ? `A guest with email ${fields.email} already exists - merge the profiles instead` : error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Guest updated successfully'
+    });
+  } catch (error) {
+    console.error('Update guest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST blacklist a guest (SUPERADMIN ONLY) - their new bookings are refused
+router.post('/:id/blacklist', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to blacklist a guest'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('guests')
+      .update({
+        is_blacklisted: true,
+        blacklist_reason: String(reason).trim(),
+        blacklisted_at: now,
+        blacklisted_by: req.user?.id || null,
+        updated_at: now
+      })
+      .eq('id', req.params.id)
+      .is('merged_into_id', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    console.log(`🚫 Guest ${data.id} blacklisted by ${req.user?.name || req.user?.role}: ${data.blacklist_reason}`);
+    res.json({
+      success: true,
+      data,
+      message: 'Guest blacklisted'
+    });
+  } catch (error) {
+    console.error('Blacklist guest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE lift a guest's blacklisting (SUPERADMIN ONLY)
+router.delete('/:id/blacklist', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('guests')
+      .update({
+        is_blacklisted: false,
+        blacklist_reason: null,
+        blacklisted_at: null,
+        blacklisted_by: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .is('merged_into_id', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Guest removed from the blacklist'
+    });
+  } catch (error) {
+    console.error('Remove guest blacklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST merge a duplicate profile into this one (SUPERADMIN ONLY)
+// Body: { "duplicate_id": "<guest id>" } - its bookings and details move to this guest
+router.post('/:id/merge', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { duplicate_id } = req.body;
+
+    if (!duplicate_id || duplicate_id === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'duplicate_id must be another guest'
+      });
+    }
+
+    const [keep, duplicate] = await Promise.all([
+      findGuest(req.params.id),
+      findGuest(duplicate_id)
+    ]);
+
+    if (!keep || !duplicate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest not found'
+      });
+    }
+
+    if (keep.merged_into_id || duplicate.merged_into_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Merged profiles cannot be merged again'
+      });
+    }
+
+    const merged = await mergeGuests({ keep, duplicate, user: req.user });
+    if (!merged) {
+      return res.status(409).json({
+        success: false,
+        message: 'The duplicate was merged by someone else - reload and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: merged,
+      message: `Guest ${duplicate.name} merged into ${merged.name}`
+    });
+  } catch (error) {
+    console.error('Merge guests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
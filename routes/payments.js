@@ -0,0 +1,681 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const {
+  DEFAULT_PAYMENT_PROVIDER,
+  MOCK_PAYMENTS_ENABLED,
+  PAYMENT_PROVIDER_NAMES,
+  getPaymentProvider,
+  getBookingProvider
+} = require('../utils/payment-providers');
+const { completeMockPayment } = require('../utils/mock-payments');
+const { recordPaymentEvent, retryPaymentEvent, finishPaymentEvent } = require('../utils/payment-events');
+const { SETTLED_OUTCOMES, applyVerifiedPayment, balancePaymentRef, findBookingByPaymentRef } = require('../utils/payments');
+const { roundAmount, getAmountPaid } = require('../utils/money');
+const { findGroupByReference, getGroupBookings, getRoomAmountDue } = require('../utils/booking-groups');
+const { ROOM_FREEING_STATUSES } = require('../utils/booking-status');
+const { processRefund } = require('../utils/cancellation');
+const {
+  REFUND_STATUSES,
+  REFUND_APPROVAL_THRESHOLD,
+  getRefundableAmount,
+  requestRefund,
+  executeRefund,
+  approveRefund,
+  rejectRefund,
+  completeRefund,
+  applyRefundUpdate
+} = require('../utils/refunds');
+const { requireRole } = require('../middleware/auth');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Initialize the combined payment for every unpaid room of a group (tx_ref is the group_ref)
+async function initiateGroupPayment(req, res, group) {
+  const { amount, redirect_url, provider: providerName } = req.body;
+
+  const bookings = await getGroupBookings(group.id);
+  const unpaid = bookings.filter(booking => getRoomAmountDue(booking) > 0);
+  const amountDue = roundAmount(unpaid.reduce((sum, booking) => sum + getRoomAmountDue(booking), 0));
+  if (amountDue <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Group has nothing left to pay online'
+    });
+  }
+
+  if (amount !== undefined && Number(amount) !== amountDue) {
+    console.warn(`⚠️ Client sent amount ${amount} for group ${group.group_ref} - charging the group's ${amountDue}`);
+  }
+
+  const provider = providerName
+    ? getPaymentProvider(providerName)
+    : getBookingProvider(group) || getPaymentProvider(DEFAULT_PAYMENT_PROVIDER);
+  if (!provider) {
+    return res.status(400).json({
+      success: false,
+      error: `provider must be one of: ${PAYMENT_PROVIDER_NAMES.join(', ')}`
+    });
+  }
+
+  if (group.payment_method !== provider.name) {
+    const now = new Date().toISOString();
+    const [groupUpdate, roomsUpdate] = await Promise.all([
+      supabase.from('booking_groups').update({ payment_method: provider.name, updated_at: now }).eq('id', group.id),
+      supabase.from('bookings').update({ payment_method: provider.name, updated_at: now }).in('id', unpaid.map(booking => booking.id))
+    ]);
+    const updateError = groupUpdate.error || roomsUpdate.error;
+    if (updateError) {
+      throw new Error(`Failed to switch payment provider: ${updateError.message}`);
+    }
+  }
+
+  const payment = await provider.initiatePayment({
+    tx_ref: group.group_ref,
+    amount: amountDue,
+    email: group.lead_email,
+    name: group.lead_name,
+    redirect_url
+  });
+  res.json({
+    success: true,
+    status: 'success',
+    provider: provider.name,
+    data: payment
+  });
+}
+
+// Initialize payment for a booking
+// The amount is always what the stored booking still owes - never the client's figure.
+// Pays through the booking's provider; send provider to switch an unpaid booking to another one.
+// A group_ref as tx_ref pays every unpaid room of the group in one charge.
+// Once part of a booking is paid, the balance is charged under a fresh reference
+// (returned as data.reference) - providers refuse to charge a reference twice.
+router.post('/initiate', async (req, res) => {
+  const { amount, tx_ref, redirect_url, provider: providerName } = req.body;
+
+  if (!tx_ref) {
+    return res.status(400).json({
+      success: false,
+      error: 'tx_ref (booking reference) is required'
+    });
+  }
+
+  try {
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('transaction_ref', tx_ref)
+      .maybeSingle();
+
+    if (!fetchError && !booking) {
+      const group = await findGroupByReference(tx_ref);
+      if (group) {
+        return initiateGroupPayment(req, res, group);
+      }
+    }
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found for this reference'
+      });
+    }
+
+    if (ROOM_FREEING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Booking is ${booking.status} and cannot be paid`
+      });
+    }
+
+    const amountDue = roundAmount((Number(booking.total_amount) || 0) - getAmountPaid(booking));
+    if (amountDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Booking is already paid'
+      });
+    }
+
+    if (amount !== undefined && Number(amount) !== amountDue) {
+      console.warn(`⚠️ Client sent amount ${amount} for ${tx_ref} - charging the booking's ${amountDue}`);
+    }
+
+    const provider = providerName
+      ? getPaymentProvider(providerName)
+      : getBookingProvider(booking) || getPaymentProvider(DEFAULT_PAYMENT_PROVIDER);
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        error: `provider must be one of: ${PAYMENT_PROVIDER_NAMES.join(', ')}`
+      });
+    }
+
+    const paymentRef = getAmountPaid(booking) > 0 ? balancePaymentRef(booking) : tx_ref;
+
+    if (booking.payment_method !== provider.name) {
+      // The guest may pick another provider for what is still owed
+      const { error: updateError } = await supabase
+        .from('bookings')
+        .update({ payment_method: provider.name, updated_at: new Date().toISOString() })
+        .eq('id', booking.id);
+
+      if (updateError) {
+        throw new Error(`Failed to switch payment provider: ${updateError.message}`);
+      }
+    }
+
+    const payment = await provider.initiatePayment({
+      tx_ref: paymentRef,
+      amount: amountDue,
+      email: booking.guest_email,
+      name: booking.guest_name,
+      redirect_url
+    });
+    res.json({
+      success: true,
+      status: 'success',
+      provider: provider.name,
+      data: payment
+    });
+  } catch (err) {
+    console.error('Payment initiation error:', err.response?.data || err.message);
+    res.status(500).json({ 
+      success: false,
+      error: err.response?.data?.message || err.message 
+    });
+  }
+});
+
+// Verify payment - OPTIMIZED for speed
+// Asks the booking's provider (or the provider sent in the body) about the charge
+router.post('/verify', async (req, res) => {
+  const { tx_ref, transaction_id, provider: providerName } = req.body;
+  
+  console.log('🔍 Payment verification requested:', { tx_ref, transaction_id, provider: providerName });
+  
+  if (!tx_ref && !transaction_id) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Transaction reference or transaction ID is required' 
+    });
+  }
+
+  try {
+    let provider = providerName ? getPaymentProvider(providerName) : null;
+    if (!provider && !providerName && tx_ref) {
+      const booking = await findBookingByPaymentRef(tx_ref);
+      provider = getBookingProvider(booking || await findGroupByReference(tx_ref));
+    }
+    if (!provider && !providerName) {
+      provider = getPaymentProvider(DEFAULT_PAYMENT_PROVIDER);
+    }
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        error: `provider must be one of: ${PAYMENT_PROVIDER_NAMES.join(', ')}`
+      });
+    }
+
+    console.log(`📡 Verifying with ${provider.label}:`, transaction_id || tx_ref);
+    
+    const data = await provider.verifyPayment({ id: transaction_id, tx_ref });
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        status: 'not_found',
+        message: `No ${provider.label} payment found for this reference`
+      });
+    }
+    
+    console.log(`💳 Payment status from ${provider.label}:`, data.provider_status);
+    
+    // Check if payment was successful
+    if (data.status === 'successful') {
+      // Apply the charge now so the amount and currency are checked before we answer.
+      // The webhook applies the same charge too - whichever arrives first wins.
+      const result = await applyVerifiedPayment(data);
+      console.log(`ℹ️ Payment ${data.id} via /verify: ${result.outcome}`);
+      
+      if (SETTLED_OUTCOMES.includes(result.outcome)) {
+        res.json({ 
+          success: true,
+          status: 'success', 
+          data: data,
+          outcome: result.outcome,
+          message: 'Payment verified successfully'
+        });
+      } else {
+        res.status(409).json({
+          success: false,
+          status: 'flagged',
+          outcome: result.outcome,
+          data: data,
+          message: 'Payment received but does not match the booking - our team will review it and contact you'
+        });
+      }
+      
+    } else {
+      res.json({ 
+        success: false,
+        status: data.provider_status,
+        message: 'Payment verification failed',
+        data: data
+      });
+    }
+  } catch (err) {
+    console.error('❌ Payment verification error:', err.response?.data || err.message);
+    
+    // More detailed error response
+    const errorMessage = err.response?.data?.message || err.message || 'Unknown error';
+    const errorDetails = err.response?.data || {};
+    
+    res.status(500).json({ 
+      success: false,
+      error: errorMessage,
+      message: 'Payment verification failed - please contact support',
+      details: process.env.NODE_ENV === 'development' ? errorDetails : undefined
+    });
+  }
+});
+
+// Load a refund for the refund management routes; sends 404 and returns null if missing
+async function findRefund(req, res) {
+  const { data: refund, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error || !refund) {
+    res.status(404).json({
+      success: false,
+      error: 'Refund not found'
+    });
+    return null;
+  }
+  return refund;
+}
+
+// Response for a refund that was just requested, approved or retried
+function sendRefund(res, refund, { created = false } = {}) {
+  const messages = {
+    requested: refund.requires_approval && !refund.approved_at
+      ? `Refund of ${refund.amount} is waiting for superadmin approval`
+      : `Refund of ${refund.amount} requested`,
+    processing: refund.provider === 'manual'
+      ? `Refund ${refund.amount} to the guest at the front desk, then mark it completed`
+      : `Refund of ${refund.amount} submitted to ${refund.provider}`,
+    completed: `Refund of ${refund.amount} completed`,
+    failed: refund.failure_reason || 'Refund failed',
+    rejected: 'Refund rejected'
+  };
+
+  res.status(refund.status === 'failed' ? 502 : created ? 201 : 200).json({
+    success: refund.status !== 'failed',
+    message: messages[refund.status],
+    data: refund
+  });
+}
+
+// Refund all or part of a booking's payment (superadmin, supervisor)
+// Body: { booking_id, amount, reason }. Without amount, everything refundable is refunded -
+// or, for a cancelled booking whose refund failed, the cancellation refund is retried.
+// Refunds above REFUND_APPROVAL_THRESHOLD wait for a superadmin's approval.
+router.post('/refund', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  const { booking_id, amount, reason } = req.body;
+
+  if (!booking_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'booking_id is required'
+    });
+  }
+
+  try {
+    const { data: booking, error: fetchError } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', booking_id)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    if (amount === undefined && booking.status === 'cancelled' && ['pending', 'failed'].includes(booking.refund_status)) {
+      const { data: openRefunds } = await supabase
+        .from('refunds')
+        .select('id, status')
+        .eq('booking_id', booking.id)
+        .in('status', ['requested', 'processing']);
+
+      if (openRefunds && openRefunds.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'A refund for this booking is already in progress',
+          data: openRefunds
+        });
+      }
+
+      const { booking: refundedBooking, ...refund } = await processRefund(booking, req.user);
+      return res.status(refund.refund_status === 'failed' ? 502 : 200).json({
+        success: refund.refund_status !== 'failed',
+        message: refund.message,
+        data: { refund, booking: refundedBooking }
+      });
+    }
+
+    const refundAmount = amount !== undefined ? parseFloat(amount) : await getRefundableAmount(booking);
+    if (isNaN(refundAmount) || refundAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: amount !== undefined ? 'amount must be more than 0' : 'Nothing left to refund on this booking'
+      });
+    }
+
+    const result = await requestRefund({ booking, amount: refundAmount, reason, user: req.user });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    if (result.refunds.length > 1) {
+      // Split across several charges: one refund per charge
+      const failed = result.refunds.filter(refund => refund.status === 'failed');
+      return res.status(failed.length > 0 ? 502 : 201).json({
+        success: failed.length === 0,
+        message: failed.length > 0
+          ? `Refund of ${refundAmount} split across ${result.refunds.length} payments - ${failed.length} part(s) failed`
+          : `Refund of ${refundAmount} split across ${result.refunds.length} payments`,
+        data: result.refunds
+      });
+    }
+
+    sendRefund(res, result.refund, { created: true });
+  } catch (err) {
+    console.error('❌ Refund error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Refund failed - please try again'
+    });
+  }
+});
+
+// GET refunds (superadmin, supervisor), optional ?status=&booking_id=
+router.get('/refunds', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    let query = supabase
+      .from('refunds')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (req.query.status) {
+      if (!REFUND_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${REFUND_STATUSES.join(', ')}`
+        });
+      }
+      query = query.eq('status', req.query.status);
+    }
+
+    if (req.query.booking_id) {
+      query = query.eq('booking_id', req.query.booking_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      approval_threshold: REFUND_APPROVAL_THRESHOLD
+    });
+  } catch (err) {
+    console.error('❌ Get refunds error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Approve a refund waiting for approval and send it (superadmin only)
+router.post('/refunds/:id/approve', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const refund = await findRefund(req, res);
+    if (!refund) return;
+
+    if (refund.status !== 'requested' || !refund.requires_approval || refund.approved_at) {
+      return res.status(400).json({
+        success: false,
+        error: `Refund is not waiting for approval (status: ${refund.status})`
+      });
+    }
+
+    const approved = await approveRefund(refund, req.user);
+    if (!approved) {
+      return res.status(409).json({
+        success: false,
+        error: 'Refund was changed by someone else - reload and try again'
+      });
+    }
+
+    sendRefund(res, approved);
+  } catch (err) {
+    console.error('❌ Approve refund error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Reject a refund waiting for approval (superadmin only)
+router.post('/refunds/:id/reject', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const refund = await findRefund(req, res);
+    if (!refund) return;
+
+    const rejected = refund.status === 'requested'
+      ? await rejectRefund(refund, req.user, req.body.reason)
+      : null;
+    if (!rejected) {
+      return res.status(400).json({
+        success: false,
+        error: `Only requested refunds can be rejected (status: ${refund.status})`
+      });
+    }
+
+    sendRefund(res, rejected);
+  } catch (err) {
+    console.error('❌ Reject refund error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Retry a failed refund (superadmin only)
+router.post('/refunds/:id/retry', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const refund = await findRefund(req, res);
+    if (!refund) return;
+
+    const retried = refund.status === 'failed' ? await executeRefund(refund) : null;
+    if (!retried) {
+      return res.status(400).json({
+        success: false,
+        error: `Only failed refunds can be retried (status: ${refund.status})`
+      });
+    }
+
+    sendRefund(res, retried);
+  } catch (err) {
+    console.error('❌ Retry refund error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Mark a manual (front desk) refund as handed back to the guest (superadmin, supervisor)
+router.post('/refunds/:id/complete', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    const refund = await findRefund(req, res);
+    if (!refund) return;
+
+    const completed = refund.provider === 'manual' && refund.status === 'processing'
+      ? await completeRefund(refund)
+      : null;
+    if (!completed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only manual refunds in progress can be completed by hand - online refunds complete through the provider'
+      });
+    }
+
+    sendRefund(res, completed);
+  } catch (err) {
+    console.error('❌ Complete refund error:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Webhooks from the payment providers: /webhook/flutterwave, /webhook/paystack, ...
+// /webhook (no provider) is Flutterwave's, as configured before Paystack was added.
+// The authoritative payment path: every event is stored in payment_events,
+// redeliveries are recognised, and charges are re-verified with the provider
+// before the booking is touched
+router.post(['/webhook', '/webhook/:provider'], async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider || 'flutterwave');
+  if (!provider) {
+    return res.status(404).end();
+  }
+
+  const parsed = provider.parseWebhook(req);
+  if (!parsed) {
+    // This request isn't from the provider; discard
+    return res.status(401).end();
+  }
+
+  const { eventType, isCharge, transactionId, tx_ref } = parsed;
+  console.log(`📨 ${provider.label} webhook received:`, { event: eventType, id: transactionId, tx_ref, status: parsed.status });
+
+  let event;
+  try {
+    const recorded = await recordPaymentEvent({ provider: provider.name, ...parsed });
+    event = recorded.event;
+
+    // Redelivery: only events that failed last time are processed again
+    if (recorded.duplicate && !(await retryPaymentEvent(event.id))) {
+      console.log(`ℹ️ Duplicate webhook event ${event.dedupe_key} (${event.processing_status}) - skipping`);
+      return res.status(200).json({ status: 'duplicate' });
+    }
+  } catch (ledgerError) {
+    console.error('❌ Failed to record webhook event:', ledgerError.message);
+    return res.status(500).end(); // The provider will retry
+  }
+
+  if (parsed.isRefund && parsed.refundId) {
+    try {
+      const refund = await applyRefundUpdate({
+        provider: provider.name,
+        refundId: parsed.refundId,
+        status: parsed.refundStatus,
+        reason: parsed.status
+      });
+      await finishPaymentEvent(event.id, refund ? 'processed' : 'ignored', {
+        result: refund ? `Refund ${refund.status}` : 'No matching refund or nothing to change',
+        bookingId: refund?.booking_id
+      });
+      return res.status(200).json({ status: refund ? 'processed' : 'ignored' });
+    } catch (err) {
+      console.error('❌ Refund webhook processing error:', err.message);
+      await finishPaymentEvent(event.id, 'failed', { result: err.message });
+      return res.status(500).end();
+    }
+  }
+
+  if (!isCharge || !transactionId) {
+    await finishPaymentEvent(event.id, 'ignored', { result: `Unhandled event type: ${eventType}` });
+    return res.status(200).json({ status: 'ignored' });
+  }
+
+  try {
+    // Never trust the payload alone - ask the provider what actually happened
+    const transaction = await provider.verifyPayment({ id: transactionId });
+
+    if (!transaction || transaction.status !== 'successful') {
+      await finishPaymentEvent(event.id, 'ignored', { result: `Charge status is ${transaction ? transaction.provider_status : 'unknown'}` });
+      return res.status(200).json({ status: 'ignored' });
+    }
+
+    if (transaction.tx_ref !== tx_ref) {
+      await finishPaymentEvent(event.id, 'ignored', { result: 'Verified charge does not match the event' });
+      console.warn('⚠️ Webhook charge mismatch:', { event: tx_ref, verified: transaction.tx_ref });
+      return res.status(200).json({ status: 'ignored' });
+    }
+
+    const result = await applyVerifiedPayment(transaction);
+    await finishPaymentEvent(event.id, 'processed', { result: result.outcome, bookingId: result.booking?.id });
+    console.log(`✅ Webhook payment ${transaction.id} processed: ${result.outcome}`);
+
+    res.status(200).json({ status: 'processed', outcome: result.outcome });
+  } catch (err) {
+    console.error('❌ Webhook processing error:', err.response?.data || err.message);
+    await finishPaymentEvent(event.id, 'failed', { result: err.response?.data?.message || err.message });
+    res.status(500).end(); // The provider will retry; the failed event is picked up again
+  }
+});
+
+// Mock provider checkout page (development and tests only)
+// Completes the charge - ?status=failed, ?amount= and ?currency= simulate problems -
+// then redirects like Flutterwave does, with status, tx_ref and transaction_id
+if (MOCK_PAYMENTS_ENABLED) {
+  router.get('/mock/checkout/:tx_ref', (req, res) => {
+    const { status, amount, currency } = req.query;
+    const transaction = completeMockPayment(req.params.tx_ref, { status, amount, currency });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'No mock payment was initiated for this reference'
+      });
+    }
+
+    if (!transaction.redirect_url) {
+      return res.json({ success: true, data: transaction });
+    }
+
+    const redirect = new URL(transaction.redirect_url);
+    redirect.searchParams.set('status', transaction.status);
+    redirect.searchParams.set('tx_ref', transaction.tx_ref);
+    redirect.searchParams.set('transaction_id', transaction.id);
+    res.redirect(redirect.toString());
+  });
+}
+
+module.exports = router;
\ No newline at end of file
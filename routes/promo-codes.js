@@ -0,0 +1,320 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { findRoomType } = require('../utils/room-types');
+const { DISCOUNT_TYPES, PROMO_KINDS, normalizeCode } = require('../utils/promotions');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Validate and normalize a promo code payload (partial for updates)
+async function buildPromoCodeFields(body, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (body.code !== undefined || !partial) {
+    const code = normalizeCode(body.code);
+    if (!CODE_PATTERN.test(code)) {
+      errors.push('Code must be 3-32 letters, numbers, dashes or underscores');
+    } else {
+      fields.code = code;
+    }
+  }
+
+  if (body.kind !== undefined) {
+    if (!PROMO_KINDS.includes(body.kind)) {
+      errors.push(`Kind must be one of: ${PROMO_KINDS.join(', ')}`);
+    } else {
+      fields.kind = body.kind;
+    }
+  }
+
+  if (body.company_name !== undefined) {
+    fields.company_name = body.company_name ? String(body.company_name).trim() : null;
+  }
+
+  if (body.description !== undefined) {
+    fields.description = body.description || null;
+  }
+
+  if (body.discount_type !== undefined || !partial) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      errors.push(`discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+    } else {
+      fields.discount_type = body.discount_type;
+    }
+  }
+
+  if (body.discount_value !== undefined || !partial) {
+    const value = parseFloat(body.discount_value);
+    if (isNaN(value) || value < 0) {
+      errors.push('A valid discount_value is required');
+    } else if ((fields.discount_type || body.discount_type) === 'percentage' && value > 100) {
+      errors.push('A percentage discount cannot exceed 100');
+    } else {
+      fields.discount_value = value;
+    }
+  }
+
+  ['valid_from', 'valid_until'].forEach(field => {
+    if (body[field] !== undefined) {
+      if (body[field] === null || body[field] === '') {
+        fields[field] = null; // Open-ended
+      } else if (!DATE_PATTERN.test(body[field])) {
+        errors.push(`${field} must be a date (YYYY-MM-DD)`);
+      } else {
+        fields[field] = body[field];
+      }
+    }
+  });
+
+  if (fields.valid_from && fields.valid_until && fields.valid_until < fields.valid_from) {
+    errors.push('valid_until must be on or after valid_from');
+  }
+
+  if (body.max_uses !== undefined) {
+    if (body.max_uses === null || body.max_uses === '') {
+      fields.max_uses = null; // Unlimited
+    } else {
+      const maxUses = parseInt(body.max_uses);
+      if (isNaN(maxUses) || maxUses < 1) {
+        errors.push('max_uses must be at least 1');
+      } else {
+        fields.max_uses = maxUses;
+      }
+    }
+  }
+
+  if (body.min_nights !== undefined) {
+    const minNights = parseInt(body.min_nights);
+    if (isNaN(minNights) || minNights < 1) {
+      errors.push('min_nights must be at least 1 night');
+    } else {
+      fields.min_nights = minNights;
+    }
+  }
+
+  if (body.room_types !== undefined) {
+    if (!Array.isArray(body.room_types)) {
+      errors.push('room_types must be a list of room type slugs or ids');
+    } else {
+      const roomTypeIds = [];
+      for (const idOrSlug of body.room_types) {
+        const roomType = await findRoomType(idOrSlug);
+        if (!roomType) {
+          errors.push(`Unknown room type: ${idOrSlug}`);
+        } else {
+          roomTypeIds.push(roomType.id);
+        }
+      }
+      fields.room_type_ids = roomTypeIds; // Empty list means every room type
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active !== false;
+  }
+
+  return { errors, fields };
+}
+
+// GET promo codes (superadmin, supervisor), optional ?kind=promo|corporate
+router.get('/', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    let query = supabase
+      .from('promo_codes')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (req.query.kind) {
+      query = query.eq('kind', req.query.kind);
+    }
+
+    if (req.query.active === 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      message: 'Promo codes retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST create promo code or corporate rate (superadmin only)
+router.post('/', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { errors, fields } = await buildPromoCodeFields(req.body);
+
+    if (fields.kind === 'corporate' && !fields.company_name) {
+      errors.push('company_name is required for a corporate rate');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .insert([{
+        ...fields,
+        kind: fields.kind || 'promo',
+        is_active: fields.is_active !== false,
+        created_by: req.user?.id || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      const duplicate = error.code === '23505';
+      return res.status(duplicate ? 409 : 500).json({
+        success: false,
+        message: duplicate ? `Promo code ${fields.code} already exists` : error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Promo code created successfully'
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT update promo code (superadmin only)
+// Bookings keep the discount recorded on them when they were made
+router.put('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('promo_codes')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const { errors, fields } = await buildPromoCodeFields(
+      { discount_type: existing.discount_type, ...req.body },
+      { partial: true }
+    );
+    const validFrom = fields.valid_from !== undefined ? fields.valid_from : existing.valid_from;
+    const validUntil = fields.valid_until !== undefined ? fields.valid_until : existing.valid_until;
+    if (validFrom && validUntil && validUntil < validFrom) {
+      errors.push('valid_until must be on or after valid_from');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Promo code updated successfully'
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE (deactivate) promo code (superadmin only)
+router.delete('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data[0],
+      message: 'Promo code deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,322 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { findRoomType } = require('../utils/room-types');
+const { priceStay } = require('../utils/pricing');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate and normalize a rate plan payload (partial for updates)
+async function buildRatePlanFields(body, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (body.room_type_id !== undefined || !partial) {
+    const roomType = await findRoomType(body.room_type_id, { includeInactive: false });
+    if (!roomType) {
+      errors.push('A valid room_type_id is required');
+    } else {
+      fields.room_type_id = roomType.id;
+    }
+  }
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      errors.push('Name is required');
+    } else {
+      fields.name = String(body.name).trim();
+    }
+  }
+
+  ['start_date', 'end_date'].forEach(field => {
+    if (body[field] !== undefined || !partial) {
+      if (!DATE_PATTERN.test(body[field] || '')) {
+        errors.push(`${field} must be a date (YYYY-MM-DD)`);
+      } else {
+        fields[field] = body[field];
+      }
+    }
+  });
+
+  if (fields.start_date && fields.end_date && fields.end_date < fields.start_date) {
+    errors.push('end_date must be on or after start_date');
+  }
+
+  if (body.weekday_price !== undefined || !partial) {
+    const price = parseFloat(body.weekday_price);
+    if (isNaN(price) || price < 0) {
+      errors.push('A valid weekday_price is required');
+    } else {
+      fields.weekday_price = price;
+    }
+  }
+
+  if (body.weekend_price !== undefined) {
+    if (body.weekend_price === null || body.weekend_price === '') {
+      fields.weekend_price = null; // Weekend nights use the weekday price
+    } else {
+      const price = parseFloat(body.weekend_price);
+      if (isNaN(price) || price < 0) {
+        errors.push('weekend_price must be a valid price');
+      } else {
+        fields.weekend_price = price;
+      }
+    }
+  }
+
+  if (body.min_stay !== undefined) {
+    const minStay = parseInt(body.min_stay);
+    if (isNaN(minStay) || minStay < 1) {
+      errors.push('min_stay must be at least 1 night');
+    } else {
+      fields.min_stay = minStay;
+    }
+  }
+
+  if (body.priority !== undefined) {
+    const priority = parseInt(body.priority);
+    if (isNaN(priority)) {
+      errors.push('priority must be a number');
+    } else {
+      fields.priority = priority;
+    }
+  }
+
+  if (body.cancellation_policy_id !== undefined) {
+    if (body.cancellation_policy_id === null || body.cancellation_policy_id === '') {
+      fields.cancellation_policy_id = null; // Use the room type's policy
+    } else {
+      const { data: policy } = await supabase
+        .from('cancellation_policies')
+        .select('id')
+        .eq('id', body.cancellation_policy_id)
+        .eq('is_active', true)
+        .maybeSingle();
+      if (!policy) {
+        errors.push('cancellation_policy_id must be an active cancellation policy');
+      } else {
+        fields.cancellation_policy_id = policy.id;
+      }
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active !== false;
+  }
+
+  return { errors, fields };
+}
+
+// GET rate plans (front-office staff), optional ?room_type=<slug|uuid>
+router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    let query = supabase
+      .from('rate_plans')
+      .select('*')
+      .eq('is_active', true)
+      .order('start_date', { ascending: true });
+
+    if (req.query.room_type) {
+      const roomType = await findRoomType(req.query.room_type);
+      if (!roomType) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid room type'
+        });
+      }
+      query = query.eq('room_type_id', roomType.id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      message: 'Rate plans retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get rate plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET nightly price preview for a stay (front-office staff)
+// ?room_type=<slug|uuid>&check_in=YYYY-MM-DD&check_out=YYYY-MM-DD
+router.get('/preview', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { room_type, check_in, check_out } = req.query;
+    const roomType = await findRoomType(room_type);
+
+    if (!roomType || !DATE_PATTERN.test(check_in || '') || !DATE_PATTERN.test(check_out || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'room_type, check_in and check_out are required'
+      });
+    }
+
+    const pricing = await priceStay(roomType, check_in, check_out);
+
+    res.json({
+      success: true,
+      data: pricing
+    });
+  } catch (error) {
+    console.error('Rate plan preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST create rate plan (superadmin only)
+router.post('/', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { errors, fields } = await buildRatePlanFields(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('rate_plans')
+      .insert([{ ...fields, is_active: fields.is_active !== false }])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Rate plan created successfully'
+    });
+  } catch (error) {
+    console.error('Create rate plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT update rate plan (superadmin only)
+// Existing bookings keep the nightly prices stored on them
+router.put('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('rate_plans')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate plan not found'
+      });
+    }
+
+    const { errors, fields } = await buildRatePlanFields(req.body, { partial: true });
+    const startDate = fields.start_date || existing.start_date;
+    const endDate = fields.end_date || existing.end_date;
+    if (endDate < startDate) {
+      errors.push('end_date must be on or after start_date');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('rate_plans')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Rate plan updated successfully'
+    });
+  } catch (error) {
+    console.error('Update rate plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE (deactivate) rate plan (superadmin only)
+router.delete('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('rate_plans')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data[0],
+      message: 'Rate plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete rate plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
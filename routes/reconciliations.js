@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { RECONCILIATION_ISSUES, RECONCILIATION_RESOLUTIONS } = require('../utils/reconciliation');
+const { getPaymentProvider } = require('../utils/payment-providers');
+const { transitionBooking } = require('../utils/booking-lifecycle');
+const { roundAmount, getAmountPaid } = require('../utils/money');
+const { recordBookingPayment } = require('../utils/booking-payments');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Issues where the booking was left short of a full payment
+const SHORT_PAYMENT_ISSUES = ['underpayment', 'currency_mismatch'];
+// Resolutions that settle such a booking
+const SETTLING_RESOLUTIONS = ['accepted', 'collected', 'written_off'];
+
+// Marks the booking of a short payment as paid and confirms it if it was waiting on payment.
+// Money that is now counted goes into the booking's payments first.
+async function settleBooking(item, resolution, user) {
+  let { data: booking, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('id', item.booking_id)
+    .maybeSingle();
+
+  if (error || !booking) {
+    return null;
+  }
+
+  if (item.issue_type === 'currency_mismatch' && item.received_amount !== null) {
+    const recorded = await recordBookingPayment({
+      booking,
+      method: item.provider,
+      amount: item.received_amount,
+      currency: item.received_currency || 'NGN',
+      reference: item.tx_ref,
+      providerTransactionId: item.transaction_id,
+      notes: `Accepted in reconciliation (${resolution})`,
+      user
+    });
+    booking = recorded.booking || booking;
+  }
+
+  const outstanding = roundAmount((Number(booking.total_amount) || 0) - getAmountPaid(booking));
+  if (resolution === 'collected' && outstanding > 0) {
+    const recorded = await recordBookingPayment({
+      booking,
+      method: 'other',
+      amount: outstanding,
+      notes: 'Rest of the payment collected outside the payment provider (reconciliation)',
+      user
+    });
+    booking = recorded.booking || booking;
+  }
+
+  const updates = {
+    payment_status: 'paid',
+    balance_due: 0,
+    payment_transaction_id: booking.payment_transaction_id || item.transaction_id
+  };
+
+  if (booking.status === 'pending') {
+    const transition = await transitionBooking({
+      booking,
+      toStatus: 'confirmed',
+      user: null,
+      reason: `Payment ${resolution} in reconciliation by ${user?.name || user?.role || 'staff'}`,
+      updates
+    });
+    return transition.success ? transition.booking : null;
+  }
+
+  const { data } = await supabase
+    .from('bookings')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', booking.id)
+    .select()
+    .maybeSingle();
+  return data;
+}
+
+// Undo a resolve claim when the resolution couldn't be carried out
+async function reopenItem(id) {
+  await supabase
+    .from('payment_reconciliations')
+    .update({ status: 'open', resolution: null, resolution_notes: null, resolved_by: null, resolved_at: null })
+    .eq('id', id);
+}
+
+// GET reconciliation queue (superadmin, supervisor), optional ?status=open|resolved&issue_type=
+router.get('/', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    let query = supabase
+      .from('payment_reconciliations')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    if (req.query.issue_type) {
+      if (!RECONCILIATION_ISSUES.includes(req.query.issue_type)) {
+        return res.status(400).json({
+          success: false,
+          message: `issue_type must be one of: ${RECONCILIATION_ISSUES.join(', ')}`
+        });
+      }
+      query = query.eq('issue_type', req.query.issue_type);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      message: 'Reconciliation queue retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET single reconciliation item with its booking
+router.get('/:id', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('payment_reconciliations')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error || !data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation item not found'
+      });
+    }
+
+    let booking = null;
+    if (data.booking_id) {
+      const { data: bookingData } = await supabase
+        .from('bookings')
+        .select('*')
+        .eq('id', data.booking_id)
+        .maybeSingle();
+      booking = bookingData || null;
+    }
+
+    res.json({
+      success: true,
+      data: { ...data, booking },
+      message: 'Reconciliation item retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST resolve a reconciliation item
+// refunded: refunds the charge through its payment provider (the excess for an overpayment unless refund_amount is given)
+// accepted / collected / written_off: settles a short payment and confirms a pending booking
+router.post('/:id/resolve', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    const { resolution, notes, refund_amount } = req.body;
+
+    if (!RECONCILIATION_RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: `resolution must be one of: ${RECONCILIATION_RESOLUTIONS.join(', ')}`
+      });
+    }
+
+    // Claim the item so two people can't resolve (or refund) it at once
+    const { data: claimed, error: claimError } = await supabase
+      .from('payment_reconciliations')
+      .update({
+        status: 'resolved',
+        resolution,
+        resolution_notes: notes || null,
+        resolved_by: req.user?.id || null,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('status', 'open')
+      .select()
+      .maybeSingle();
+
+    if (claimError) {
+      return res.status(500).json({
+        success: false,
+        message: claimError.message
+      });
+    }
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reconciliation item not found or already resolved'
+      });
+    }
+
+    let item = claimed;
+
+    if (resolution === 'refunded') {
+      const amount = refund_amount !== undefined
+        ? parseFloat(refund_amount)
+        : Number(item.issue_type === 'overpayment' ? item.difference : item.received_amount);
+
+      if (isNaN(amount) || amount <= 0 || amount > Number(item.received_amount)) {
+        await reopenItem(item.id);
+        return res.status(400).json({
+          success: false,
+          message: 'refund_amount must be more than 0 and no more than the amount received'
+        });
+      }
+
+      const provider = getPaymentProvider(item.provider);
+      if (!provider) {
+        await reopenItem(item.id);
+        return res.status(400).json({
+          success: false,
+          message: `Payment provider ${item.provider} is not available - refund it manually`
+        });
+      }
+
+      try {
+        const refund = await provider.refundPayment({ transactionId: item.transaction_id, amount });
+        console.log(`💸 Reconciliation refund ${refund.id} for payment ${item.transaction_id}: ${refund.status}`);
+
+        const { data: updated } = await supabase
+          .from('payment_reconciliations')
+          .update({ resolution_reference: refund.id })
+          .eq('id', item.id)
+          .select()
+          .single();
+        item = updated || item;
+
+        // The booking no longer holds the refunded excess
+        if (item.booking_id && item.issue_type === 'overpayment') {
+          const { data: booking } = await supabase
+            .from('bookings')
+            .select('id, amount_paid, total_amount')
+            .eq('id', item.booking_id)
+            .maybeSingle();
+          if (booking) {
+            const amountPaid = roundAmount(Number(booking.amount_paid || 0) - amount);
+            await supabase
+              .from('bookings')
+              .update({
+                amount_paid: amountPaid,
+                balance_due: roundAmount(Number(booking.total_amount) - amountPaid),
+                updated_at: new Date().toISOString()
+              })
+              .eq('id', booking.id);
+          }
+        }
+      } catch (refundError) {
+        console.error('❌ Reconciliation refund failed:', refundError.response?.data || refundError.message);
+        // Reopen so the refund can be retried
+        await reopenItem(item.id);
+        return res.status(502).json({
+          success: false,
+          message: refundError.response?.data?.message || `${provider.label} refund failed`
+        });
+      }
+    }
+
+    let booking = null;
+    if (item.booking_id && SHORT_PAYMENT_ISSUES.includes(item.issue_type) && SETTLING_RESOLUTIONS.includes(resolution)) {
+      booking = await settleBooking(item, resolution, req.user);
+      if (!booking) {
+        console.warn(`⚠️ Could not settle booking ${item.booking_id} for reconciliation ${item.id}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { ...item, booking },
+      message: `Reconciliation item resolved as ${resolution}`
+    });
+  } catch (error) {
+    console.error('Resolve reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
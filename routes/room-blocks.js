@@ -0,0 +1,371 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { findRoomType, getRoomTypesById } = require('../utils/room-types');
+const { ROOM_FREEING_STATUS_FILTER } = require('../utils/booking-status');
+const { findRoom } = require('../utils/rooms');
+const { getNightlyAvailability, toDateKey } = require('../utils/availability');
+const { withRoomTypeLock } = require('../utils/reservations');
+const { BLOCK_TYPES } = require('../utils/room-blocks');
+const { notifyWaitlist } = require('../utils/waitlist');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const REASON_MAX_LENGTH = 500;
+
+// Room blocks with their room type name, for staff lists
+const withRoomTypeNames = async (blocks) => {
+  const roomTypesById = await getRoomTypesById();
+  return blocks.map(block => ({
+    ...block,
+    room_name: roomTypesById[block.room_type_id]?.name || 'Unknown Room'
+  }));
+};
+
+async function loadBlock(req, res) {
+  const { data: block, error } = await supabase
+    .from('room_blocks')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load room block: ${error.message}`);
+  }
+  if (!block) {
+    res.status(404).json({
+      success: false,
+      message: 'Room block not found'
+    });
+    return null;
+  }
+  return block;
+}
+
+// Validate the dated part of a block: { status, message } on a problem, otherwise null
+const validateBlock = ({ start_date, end_date, block_type, reason, room_count }) => {
+  if (!start_date || !end_date || isNaN(new Date(start_date)) || isNaN(new Date(end_date))) {
+    return { status: 400, message: 'start_date and end_date must be valid dates (YYYY-MM-DD)' };
+  }
+  if (toDateKey(end_date) <= toDateKey(start_date)) {
+    return { status: 400, message: 'end_date must be after start_date (the last blocked night is the day before end_date)' };
+  }
+  if (!BLOCK_TYPES.includes(block_type)) {
+    return { status: 400, message: `block_type must be one of: ${BLOCK_TYPES.join(', ')}` };
+  }
+  if (!reason || !String(reason).trim() || String(reason).length > REASON_MAX_LENGTH) {
+    return { status: 400, message: `reason is required (at most ${REASON_MAX_LENGTH} characters)` };
+  }
+  if (!(room_count >= 1)) {
+    return { status: 400, message: 'room_count must be at least 1' };
+  }
+  return null;
+};
+
+/**
+ * Block Conflicts
+ * What the block would clash with: nights on which fewer rooms are free than
+ * it takes, and, for a physical room, bookings already given that room. A room
+ * that is out of order is off sale anyway, so only its bookings are checked.
+ */
+async function findBlockConflicts(roomType, block, { room, excludeBlockId } = {}) {
+  let fullNights = [];
+  if (!room || room.status !== 'out_of_order') {
+    const availability = await getNightlyAvailability([roomType], block.start_date, block.end_date, { excludeBlockId });
+    fullNights = availability[roomType.id].filter(night => night.free < block.room_count);
+  }
+
+  let assignedBookings = [];
+  if (room) {
+    const { data, error } = await supabase
+      .from('bookings')
+      .select('id, transaction_ref, guest_name, check_in, check_out, status')
+      .eq('assigned_room_id', room.id)
+      .lt('check_in', block.end_date)
+      .gt('check_out', block.start_date)
+      .not('status', 'in', ROOM_FREEING_STATUS_FILTER);
+
+    if (error) {
+      throw new Error(`Failed to check room bookings: ${error.message}`);
+    }
+    assignedBookings = data || [];
+  }
+
+  return { fullNights, assignedBookings };
+}
+
+const hasConflicts = ({ fullNights, assignedBookings }) => fullNights.length > 0 || assignedBookings.length > 0;
+
+const buildBlockConflictResponse = (roomType, { fullNights, assignedBookings }) => ({
+  success: false,
+  error: 'BLOCK_CONFLICT',
+  message: fullNights.length > 0
+    ? `Not enough free ${roomType.name} rooms to block on: ${fullNights.map(night => night.date).join(', ')}`
+    : `The room is assigned to ${assignedBookings.map(booking => booking.transaction_ref).join(', ')} during the block`,
+  full_nights: fullNights,
+  assigned_bookings: assignedBookings
+});
+
+// GET room blocks (front-office staff)
+// Optional filters: ?room_type=<uuid|slug>&room_id=<uuid>&from=YYYY-MM-DD&to=YYYY-MM-DD&include_released=true
+router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { room_type, room_id, from, to, include_released } = req.query;
+
+    let query = supabase
+      .from('room_blocks')
+      .select('*')
+      .order('start_date', { ascending: true })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500));
+
+    if (include_released !== 'true') {
+      query = query.is('released_at', null);
+    }
+    if (room_type) {
+      const roomType = await findRoomType(room_type);
+      if (!roomType) {
+        return res.status(400).json({ success: false, message: 'Invalid room type selected' });
+      }
+      query = query.eq('room_type_id', roomType.id);
+    }
+    if (room_id) {
+      query = query.eq('room_id', room_id);
+    }
+    // Blocks overlapping the range; by default those not yet over
+    query = query.gt('end_date', from || toDateKey(new Date()));
+    if (to) {
+      query = query.lt('start_date', to);
+    }
+
+    const { data: blocks, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await withRoomTypeNames(blocks || []),
+      message: 'Room blocks retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get room blocks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST block rooms for a period (superadmin, supervisor)
+// Either { room_type, room_count } or one physical room { room_id | room_number }
+router.post('/', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    const { room_type, room_id, room_number, start_date, end_date, block_type, reason, force } = req.body;
+
+    let room = null;
+    let roomType;
+    if (room_id || room_number) {
+      room = await findRoom({ roomId: room_id, roomNumber: room_number });
+      if (!room) {
+        return res.status(404).json({ success: false, message: 'Room not found' });
+      }
+      roomType = await findRoomType(room.room_type_id);
+    } else if (room_type) {
+      roomType = await findRoomType(room_type);
+    } else {
+      return res.status(400).json({ success: false, message: 'Send room_type, or room_id or room_number to block one room' });
+    }
+    if (!roomType) {
+      return res.status(400).json({ success: false, message: 'Invalid room type selected' });
+    }
+
+    const roomCount = room ? 1 : parseInt(req.body.room_count || 1);
+    const invalid = validateBlock({ start_date, end_date, block_type, reason, room_count: roomCount });
+    if (invalid) {
+      return res.status(invalid.status).json({ success: false, message: invalid.message });
+    }
+
+    const blockData = {
+      room_type_id: roomType.id,
+      room_id: room ? room.id : null,
+      room_count: roomCount,
+      start_date: toDateKey(start_date),
+      end_date: toDateKey(end_date),
+      block_type,
+      reason: String(reason).trim(),
+      created_by: req.user?.id || null,
+      created_by_role: req.user.role
+    };
+
+    // Checked and inserted under the room type lock so a booking can't slip in between
+    const result = await withRoomTypeLock(roomType.id, async () => {
+      const conflicts = await findBlockConflicts(roomType, blockData, { room });
+      if (hasConflicts(conflicts) && !(force && req.user.role === 'superadmin')) {
+        return { conflicts };
+      }
+
+      const { data, error } = await supabase
+        .from('room_blocks')
+        .insert(blockData)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create room block: ${error.message}`);
+      }
+      return { block: data, conflicts };
+    });
+
+    if (!result.block) {
+      return res.status(409).json(buildBlockConflictResponse(roomType, result.conflicts));
+    }
+
+    console.log(`🚧 ${room ? `Room ${room.room_number}` : `${roomCount} ${roomType.slug} room(s)`} blocked ${blockData.start_date} → ${blockData.end_date} (${block_type}) by ${req.user.role}`);
+
+    res.status(201).json({
+      success: true,
+      data: result.block,
+      conflicts: hasConflicts(result.conflicts) ? result.conflicts : undefined,
+      message: hasConflicts(result.conflicts)
+        ? 'Room block created despite conflicts - move the affected bookings'
+        : 'Room block created successfully'
+    });
+  } catch (error) {
+    console.error('Create room block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT change a block's dates, count, type or reason (superadmin, supervisor)
+router.put('/:id', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    const block = await loadBlock(req, res);
+    if (!block) return;
+
+    if (block.released_at) {
+      return res.status(409).json({ success: false, message: 'Released blocks cannot be changed' });
+    }
+
+    const changes = {
+      start_date: req.body.start_date || block.start_date,
+      end_date: req.body.end_date || block.end_date,
+      block_type: req.body.block_type || block.block_type,
+      reason: req.body.reason !== undefined ? req.body.reason : block.reason,
+      room_count: block.room_id ? 1 : parseInt(req.body.room_count || block.room_count)
+    };
+    const invalid = validateBlock(changes);
+    if (invalid) {
+      return res.status(invalid.status).json({ success: false, message: invalid.message });
+    }
+
+    const roomType = await findRoomType(block.room_type_id);
+    const room = block.room_id ? await findRoom({ roomId: block.room_id }) : null;
+    const updates = {
+      ...changes,
+      start_date: toDateKey(changes.start_date),
+      end_date: toDateKey(changes.end_date),
+      reason: String(changes.reason).trim(),
+      updated_at: new Date().toISOString()
+    };
+
+    const result = await withRoomTypeLock(block.room_type_id, async () => {
+      const conflicts = await findBlockConflicts(roomType, updates, { room, excludeBlockId: block.id });
+      if (hasConflicts(conflicts) && !(req.body.force && req.user.role === 'superadmin')) {
+        return { conflicts };
+      }
+
+      const { data, error } = await supabase
+        .from('room_blocks')
+        .update(updates)
+        .eq('id', block.id)
+        .is('released_at', null)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to update room block: ${error.message}`);
+      }
+      return { block: data, conflicts };
+    });
+
+    if (!result.block) {
+      return res.status(409).json(hasConflicts(result.conflicts)
+        ? buildBlockConflictResponse(roomType, result.conflicts)
+        : { success: false, message: 'The block was released meanwhile' });
+    }
+
+    // A shorter or smaller block frees rooms for the waitlist
+    setImmediate(() => notifyWaitlist(block.room_type_id));
+
+    res.json({
+      success: true,
+      data: result.block,
+      conflicts: hasConflicts(result.conflicts) ? result.conflicts : undefined,
+      message: 'Room block updated successfully'
+    });
+  } catch (error) {
+    console.error('Update room block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE release a block - its rooms go back on sale (superadmin, supervisor)
+router.delete('/:id', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    const { data: block, error } = await supabase
+      .from('room_blocks')
+      .update({
+        released_at: new Date().toISOString(),
+        released_by: req.user?.id || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .is('released_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active room block with this id'
+      });
+    }
+
+    console.log(`✅ Room block ${block.id} released by ${req.user.role}`);
+    setImmediate(() => notifyWaitlist(block.room_type_id));
+
+    res.json({
+      success: true,
+      data: block,
+      message: 'Room block released - the rooms are back on sale'
+    });
+  } catch (error) {
+    console.error('Release room block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,11 @@ const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
 const { requireRole } = require('../middleware/auth');
 const { cacheMiddleware, invalidateCache } = require('../utils/cache');
+const { findRoomType, getRoomTypes, getRoomTypesBySlug, toRoomTypeDetails } = require('../utils/room-types');
+const { ROOM_FREEING_STATUSES, ROOM_FREEING_STATUS_FILTER } = require('../utils/booking-status');
+const { getRoomCountsByType } = require('../utils/rooms');
+const { getNightlyAvailability, eachNight, toDateKey } = require('../utils/availability');
+const { getActiveBlocks, countBlockedRooms } = require('../utils/room-blocks');
 
 // Cache keys
 const CACHE_KEYS = {
@@ -16,49 +21,8 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Room type definitions (should match frontend)
-const ROOM_TYPES = {
-  'classic-single': {
-    room_type: "Classic Single",
-    price_per_night: 24900,
-    max_occupancy: 2,
-    amenities: "Complimentary breakfast, free Wi-Fi, gym and pool (1 guest)",
-    description: "Just a bed, smart TV and active intercom.",
-    image: "/assets/images/classic_single_room.jpg",
-  },
-  'deluxe': {
-    room_type: "Deluxe",
-    price_per_night: 30500,
-    max_occupancy: 2,
-    amenities: "Complimentary breakfast, free Wi-Fi, gym and pool (1 guest)",
-    description: "Just a bed, smart TV and active intercom.",
-    image: "/assets/images/deluxe_room.jpg",
-  },
-  'deluxe-large': {
-    room_type: "Deluxe Large",
-    price_per_night: 35900,
-    max_occupancy: 2,
-    amenities: "Complimentary breakfast, free Wi-Fi, gym and pool (1 guest)",
-    description: "Just a bed, smart TV and active intercom.",
-    image: "/assets/images/deluxe_large_room.jpg",
-  },
-  'business-suite': {
-    room_type: "Business Suite",
-    price_per_night: 49900,
-    max_occupancy: 4,
-    amenities: "Complimentary breakfast, free Wi-Fi, gym and pool (2 guests)",
-    description: "Sitting room and bedroom with quality sofa, intercom and smart TV in each room.",
-    image: "/assets/images/business_suite_room.jpg",
-  },
-  'executive-suite': {
-    room_type: "Executive Suite",
-    price_per_night: 54900,
-    max_occupancy: 4,
-    amenities: "Complimentary breakfast, free Wi-Fi, gym and pool (2 guests)",
-    description: "Sitting room and bedroom with quality sofa, intercom and smart TV in each room.",
-    image: "/assets/images/executive_suite_room.jpg",
-  },
-};
+// Longest range the availability calendar will compute in one request
+const MAX_CALENDAR_NIGHTS = 92;
 
 // GET available rooms for public (no auth required - FAST!)
 router.get('/available', async (req, res) => {
@@ -83,26 +47,32 @@ router.get('/available', async (req, res) => {
       });
     }
 
+    const roomTypesBySlug = await getRoomTypesBySlug();
+
     // Pre-build the response with room type details (faster than mapping)
-    const availableRooms = (data || []).map(inventory => {
-      const roomType = ROOM_TYPES[inventory.room_type_id];
-      return {
-        id: inventory.room_type_id, // Use room_type_id as id for booking form
-        room_type: roomType?.room_type || 'Unknown',
-        price_per_night: roomType?.price_per_night || 0,
-        max_occupancy: roomType?.max_occupancy || 1,
-        amenities: roomType?.amenities || '',
-        description: roomType?.description || '',
-        image: roomType?.image || '',
-        available_rooms: inventory.available_rooms,
-        total_rooms: inventory.total_rooms,
-        status: inventory.status,
-        // Additional fields for compatibility
-        name: roomType?.room_type || 'Unknown',
-        type: roomType?.room_type || 'Unknown',
-        price: roomType?.price_per_night || 0
-      };
-    });
+    // Inactive room types are hidden from the public booking form
+    const availableRooms = (data || [])
+      .filter(inventory => roomTypesBySlug[inventory.room_type_id]?.is_active)
+      .map(inventory => {
+        const roomType = toRoomTypeDetails(roomTypesBySlug[inventory.room_type_id]);
+        return {
+          id: inventory.room_type_id, // Use room_type_id as id for booking form
+          room_type: roomType.room_type,
+          price_per_night: roomType.price_per_night,
+          max_occupancy: roomType.max_occupancy,
+          amenities: roomType.amenities,
+          description: roomType.description,
+          image: roomType.image,
+          images: roomType.images,
+          available_rooms: inventory.available_rooms,
+          total_rooms: inventory.total_rooms,
+          status: inventory.status,
+          // Additional fields for compatibility
+          name: roomType.room_type,
+          type: roomType.room_type,
+          price: roomType.price_per_night
+        };
+      });
     
     res.json({
       success: true,
@@ -135,22 +105,24 @@ router.get('/check-availability', async (req, res) => {
     const checkInDate = new Date(check_in);
     const checkOutDate = new Date(check_out);
     
-    if (checkInDate >= checkOutDate) {
+    if (isNaN(checkInDate) || isNaN(checkOutDate) || eachNight(check_in, check_out).length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Check-out date must be after check-in date'
       });
     }
 
+    const roomType = await findRoomType(room_type_id, { includeInactive: false });
+
     // Get room inventory for the requested room type
     const { data: inventoryData, error: inventoryError } = await supabase
       .from('room_inventory')
-      .select('available_rooms, total_rooms, status')
-      .eq('room_type_id', room_type_id)
+      .select('total_rooms, status')
+      .eq('room_type_id', roomType?.slug)
       .eq('is_active', true)
       .single();
 
-    if (inventoryError || !inventoryData) {
+    if (!roomType || inventoryError || !inventoryData) {
       return res.status(404).json({
         success: false,
         message: 'Room type not found or not available'
@@ -158,7 +130,7 @@ router.get('/check-availability', async (req, res) => {
     }
 
     // Check if room type is generally available
-    if (inventoryData.status !== 'Available' || inventoryData.available_rooms <= 0) {
+    if (inventoryData.status !== 'Available') {
       return res.json({
         success: true,
         available: false,
@@ -166,50 +138,20 @@ router.get('/check-availability', async (req, res) => {
       });
     }
 
-    // Check for existing bookings that overlap with requested dates
-    // Note: We'll skip booking overlap check for now and rely on inventory count
-    // since we're transitioning from individual room IDs to room types
-    let bookings = [];
-    let bookingsError = null;
-    
-    // Try to check bookings, but don't fail if there's a UUID mismatch
-    try {
-      const { data: bookingData, error: bookingQueryError } = await supabase
-        .from('bookings')
-        .select('check_in, check_out')
-        .eq('room_id', room_type_id)
-        .neq('status', 'cancelled')
-        .or(`and(check_in.lt.${check_out},check_out.gt.${check_in})`);
-      
-      if (bookingQueryError && !bookingQueryError.message.includes('uuid')) {
-        // Only consider it an error if it's not a UUID format issue
-        bookingsError = bookingQueryError;
-        console.error('Error checking bookings:', bookingsError);
-      } else {
-        bookings = bookingData || [];
-      }
-    } catch (error) {
-      console.log('Booking check skipped due to format mismatch:', error.message);
-      bookings = [];
-    }
-
-    if (bookingsError) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error checking availability'
-      });
-    }
-
-    // Calculate how many rooms are booked during the requested period
-    const bookedRooms = bookings ? bookings.length : 0;
-    const availableForBooking = inventoryData.available_rooms - bookedRooms;
+    // Count active bookings (by room type UUID) for every night of the stay
+    const availability = await getNightlyAvailability([roomType], check_in, check_out);
+    const nights = availability[roomType.id];
+    const fullNights = nights.filter(night => night.free < 1);
+    const availableForBooking = Math.min(...nights.map(night => night.free));
 
     res.json({
       success: true,
-      available: availableForBooking > 0,
+      available: fullNights.length === 0,
       available_rooms: Math.max(0, availableForBooking),
-      total_rooms: inventoryData.total_rooms,
-      message: availableForBooking > 0 ? 'Room is available for booking' : 'No rooms available for the selected dates'
+      total_rooms: nights[0].total,
+      full_nights: fullNights.map(night => night.date),
+      can_waitlist: fullNights.length > 0, // Sold-out dates can be waitlisted (POST /waitlist)
+      message: fullNights.length === 0 ? 'Room is available for booking' : 'No rooms available for the selected dates'
     });
 
   } catch (error) {
@@ -222,6 +164,71 @@ router.get('/check-availability', async (req, res) => {
   }
 });
 
+// GET per-night availability calendar (public endpoint - booking widget and dashboard)
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (to is exclusive, defaults to 30 nights) &room_type=<slug|uuid>
+router.get('/calendar', async (req, res) => {
+  try {
+    const { room_type } = req.query;
+    const from = req.query.from || toDateKey(new Date());
+    const to = req.query.to || toDateKey(new Date(new Date(from).getTime() + 30 * 24 * 60 * 60 * 1000));
+
+    if (isNaN(new Date(from)) || isNaN(new Date(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates (YYYY-MM-DD)'
+      });
+    }
+
+    const nightCount = eachNight(from, to).length;
+    if (nightCount < 1 || nightCount > MAX_CALENDAR_NIGHTS) {
+      return res.status(400).json({
+        success: false,
+        message: `to must be after from and cover at most ${MAX_CALENDAR_NIGHTS} nights`
+      });
+    }
+
+    let roomTypes;
+    if (room_type) {
+      const roomType = await findRoomType(room_type, { includeInactive: false });
+      if (!roomType) {
+        return res.status(404).json({
+          success: false,
+          message: 'Room type not found'
+        });
+      }
+      roomTypes = [roomType];
+    } else {
+      roomTypes = await getRoomTypes();
+    }
+
+    const availability = await getNightlyAvailability(roomTypes, from, to);
+
+    const calendar = roomTypes.map(roomType => ({
+      room_type_id: roomType.slug,
+      room_type_uuid: roomType.id,
+      room_type: roomType.name,
+      nights: availability[roomType.id].map(night => ({
+        ...night,
+        free: Math.max(0, night.free)
+      }))
+    }));
+
+    res.json({
+      success: true,
+      from: toDateKey(from),
+      to: toDateKey(to),
+      data: calendar,
+      message: 'Availability calendar retrieved successfully'
+    });
+  } catch (error) {
+    console.error('❌ Availability calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // GET room inventory with dynamic availability calculation (for dashboard)
 router.get('/dashboard', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
   try {
@@ -238,21 +245,43 @@ router.get('/dashboard', requireRole(['superadmin', 'supervisor', 'receptionist'
       });
     }
 
-    // Room type UUIDs for booking queries
-    const ROOM_TYPE_UUIDS = {
-      'classic-single': '11111111-1111-1111-1111-111111111111',
-      'deluxe': '22222222-2222-2222-2222-222222222222', 
-      'deluxe-large': '33333333-3333-3333-3333-333333333333',
-      'business-suite': '44444444-4444-4444-4444-444444444444',
-      'executive-suite': '55555555-5555-5555-5555-555555555555'
-    };
+    // Room type UUIDs for booking queries come from the catalog
+    const roomTypesBySlug = await getRoomTypesBySlug();
+
+    // Physical room counts per room type (registered rooms are the source of truth)
+    const roomCounts = await getRoomCountsByType();
 
-    // Statuses that free up rooms (must match bookings.js ROOM_FREEING_STATUSES)
-    const ROOM_FREEING_STATUSES = ['checked_out', 'completed', 'cancelled', 'no_show', 'voided'];
+    // Rooms taken off sale tonight by room blocks
+    const today = toDateKey(new Date());
+    const tomorrow = toDateKey(new Date(Date.now() + 24 * 60 * 60 * 1000));
+    const roomTypeUuids = Object.values(roomTypesBySlug).map(roomType => roomType.id);
+    const blocks = roomTypeUuids.length > 0 ? await getActiveBlocks(roomTypeUuids, today, tomorrow) : [];
 
     // Calculate real-time availability for each room type
     const enhancedData = await Promise.all((inventoryData || []).map(async (inventory) => {
-      const roomUuid = ROOM_TYPE_UUIDS[inventory.room_type_id];
+      const roomUuid = roomTypesBySlug[inventory.room_type_id]?.id;
+      const counts = roomUuid ? roomCounts[roomUuid] : null;
+      
+      // Fall back to the inventory count until physical rooms are registered for this type
+      const roomStats = counts
+        ? {
+            total_rooms: counts.total,
+            clean_rooms: counts.clean,
+            dirty_rooms: counts.dirty,
+            out_of_order_rooms: counts.out_of_order,
+            room_count_source: 'rooms'
+          }
+        : {
+            total_rooms: inventory.total_rooms,
+            clean_rooms: null,
+            dirty_rooms: null,
+            out_of_order_rooms: 0,
+            room_count_source: 'inventory'
+          };
+      roomStats.blocked_rooms = roomUuid
+        ? countBlockedRooms(blocks.filter(block => block.room_type_id === roomUuid), today)
+        : 0;
+      const sellableRooms = roomStats.total_rooms - roomStats.out_of_order_rooms - roomStats.blocked_rooms;
       
       if (roomUuid) {
         // Get current ACTIVE bookings (exclude all room-freeing statuses)
@@ -260,24 +289,25 @@ router.get('/dashboard', requireRole(['superadmin', 'supervisor', 'receptionist'
           .from('bookings')
           .select('*')
           .eq('room_id', roomUuid)
-          .not('status', 'in', `(${ROOM_FREEING_STATUSES.join(',')})`) // Exclude all room-freeing statuses
+          .not('status', 'in', ROOM_FREEING_STATUS_FILTER) // Exclude all room-freeing statuses
           .gte('check_out', new Date().toISOString().split('T')[0]); // Future or current bookings
 
         if (!bookingsError) {
           const bookedRooms = activeBookings ? activeBookings.length : 0;
-          const dynamicAvailableRooms = Math.max(0, inventory.total_rooms - bookedRooms);
+          const dynamicAvailableRooms = Math.max(0, sellableRooms - bookedRooms);
           
           // Debug logging
           console.log(`✅ Dynamic availability for ${inventory.room_type_id}:`);
-          console.log(`  - Total rooms: ${inventory.total_rooms}`);  
+          console.log(`  - Total rooms: ${roomStats.total_rooms} (${roomStats.room_count_source}, ${roomStats.out_of_order_rooms} out of order, ${roomStats.blocked_rooms} blocked)`);  
           console.log(`  - Active bookings (excluding ${ROOM_FREEING_STATUSES.join(', ')}): ${bookedRooms}`);
           console.log(`  - Available rooms: ${dynamicAvailableRooms}`);
           
           return {
             ...inventory,
+            ...roomStats,
             available_rooms: dynamicAvailableRooms, // Override with dynamic calculation
             booked_rooms: bookedRooms,
-            room_type_details: ROOM_TYPES[inventory.room_type_id] || null
+            room_type_details: toRoomTypeDetails(roomTypesBySlug[inventory.room_type_id])
           };
         }
       }
@@ -285,8 +315,10 @@ router.get('/dashboard', requireRole(['superadmin', 'supervisor', 'receptionist'
       // Fallback to inventory data
       return {
         ...inventory,
+        ...roomStats,
+        available_rooms: inventory.available_rooms,
         booked_rooms: inventory.total_rooms - inventory.available_rooms,
-        room_type_details: ROOM_TYPES[inventory.room_type_id] || null
+        room_type_details: toRoomTypeDetails(roomTypesBySlug[inventory.room_type_id])
       };
     }));
     
@@ -320,9 +352,10 @@ router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async
     }
     
     // Enhance data with room type details
+    const roomTypesBySlug = await getRoomTypesBySlug();
     const enhancedData = (data || []).map(inventory => ({
       ...inventory,
-      room_type_details: ROOM_TYPES[inventory.room_type_id] || null
+      room_type_details: toRoomTypeDetails(roomTypesBySlug[inventory.room_type_id])
     }));
     
     res.json({
@@ -356,8 +389,9 @@ router.get('/available', async (req, res) => {
     }
     
     // Format for public consumption (like the original rooms endpoint)
+    const roomTypesBySlug = await getRoomTypesBySlug();
     const publicRooms = (data || []).map(inventory => {
-      const roomType = ROOM_TYPES[inventory.room_type_id];
+      const roomType = toRoomTypeDetails(roomTypesBySlug[inventory.room_type_id]);
       return {
         id: inventory.id,
         room_type: roomType?.room_type || 'Unknown',
@@ -398,8 +432,9 @@ router.post('/', requireRole(['superadmin']), async (req, res) => {
       });
     }
 
-    // Validate room type exists
-    if (!ROOM_TYPES[room_type_id]) {
+    // Validate room type exists in the catalog
+    const roomType = await findRoomType(room_type_id);
+    if (!roomType || roomType.slug !== room_type_id) {
       return res.status(400).json({
         success: false,
         message: 'Invalid room type ID'
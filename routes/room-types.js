@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const {
+  getRoomTypes,
+  findRoomType,
+  toRoomTypeDetails,
+  invalidateRoomTypes
+} = require('../utils/room-types');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Validate and normalize a room type payload (partial for updates)
+function buildRoomTypeFields(body, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || !String(body.name).trim()) {
+      errors.push('Name is required');
+    } else {
+      fields.name = String(body.name).trim();
+    }
+  }
+
+  if (body.slug !== undefined || !partial) {
+    if (!body.slug || !SLUG_PATTERN.test(body.slug)) {
+      errors.push('Slug is required and must be lowercase letters, numbers and hyphens (e.g. deluxe-large)');
+    } else {
+      fields.slug = body.slug;
+    }
+  }
+
+  if (body.price_per_night !== undefined || !partial) {
+    const price = parseFloat(body.price_per_night);
+    if (isNaN(price) || price < 0) {
+      errors.push('A valid price_per_night is required');
+    } else {
+      fields.price_per_night = price;
+    }
+  }
+
+  if (body.max_occupancy !== undefined) {
+    const occupancy = parseInt(body.max_occupancy);
+    if (isNaN(occupancy) || occupancy < 1) {
+      errors.push('max_occupancy must be at least 1');
+    } else {
+      fields.max_occupancy = occupancy;
+    }
+  }
+
+  if (body.amenities !== undefined) {
+    fields.amenities = Array.isArray(body.amenities) ? body.amenities.join(', ') : body.amenities;
+  }
+
+  if (body.description !== undefined) {
+    fields.description = body.description;
+  }
+
+  if (body.images !== undefined) {
+    const images = Array.isArray(body.images) ? body.images : [body.images];
+    if (images.some(image => typeof image !== 'string')) {
+      errors.push('images must be a list of image URLs');
+    } else {
+      fields.images = images.filter(Boolean);
+    }
+  }
+
+  if (body.cancellation_policy_id !== undefined) {
+    if (body.cancellation_policy_id && !UUID_PATTERN.test(body.cancellation_policy_id)) {
+      errors.push('cancellation_policy_id must be a policy id');
+    } else {
+      fields.cancellation_policy_id = body.cancellation_policy_id || null; // null uses the default policy
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active !== false;
+  }
+
+  return { errors, fields };
+}
+
+// GET all active room types (public - used by the booking form)
+router.get('/', async (req, res) => {
+  try {
+    const roomTypes = await getRoomTypes();
+
+    res.json({
+      success: true,
+      data: roomTypes.map(toRoomTypeDetails),
+      message: 'Room types retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get room types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET every room type including inactive ones (superadmin catalog management)
+router.get('/all', requireRole(['superadmin', 'supervisor']), async (req, res) => {
+  try {
+    const roomTypes = await getRoomTypes({ includeInactive: true });
+
+    res.json({
+      success: true,
+      data: roomTypes,
+      message: 'Room types retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get all room types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET single room type by UUID or slug (public)
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const roomType = await findRoomType(req.params.idOrSlug, { includeInactive: false });
+
+    if (!roomType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room type not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toRoomTypeDetails(roomType)
+    });
+  } catch (error) {
+    console.error('Get room type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST create room type (superadmin only)
+router.post('/', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { errors, fields } = buildRoomTypeFields(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const existing = await findRoomType(fields.slug);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A room type with slug '${fields.slug}' already exists`
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('room_types')
+      .insert([{ ...fields, is_active: fields.is_active !== false }])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    invalidateRoomTypes();
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Room type created successfully'
+    });
+  } catch (error) {
+    console.error('Create room type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT update room type (superadmin only)
+router.put('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { errors, fields } = buildRoomTypeFields(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const roomType = await findRoomType(id);
+    if (!roomType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room type not found'
+      });
+    }
+
+    // Slug is referenced by room_inventory - refuse renames that collide
+    if (fields.slug && fields.slug !== roomType.slug) {
+      const clash = await findRoomType(fields.slug);
+      if (clash) {
+        return res.status(400).json({
+          success: false,
+          message: `A room type with slug '${fields.slug}' already exists`
+        });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('room_types')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', roomType.id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Keep room_inventory pointing at the renamed slug
+    if (fields.slug && fields.slug !== roomType.slug) {
+      const { error: inventoryError } = await supabase
+        .from('room_inventory')
+        .update({ room_type_id: fields.slug })
+        .eq('room_type_id', roomType.slug);
+
+      if (inventoryError) {
+        console.error('Failed to move room inventory to new slug:', inventoryError);
+      }
+    }
+
+    invalidateRoomTypes();
+
+    res.json({
+      success: true,
+      data,
+      message: 'Room type updated successfully'
+    });
+  } catch (error) {
+    console.error('Update room type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE (deactivate) room type (superadmin only)
+// Existing bookings keep resolving the name, but it can no longer be booked
+router.delete('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const roomType = await findRoomType(req.params.id);
+    if (!roomType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room type not found'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('room_types')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', roomType.id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    invalidateRoomTypes();
+
+    res.json({
+      success: true,
+      data,
+      message: 'Room type deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete room type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
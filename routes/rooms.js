@@ -0,0 +1,301 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const { findRoomType, getRoomTypesById } = require('../utils/room-types');
+const { ROOM_STATUSES } = require('../utils/rooms');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// GET all rooms (all front-office staff can view)
+// Optional filters: ?room_type=<uuid|slug>&status=clean|dirty|out_of_order&floor=1
+router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { room_type, status, floor } = req.query;
+
+    let query = supabase
+      .from('rooms')
+      .select('*')
+      .eq('is_active', true)
+      .order('room_number', { ascending: true });
+
+    if (room_type) {
+      const roomType = await findRoomType(room_type);
+      if (!roomType) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid room type'
+        });
+      }
+      query = query.eq('room_type_id', roomType.id);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (floor !== undefined) {
+      query = query.eq('floor', parseInt(floor));
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const roomTypesById = await getRoomTypesById();
+    const enrichedRooms = (data || []).map(room => ({
+      ...room,
+      room_type: roomTypesById[room.room_type_id]?.name || 'Unknown Room',
+      room_type_slug: roomTypesById[room.room_type_id]?.slug
+    }));
+
+    res.json({
+      success: true,
+      data: enrichedRooms,
+      message: 'Rooms retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get rooms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST add a physical room (superadmin only)
+router.post('/', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { room_number, floor, room_type_id, status, notes } = req.body;
+
+    if (!room_number || !room_type_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Room number and room type are required'
+      });
+    }
+
+    if (status && !ROOM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Valid statuses: ' + ROOM_STATUSES.join(', ')
+      });
+    }
+
+    const roomType = await findRoomType(room_type_id, { includeInactive: false });
+    if (!roomType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid room type ID'
+      });
+    }
+
+    const { data: existing } = await supabase
+      .from('rooms')
+      .select('id')
+      .eq('room_number', String(room_number))
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Room ${room_number} already exists`
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('rooms')
+      .insert([
+        {
+          room_number: String(room_number),
+          floor: floor !== undefined && floor !== null ? parseInt(floor) : null,
+          room_type_id: roomType.id,
+          status: status || 'clean',
+          notes: notes || null,
+          is_active: true
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Room created successfully'
+    });
+  } catch (error) {
+    console.error('Create room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT update room details (superadmin only)
+router.put('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { room_number, floor, room_type_id, status, notes } = req.body;
+    const updates = {};
+
+    if (room_number !== undefined) updates.room_number = String(room_number);
+    if (floor !== undefined) updates.floor = floor === null ? null : parseInt(floor);
+    if (notes !== undefined) updates.notes = notes;
+
+    if (status !== undefined) {
+      if (!ROOM_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid status. Valid statuses: ' + ROOM_STATUSES.join(', ')
+        });
+      }
+      updates.status = status;
+    }
+
+    if (room_type_id !== undefined) {
+      const roomType = await findRoomType(room_type_id, { includeInactive: false });
+      if (!roomType) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid room type ID'
+        });
+      }
+      updates.room_type_id = roomType.id;
+    }
+
+    const { data, error } = await supabase
+      .from('rooms')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data[0],
+      message: 'Room updated successfully'
+    });
+  } catch (error) {
+    console.error('Update room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PATCH housekeeping status (front-office staff)
+router.patch('/:id/status', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    if (!status || !ROOM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Valid statuses: ' + ROOM_STATUSES.join(', ')
+      });
+    }
+
+    const updates = { status, updated_at: new Date().toISOString() };
+    if (notes !== undefined) updates.notes = notes;
+
+    const { data, error } = await supabase
+      .from('rooms')
+      .update(updates)
+      .eq('id', id)
+      .eq('is_active', true)
+      .select();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    console.log(`🧹 Room ${data[0].room_number} marked ${status} by ${req.user.staff_id}`);
+
+    res.json({
+      success: true,
+      data: data[0],
+      message: `Room marked ${status}`
+    });
+  } catch (error) {
+    console.error('Update room status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE (deactivate) room (superadmin only)
+router.delete('/:id', requireRole(['superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('rooms')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data[0],
+      message: 'Room deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -8,7 +8,7 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// GET all transactions (bookings + bar sales)
+// GET all transactions (bookings + bar sales + refunds)
 router.get(
   '/',
   requireRole(['superadmin', 'supervisor', 'receptionist']),
@@ -16,6 +16,7 @@ router.get(
     try {
       let bookings = [];
       let barSales = [];
+      let refunds = [];
       
       // Fetch bookings with error handling
       try {
@@ -41,6 +42,21 @@ router.get(
         console.error('Bar sales fetch exception:', barSalesErr);
       }
 
+      // Fetch refunds that have left (or are leaving) the hotel
+      try {
+        const refundsResult = await supabase
+          .from('refunds')
+          .select('*')
+          .in('status', ['processing', 'completed']);
+        if (refundsResult.error) {
+          console.error('Refunds fetch error:', refundsResult.error);
+        } else {
+          refunds = refundsResult.data || [];
+        }
+      } catch (refundsErr) {
+        console.error('Refunds fetch exception:', refundsErr);
+      }
+
       // Combine and format transactions
       const allTransactions = [];
       
@@ -50,7 +66,8 @@ router.get(
           allTransactions.push({
             id: `booking_${booking.id}`,
             type: 'booking',
-            amount: booking.amount_paid || 0,
+            // What was taken; refunds appear as their own negative entries
+            amount: Number(booking.amount_paid || 0) + Number(booking.refunded_amount || 0),
             description: `Room booking - ${booking.room_number || 'N/A'}`,
             created_at: booking.check_in || booking.created_at || booking.booking_date,
             transaction_date: booking.check_in || booking.created_at || booking.booking_date,
@@ -61,8 +78,9 @@ router.get(
       }
       
       // Add bar sales as transactions
+      // Sales charged to a room are paid through the booking's folio, so they show up in its amount
       if (barSales) {
-        barSales.forEach(sale => {
+        barSales.filter(sale => !sale.booking_id).forEach(sale => {
           allTransactions.push({
             id: `sale_${sale.id}`,
             type: 'bar_sale',
@@ -77,6 +95,21 @@ router.get(
         });
       }
       
+      // Add refunds as negative transactions
+      refunds.forEach(refund => {
+        allTransactions.push({
+          id: `refund_${refund.id}`,
+          type: 'refund',
+          amount: -Number(refund.amount),
+          description: `Refund - ${refund.reason || 'Booking refund'}`,
+          created_at: refund.completed_at || refund.created_at,
+          transaction_date: refund.completed_at || refund.created_at,
+          reference: refund.booking_id,
+          provider: refund.provider,
+          status: refund.status
+        });
+      });
+      
       // Sort by date (newest first)
       allTransactions.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
       
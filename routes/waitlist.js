@@ -0,0 +1,462 @@
+const express = require('express');
+const router = express.Router();
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+const { requireRole } = require('../middleware/auth');
+const { findRoomType } = require('../utils/room-types');
+const { getNightlyAvailability, toDateKey } = require('../utils/availability');
+const { buildQuote } = require('../utils/pricing');
+const { reserveBooking, buildConflictResponse } = require('../utils/reservations');
+const { findOrCreateGuest, normalizeEmail } = require('../utils/guests');
+const { toPublicBooking } = require('../utils/guest-portal');
+const {
+  DEFAULT_PAYMENT_PROVIDER,
+  PAYMENT_PROVIDER_NAMES,
+  getPaymentProvider
+} = require('../utils/payment-providers');
+const {
+  WAITLIST_STATUSES,
+  findEntryByToken,
+  isHoldActive,
+  notifyWaitlist,
+  withRoomNames
+} = require('../utils/waitlist');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const NOTES_MAX_LENGTH = 500;
+
+// Entries still in the queue - a guest can't join twice for the same stay
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// Joining and claiming are public - keep them tight
+const waitlistLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  }
+});
+
+// Load the entry an offer link points at, or send 404
+async function loadOffer(req, res) {
+  const entry = await findEntryByToken(req.params.token);
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Offer not found'
+    });
+    return null;
+  }
+  return entry;
+}
+
+// What the guest sees on the offer page
+const toPublicOffer = (entry, roomType) => ({
+  status: isHoldActive(entry) ? 'offered' : entry.status,
+  guest_first_name: String(entry.guest_name || '').trim().split(/\s+/)[0] || null,
+  room_name: roomType?.name || 'Unknown Room',
+  check_in: entry.check_in,
+  check_out: entry.check_out,
+  guests: entry.guests,
+  hold_expires_at: entry.hold_expires_at
+});
+
+// POST join the waitlist for a sold-out room type and dates (public endpoint)
+router.post('/', waitlistLimiter, async (req, res) => {
+  try {
+    const { room_id, check_in, check_out, guests, guest_name, guest_email, guest_phone, notes } = req.body;
+
+    if (!room_id || !check_in || !check_out || !guest_name || !guest_email) {
+      return res.status(400).json({
+        success: false,
+        message: 'room_id, check_in, check_out, guest_name and guest_email are required'
+      });
+    }
+
+    const nights = (new Date(check_out) - new Date(check_in)) / (1000 * 60 * 60 * 24);
+    if (!(nights > 0)) {
+      return res.status(400).json({ success: false, message: 'Invalid date range' });
+    }
+    if (toDateKey(check_in) < toDateKey(new Date())) {
+      return res.status(400).json({ success: false, message: 'Check-in date has already passed' });
+    }
+    if (notes && String(notes).length > NOTES_MAX_LENGTH) {
+      return res.status(400).json({ success: false, message: `notes must be at most ${NOTES_MAX_LENGTH} characters` });
+    }
+
+    const roomType = await findRoomType(room_id, { includeInactive: false });
+    if (!roomType) {
+      return res.status(400).json({ success: false, message: 'Invalid room type selected' });
+    }
+
+    // Only sold-out stays are waitlisted - otherwise the guest can book right away
+    const availability = await getNightlyAvailability([roomType], check_in, check_out);
+    if (availability[roomType.id].every(night => night.free > 0)) {
+      return res.status(409).json({
+        success: false,
+        message: `${roomType.name} is available for these dates - please book it directly`,
+        code: 'ROOM_AVAILABLE'
+      });
+    }
+
+    const email = normalizeEmail(guest_email);
+    const { data: existing, error: existingError } = await supabase
+      .from('waitlist_entries')
+      .select('*')
+      .eq('room_type_id', roomType.id)
+      .eq('guest_email', email)
+      .eq('check_in', toDateKey(check_in))
+      .eq('check_out', toDateKey(check_out))
+      .in('status', OPEN_STATUSES)
+      .limit(1);
+
+    if (existingError) {
+      throw new Error(existingError.message);
+    }
+    if (existing && existing.length > 0) {
+      return res.json({
+        success: true,
+        data: toPublicOffer(existing[0], roomType),
+        message: 'You are already on the waitlist for these dates'
+      });
+    }
+
+    const guest = await findOrCreateGuest({ name: guest_name, email: guest_email, phone: guest_phone });
+    if (guest.is_blacklisted) {
+      console.warn(`🚫 Waitlist request refused for blacklisted guest ${guest.id}`);
+      return res.status(403).json({
+        success: false,
+        message: 'We are unable to accept this request online - please contact the hotel',
+        code: 'BOOKING_REFUSED'
+      });
+    }
+
+    const { data: entry, error } = await supabase
+      .from('waitlist_entries')
+      .insert({
+        room_type_id: roomType.id,
+        check_in: toDateKey(check_in),
+        check_out: toDateKey(check_out),
+        guests: parseInt(guests) || 1,
+        guest_name: String(guest_name).trim(),
+        guest_email: email,
+        guest_phone: guest_phone || null,
+        guest_id: guest.id,
+        notes: notes ? String(notes).trim() : null,
+        created_by_role: 'client'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.log(`📝 ${email} joined the ${roomType.slug} waitlist (${entry.check_in} → ${entry.check_out})`);
+
+    res.status(201).json({
+      success: true,
+      data: toPublicOffer(entry, roomType),
+      message: 'You are on the waitlist - we will email you if a room becomes available'
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join the waitlist'
+    });
+  }
+});
+
+// GET waitlist entries (front-office staff), optional ?status= and ?room_id=
+router.get('/', requireRole(['superadmin', 'supervisor', 'receptionist']), async (req, res) => {
+  try {
+    const { status, room_id } = req.query;
+
+    if (status && !WAITLIST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${WAITLIST_STATUSES.join(', ')}`
+      });
+    }
+
+    let query = supabase
+      .from('waitlist_entries')
+      .select('*')
+      .order('created_at', { ascending: true })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500));
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (room_id) {
+      const roomType = await findRoomType(room_id);
+      if (!roomType) {
+        return res.status(400).json({ success: false, message: 'Invalid room type selected' });
+      }
+      query = query.eq('room_type_id', roomType.id);
+    }
+
+    const { data: entries, error } = await query;
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await withRoomNames(entries || []),
+      message: 'Waitlist retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE remove a guest from the waitlist (superadmin, receptionist)
+// A room held for them goes to the next guest in line
+router.delete('/:id', requireRole(['superadmin', 'receptionist']), async (req, res) => {
+  try {
+    const { data: entry, error } = await supabase
+      .from('waitlist_entries')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .in('status', OPEN_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open waitlist entry with this id'
+      });
+    }
+
+    if (entry.offered_at) {
+      setImmediate(() => notifyWaitlist(entry.room_type_id));
+    }
+
+    console.log(`🗑️ Waitlist entry ${entry.id} removed by ${req.user.role}`);
+
+    res.json({
+      success: true,
+      message: 'Guest removed from the waitlist'
+    });
+  } catch (error) {
+    console.error('Remove waitlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET an offer with the price of the stay (public endpoint for the offer link)
+router.get('/offers/:token', waitlistLimiter, async (req, res) => {
+  try {
+    const entry = await loadOffer(req, res);
+    if (!entry) return;
+
+    const roomType = await findRoomType(entry.room_type_id);
+    let quote = null;
+    if (isHoldActive(entry) && roomType) {
+      const result = await buildQuote({ roomType, checkIn: entry.check_in, checkOut: entry.check_out, guests: entry.guests });
+      quote = result.quote || null;
+    }
+
+    res.json({
+      success: true,
+      data: { ...toPublicOffer(entry, roomType), quote }
+    });
+  } catch (error) {
+    console.error('Get waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST claim a held room - books it as a pending online booking (public endpoint)
+// Pay with POST /payments/initiate { tx_ref } to confirm it
+router.post('/offers/:token/claim', waitlistLimiter, async (req, res) => {
+  try {
+    const entry = await loadOffer(req, res);
+    if (!entry) return;
+
+    if (!isHoldActive(entry)) {
+      return res.status(410).json({
+        success: false,
+        message: entry.status === 'booked' ? 'This offer has already been claimed' : 'This offer has expired',
+        code: 'OFFER_EXPIRED'
+      });
+    }
+
+    const paymentProvider = getPaymentProvider(req.body.payment_provider || DEFAULT_PAYMENT_PROVIDER);
+    if (!paymentProvider) {
+      return res.status(400).json({
+        success: false,
+        message: `payment_provider must be one of: ${PAYMENT_PROVIDER_NAMES.join(', ')}`
+      });
+    }
+
+    const roomType = await findRoomType(entry.room_type_id, { includeInactive: false });
+    if (!roomType) {
+      return res.status(409).json({
+        success: false,
+        message: 'This room type is no longer available - please contact the hotel'
+      });
+    }
+
+    const { quote, minStayViolation } = await buildQuote({ roomType, checkIn: entry.check_in, checkOut: entry.check_out, guests: entry.guests });
+    if (minStayViolation) {
+      return res.status(400).json({ success: false, message: minStayViolation.message });
+    }
+
+    const guest = await findOrCreateGuest({ name: entry.guest_name, email: entry.guest_email, phone: entry.guest_phone });
+    if (guest.is_blacklisted) {
+      console.warn(`🚫 Waitlist claim refused for blacklisted guest ${guest.id}`);
+      return res.status(403).json({
+        success: false,
+        message: 'We are unable to accept this booking online - please contact the hotel',
+        code: 'BOOKING_REFUSED'
+      });
+    }
+
+    // The guest's own hold doesn't count against them
+    const result = await reserveBooking({
+      roomType,
+      excludeWaitlistId: entry.id,
+      bookingData: {
+        room_id: roomType.id,
+        guest_id: guest.id,
+        guest_name: entry.guest_name,
+        guest_email: entry.guest_email,
+        guest_phone: entry.guest_phone,
+        check_in: entry.check_in,
+        check_out: entry.check_out,
+        guests: entry.guests,
+        payment_status: 'pending',
+        transaction_ref: `WL-${Date.now()}`,
+        status: 'pending',
+        is_vip: guest.is_vip,
+        base_total: quote.base_total,
+        discount_total: quote.discount_total,
+        transaction_fee: quote.transaction_fee,
+        tax_total: quote.tax_total,
+        total_amount: quote.total_amount,
+        nightly_breakdown: quote.nightly_breakdown,
+        cancellation_policy: quote.cancellation_policy || null,
+        discount_details: quote.discounts,
+        payment_method: paymentProvider.name,
+        created_by_role: 'client'
+      }
+    });
+
+    if (result.conflict) {
+      return res.status(409).json(buildConflictResponse(roomType, result.fullNights));
+    }
+    if (result.error) {
+      console.error('Waitlist claim booking error:', result.error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to book the held room'
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('waitlist_entries')
+      .update({
+        status: 'booked',
+        booking_id: result.booking.id,
+        guest_id: guest.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', entry.id)
+      .eq('status', 'offered');
+
+    if (updateError) {
+      console.error(`❌ Waitlist entry ${entry.id} booked as ${result.booking.transaction_ref} but not marked:`, updateError.message);
+    }
+
+    console.log(`✅ Waitlist offer claimed: ${result.booking.transaction_ref} (${roomType.slug}, ${entry.check_in} → ${entry.check_out})`);
+
+    res.status(201).json({
+      success: true,
+      data: toPublicBooking(result.booking, roomType),
+      message: `Room booked - pay ${result.booking.total_amount} with reference ${result.booking.transaction_ref} to confirm it`
+    });
+  } catch (error) {
+    console.error('Claim waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim the offer'
+    });
+  }
+});
+
+// POST decline an offer - the room goes to the next guest in line (public endpoint)
+router.post('/offers/:token/decline', waitlistLimiter, async (req, res) => {
+  try {
+    const entry = await loadOffer(req, res);
+    if (!entry) return;
+
+    const { data: declined, error } = await supabase
+      .from('waitlist_entries')
+      .update({ status: 'declined', updated_at: new Date().toISOString() })
+      .eq('id', entry.id)
+      .in('status', OPEN_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (!declined) {
+      return res.status(410).json({
+        success: false,
+        message: 'This offer is no longer open',
+        code: 'OFFER_EXPIRED'
+      });
+    }
+
+    setImmediate(() => notifyWaitlist(entry.room_type_id));
+
+    res.json({
+      success: true,
+      message: 'Offer declined - you have been removed from the waitlist'
+    });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+// Per-Night Room Availability
+const { createClient } = require('@supabase/supabase-js');
+const { ROOM_FREEING_STATUS_FILTER } = require('./booking-status');
+const { getRoomCountsByType } = require('./rooms');
+const { getActiveBlocks, countBlockedRooms } = require('./room-blocks');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Date Helpers
+ * Nights are identified by their YYYY-MM-DD date (the night of check-in onward)
+ */
+const toDateKey = (value) => new Date(value).toISOString().split('T')[0];
+
+const eachNight = (checkIn, checkOut) => {
+  const nights = [];
+  const end = new Date(toDateKey(checkOut)).getTime();
+
+  for (let day = new Date(toDateKey(checkIn)).getTime(); day < end; day += DAY_MS) {
+    nights.push(new Date(day).toISOString().split('T')[0]);
+  }
+  return nights;
+};
+
+// Does a booking occupy the room on the given night?
+const coversNight = (booking, night) => (
+  toDateKey(booking.check_in) <= night && night < toDateKey(booking.check_out)
+);
+
+/**
+ * Room Capacity
+ * Registered physical rooms are the source of truth; room types without any
+ * fall back to room_inventory.total_rooms. Out-of-order rooms are blocked.
+ */
+const getCapacityByType = async (roomTypes) => {
+  const roomCounts = await getRoomCountsByType();
+
+  const { data: inventory, error } = await supabase
+    .from('room_inventory')
+    .select('room_type_id, total_rooms')
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(`Failed to load room inventory: ${error.message}`);
+  }
+
+  return roomTypes.reduce((acc, roomType) => {
+    const counts = roomCounts[roomType.id];
+    const inventoryRow = (inventory || []).find(row => row.room_type_id === roomType.slug);
+
+    acc[roomType.id] = counts
+      ? { total: counts.total, blocked: counts.out_of_order }
+      : { total: inventoryRow?.total_rooms || 0, blocked: 0 };
+    return acc;
+  }, {});
+};
+
+// Active bookings of the given room types that overlap [from, to)
+const getActiveBookings = async (roomTypeIds, from, to, { excludeBookingId } = {}) => {
+  let query = supabase
+    .from('bookings')
+    .select('id, room_id, check_in, check_out, status, created_at')
+    .in('room_id', roomTypeIds)
+    .lt('check_in', to)
+    .gt('check_out', from)
+    .not('status', 'in', ROOM_FREEING_STATUS_FILTER)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (excludeBookingId) {
+    query = query.neq('id', excludeBookingId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to load bookings: ${error.message}`);
+  }
+  return data || [];
+};
+
+// Rooms held for waitlisted guests who were offered them (utils/waitlist.js)
+const getActiveHolds = async (roomTypeIds, from, to, { excludeWaitlistId } = {}) => {
+  let query = supabase
+    .from('waitlist_entries')
+    .select('id, room_type_id, check_in, check_out')
+    .in('room_type_id', roomTypeIds)
+    .eq('status', 'offered')
+    .gt('hold_expires_at', new Date().toISOString())
+    .lt('check_in', to)
+    .gt('check_out', from);
+
+  if (excludeWaitlistId) {
+    query = query.neq('id', excludeWaitlistId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to load waitlist holds: ${error.message}`);
+  }
+  return data || [];
+};
+
+/**
+ * Nightly Availability
+ * Returns { [roomTypeId]: [{ date, total, booked, held, blocked, free }] } for
+ * each night in [from, to). Rooms held for waitlisted guests count as taken;
+ * blocked covers out-of-order rooms and room blocks (utils/room-blocks.js).
+ * Pass excludeBookingId to ignore a booking being modified,
+ * excludeWaitlistId when the held guest is claiming their room, and
+ * excludeBlockId when a room block is being changed.
+ */
+const getNightlyAvailability = async (roomTypes, from, to, { excludeBookingId, excludeWaitlistId, excludeBlockId } = {}) => {
+  const nights = eachNight(from, to);
+  const roomTypeIds = roomTypes.map(roomType => roomType.id);
+  const capacity = await getCapacityByType(roomTypes);
+  const [bookings, holds, blocks] = await Promise.all([
+    getActiveBookings(roomTypeIds, toDateKey(from), toDateKey(to), { excludeBookingId }),
+    getActiveHolds(roomTypeIds, toDateKey(from), toDateKey(to), { excludeWaitlistId }),
+    getActiveBlocks(roomTypeIds, toDateKey(from), toDateKey(to), { excludeBlockId })
+  ]);
+
+  return roomTypes.reduce((acc, roomType) => {
+    const typeBookings = bookings.filter(booking => booking.room_id === roomType.id);
+    const typeHolds = holds.filter(hold => hold.room_type_id === roomType.id);
+    const typeBlocks = blocks.filter(block => block.room_type_id === roomType.id);
+    const { total, blocked: outOfOrder } = capacity[roomType.id];
+
+    acc[roomType.id] = nights.map(date => {
+      const booked = typeBookings.filter(booking => coversNight(booking, date)).length;
+      const held = typeHolds.filter(hold => coversNight(hold, date)).length;
+      const blocked = outOfOrder + countBlockedRooms(typeBlocks, date);
+      return { date, total, booked, held, blocked, free: total - blocked - booked - held };
+    });
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  toDateKey,
+  eachNight,
+  coversNight,
+  getCapacityByType,
+  getActiveBookings,
+  getActiveHolds,
+  getNightlyAvailability
+};
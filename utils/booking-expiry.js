@@ -0,0 +1,146 @@
+// Pending-Payment Expiry
+// Online bookings hold their rooms while the guest pays. A background job
+// releases the hold on bookings still unpaid after the hold window.
+const { createClient } = require('@supabase/supabase-js');
+const { PAYMENT_PROVIDER_NAMES, getBookingProvider } = require('./payment-providers');
+const { transitionBooking } = require('./booking-lifecycle');
+const { applyVerifiedPayment } = require('./payments');
+const { findGroup } = require('./booking-groups');
+const { expireWaitlistOffers } = require('./waitlist');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PAYMENT_HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES || '30');
+const EXPIRY_INTERVAL_MINUTES = parseInt(process.env.BOOKING_EXPIRY_INTERVAL_MINUTES || '5'); // 0 disables the job
+const EXPIRY_BATCH_SIZE = 50;
+
+/**
+ * Expire a Booking
+ * Re-checks the payment provider first: a successful charge is applied instead, and a
+ * charge still in progress keeps its hold. Otherwise the booking moves to
+ * expired, which returns its rooms to inventory.
+ * Returns { booking_id, transaction_ref, action, reason }.
+ */
+const expireBooking = async (booking) => {
+  const summary = { booking_id: booking.id, transaction_ref: booking.transaction_ref };
+
+  const provider = getBookingProvider(booking);
+
+  // Rooms of a group are paid with one charge under the group reference
+  const group = booking.group_id ? await findGroup(booking.group_id) : null;
+  const paymentRef = group ? group.group_ref : booking.transaction_ref;
+
+  // Other errors than "no such charge" leave the booking alone until the next run
+  let charge = null;
+  if (provider && paymentRef) {
+    try {
+      charge = await provider.verifyPayment({ tx_ref: paymentRef });
+    } catch (error) {
+      console.error(`❌ Could not check payment for ${paymentRef}:`, error.response?.data || error.message);
+      return { ...summary, action: 'skipped', reason: `${provider.label} lookup failed` };
+    }
+  }
+
+  if (charge && charge.status === 'successful') {
+    const result = await applyVerifiedPayment(charge);
+    console.log(`💳 Late payment found for ${booking.transaction_ref}: ${result.outcome}`);
+    return { ...summary, action: 'paid', reason: `Late payment found (${result.outcome})` };
+  }
+
+  if (charge && charge.status === 'pending') {
+    return { ...summary, action: 'skipped', reason: `Payment is still ${charge.provider_status} on ${provider.label}` };
+  }
+
+  const reason = charge
+    ? `Payment ${charge.provider_status} on ${provider.label}`
+    : `No payment received within ${PAYMENT_HOLD_MINUTES} minutes`;
+
+  const transition = await transitionBooking({
+    booking,
+    toStatus: 'expired',
+    user: null,
+    reason,
+    updates: { expiry_reason: reason }
+  });
+
+  if (!transition.success) {
+    // Usually the booking was paid or changed since it was loaded
+    return { ...summary, action: 'skipped', reason: transition.message };
+  }
+
+  console.log(`⌛ Booking ${booking.transaction_ref} expired: ${reason}`);
+  return { ...summary, action: 'expired', reason };
+};
+
+let running = false;
+
+/**
+ * Expiry Run
+ * Expires online bookings still pending payment after PAYMENT_HOLD_MINUTES.
+ * Runs are never overlapped. Returns the outcome for each booking looked at.
+ */
+const expirePendingBookings = async () => {
+  if (running) {
+    return [];
+  }
+  running = true;
+
+  try {
+    const cutoff = new Date(Date.now() - PAYMENT_HOLD_MINUTES * 60 * 1000).toISOString();
+    const { data: bookings, error } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('status', 'pending')
+      .eq('payment_status', 'pending')
+      .in('payment_method', PAYMENT_PROVIDER_NAMES)
+      .lt('created_at', cutoff)
+      .order('created_at', { ascending: true })
+      .limit(EXPIRY_BATCH_SIZE);
+
+    if (error) {
+      console.error('❌ Failed to load pending bookings for expiry:', error);
+      return [];
+    }
+
+    const results = [];
+    for (const booking of bookings || []) {
+      try {
+        results.push(await expireBooking(booking));
+      } catch (error) {
+        console.error(`❌ Expiry failed for booking ${booking.id}:`, error.message);
+        results.push({ booking_id: booking.id, transaction_ref: booking.transaction_ref, action: 'skipped', reason: error.message });
+      }
+    }
+    return results;
+  } finally {
+    running = false;
+  }
+};
+
+// Start the expiry job on an interval (called once the server is listening)
+// Each run also lapses unclaimed waitlist holds
+const startBookingExpiryJob = () => {
+  if (!EXPIRY_INTERVAL_MINUTES || EXPIRY_INTERVAL_MINUTES <= 0) {
+    console.log('⏸️ Booking expiry job disabled');
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    expirePendingBookings()
+      .then(() => expireWaitlistOffers())
+      .catch(error => console.error('❌ Booking expiry job error:', error));
+  }, EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref(); // Don't keep the process alive for the job
+
+  console.log(`⌛ Booking expiry job running every ${EXPIRY_INTERVAL_MINUTES} min (hold: ${PAYMENT_HOLD_MINUTES} min)`);
+  return timer;
+};
+
+module.exports = {
+  PAYMENT_HOLD_MINUTES,
+  expirePendingBookings,
+  startBookingExpiryJob
+};
@@ -0,0 +1,236 @@
+// Group Bookings
+// A group is a set of ordinary bookings (bookings.group_id) under one
+// group_ref and lead guest. The rooms are reserved together (reserveRooms)
+// and paid with one charge whose tx_ref is the group_ref; each room is then
+// checked in, modified or cancelled on its own.
+const { createClient } = require('@supabase/supabase-js');
+const { getRoomTypesById } = require('./room-types');
+const { roundAmount, getAmountPaid, getBalanceDue } = require('./money');
+const { claimConfirmationEmail, releaseConfirmationEmail } = require('./booking-lifecycle');
+const { toPublicBooking } = require('./guest-portal');
+const { sendGuestEmail } = require('./email');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_GROUP_ROOMS = parseInt(process.env.MAX_GROUP_ROOMS || '20');
+
+// Rooms the combined online payment covers - before arrival, expired ones are reinstated when paid
+const GROUP_PAYABLE_STATUSES = ['pending', 'confirmed', 'expired'];
+
+// Rooms that no longer count towards what the group owes
+const GROUP_RELEASED_STATUSES = ['cancelled', 'voided', 'expired'];
+
+const findGroupBy = async (column, value) => {
+  const { data, error } = await supabase
+    .from('booking_groups')
+    .select('*')
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load booking group: ${error.message}`);
+  }
+  return data;
+};
+
+const findGroup = (id) => findGroupBy('id', id);
+const findGroupByReference = (groupRef) => findGroupBy('group_ref', String(groupRef || '').trim());
+
+// The group's rooms, in the order they were booked
+const getGroupBookings = async (groupId) => {
+  const { data, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('group_id', groupId)
+    .order('created_at', { ascending: true })
+    .order('transaction_ref', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load group bookings: ${error.message}`);
+  }
+  return data || [];
+};
+
+// What the combined payment still has to cover for one room
+const getRoomAmountDue = (booking) => (
+  GROUP_PAYABLE_STATUSES.includes(booking.status)
+    ? roundAmount(Math.max(0, (Number(booking.total_amount) || 0) - getAmountPaid(booking)))
+    : 0
+);
+
+/**
+ * Group Summary
+ * Totals across the rooms: amount_due is what /payments/initiate charges for
+ * the group_ref, balance_due also includes folio charges of rooms in house.
+ */
+const summarizeGroup = (bookings) => {
+  const counted = bookings.filter(booking => !GROUP_RELEASED_STATUSES.includes(booking.status));
+  const sum = (rows, amountOf) => roundAmount(rows.reduce((total, row) => total + amountOf(row), 0));
+
+  return {
+    rooms: bookings.length,
+    active_rooms: counted.length,
+    by_status: bookings.reduce((acc, booking) => ({ ...acc, [booking.status]: (acc[booking.status] || 0) + 1 }), {}),
+    total_amount: sum(counted, booking => Number(booking.total_amount) || 0),
+    amount_paid: sum(bookings, getAmountPaid),
+    amount_due: sum(bookings, getRoomAmountDue),
+    balance_due: sum(counted, getBalanceDue)
+  };
+};
+
+/**
+ * Group View
+ * The group with its rooms (room type names added) and summary, for staff.
+ */
+const getGroupDetails = async (group) => {
+  const [bookings, roomTypesById] = await Promise.all([
+    getGroupBookings(group.id),
+    getRoomTypesById()
+  ]);
+
+  return {
+    ...group,
+    rooms: bookings.map(booking => ({
+      ...booking,
+      room_name: roomTypesById[booking.room_id]?.name || 'Unknown Room',
+      balance_due: getBalanceDue(booking)
+    })),
+    summary: summarizeGroup(bookings)
+  };
+};
+
+// What anyone with the group_ref may see - as toPublicBooking, for every room
+const toPublicGroup = (group, bookings, roomTypesById) => ({
+  group_ref: group.group_ref,
+  name: group.name,
+  lead_first_name: String(group.lead_name || '').trim().split(/\s+/)[0] || null,
+  check_in: group.check_in,
+  check_out: group.check_out,
+  payment_method: group.payment_method,
+  rooms: bookings.map(booking => toPublicBooking(booking, roomTypesById[booking.room_id])),
+  summary: summarizeGroup(bookings)
+});
+
+/**
+ * Rooming List
+ * Who stays in which room, for the front desk and the group organiser.
+ */
+const buildRoomingList = (bookings, roomTypesById) => bookings.map(booking => ({
+  booking_id: booking.id,
+  transaction_ref: booking.transaction_ref,
+  room_type: roomTypesById[booking.room_id]?.name || 'Unknown Room',
+  room_number: booking.room_number || null,
+  guest_name: booking.guest_name,
+  guests: booking.guests,
+  check_in: booking.check_in,
+  check_out: booking.check_out,
+  status: booking.status
+}));
+
+// One email for the whole group, listing every room
+async function sendGroupConfirmationEmail(group, bookings, roomTypesById) {
+  const roomRows = bookings.map(booking => `
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${booking.transaction_ref}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${roomTypesById[booking.room_id]?.name || 'Room'}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${booking.guest_name}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">₦${Number(booking.total_amount).toLocaleString()}</td>
+          </tr>`).join('');
+  const summary = summarizeGroup(bookings);
+
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background: linear-gradient(135deg, #7B3F00 0%, #A0522D 100%); color: white; padding: 30px; text-align: center;">
+        <h1 style="margin: 5px auto 10px;">Smile-T Continental Hotel</h1>
+        <p style="margin: 10px 0 0 0;">Group Booking Confirmation</p>
+      </div>
+
+      <div style="padding: 30px; background: white; border: 1px solid #ddd;">
+        <h2 style="color: #7B3F00;">Your Group Booking is Confirmed!</h2>
+
+        <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong style="color: #7B3F00;">Group Reference:</strong> ${group.group_ref}</p>
+          ${group.name ? `<p><strong style="color: #7B3F00;">Group:</strong> ${group.name}</p>` : ''}
+          <p><strong style="color: #7B3F00;">Lead Guest:</strong> ${group.lead_name}</p>
+          <p><strong style="color: #7B3F00;">Check-in:</strong> ${new Date(group.check_in).toLocaleDateString()}</p>
+          <p><strong style="color: #7B3F00;">Check-out:</strong> ${new Date(group.check_out).toLocaleDateString()}</p>
+        </div>
+
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <tr style="color: #7B3F00; text-align: left;">
+            <th style="padding: 8px;">Reference</th>
+            <th style="padding: 8px;">Room</th>
+            <th style="padding: 8px;">Guest</th>
+            <th style="padding: 8px; text-align: right;">Amount</th>
+          </tr>${roomRows}
+        </table>
+
+        <p style="text-align: right;"><strong>Total: ₦${summary.total_amount.toLocaleString()}</strong></p>
+
+        <div style="background: #fff3cd; border-left: 4px solid #FFD700; padding: 15px; margin: 20px 0;">
+          <p style="margin: 0;"><strong>📋 Important:</strong> Each guest can check in with their room's reference or the group reference.</p>
+        </div>
+
+        <p style="text-align: center; margin-top: 30px;">
+          <strong>Contact us:</strong> +234-805-323-3660<br>
+          Email: info@smile-tcontinental.com
+        </p>
+      </div>
+
+      <div style="background: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
+        <p>Thank you for choosing Smile-T Continental Hotel!</p>
+      </div>
+    </div>
+  `;
+
+  return sendGuestEmail({
+    to: group.lead_email,
+    subject: `✅ Group Booking Confirmation - ${group.group_ref}`,
+    html: emailHtml
+  });
+}
+
+/**
+ * Send the Group Confirmation Once
+ * Claims the confirmation email of every confirmed room, so neither the
+ * payment webhook nor a retry emails the lead guest again. Claims are given
+ * back if the email can't be sent.
+ */
+const sendGroupConfirmationOnce = async (group) => {
+  const bookings = await getGroupBookings(group.id);
+  const confirmed = bookings.filter(booking => booking.status === 'confirmed');
+
+  const claimed = [];
+  for (const booking of confirmed) {
+    if (await claimConfirmationEmail(booking.id)) {
+      claimed.push(booking.id);
+    }
+  }
+  if (claimed.length === 0) {
+    console.log('ℹ️ Group confirmation email already sent for:', group.group_ref);
+    return false;
+  }
+
+  const sent = await sendGroupConfirmationEmail(group, confirmed, await getRoomTypesById());
+  if (!sent) {
+    await Promise.all(claimed.map(bookingId => releaseConfirmationEmail(bookingId)));
+  }
+  return sent;
+};
+
+module.exports = {
+  MAX_GROUP_ROOMS,
+  GROUP_PAYABLE_STATUSES,
+  findGroup,
+  findGroupByReference,
+  getGroupBookings,
+  getRoomAmountDue,
+  summarizeGroup,
+  getGroupDetails,
+  toPublicGroup,
+  buildRoomingList,
+  sendGroupConfirmationOnce
+};
@@ -0,0 +1,240 @@
+// Booking Lifecycle
+// Every status change goes through transitionBooking so that it is validated,
+// timestamped, attributed to the staff member and kept in step with inventory
+const { createClient } = require('@supabase/supabase-js');
+const {
+  ROOM_FREEING_STATUSES,
+  STATUS_TIMESTAMP_FIELDS,
+  checkTransition
+} = require('./booking-status');
+const { findRoomType } = require('./room-types');
+const { rescheduleBooking } = require('./reservations');
+const { setRoomStatus } = require('./rooms');
+const { getBalanceDue } = require('./money');
+const { invalidateFrontDeskLists } = require('./front-desk');
+const { refreshGuestStats } = require('./guests');
+const { notifyWaitlist } = require('./waitlist');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Room Inventory Counter
+ * Availability is calculated from active bookings (the source of truth), but
+ * room_inventory.available_rooms is kept in step as a fallback count.
+ * delta is +1 when a booking frees its room and -1 when it takes it back.
+ */
+const adjustInventory = async (roomTypeSlug, delta) => {
+  try {
+    const { data: inventory, error: fetchError } = await supabase
+      .from('room_inventory')
+      .select('available_rooms, total_rooms')
+      .eq('room_type_id', roomTypeSlug)
+      .single();
+
+    if (fetchError || !inventory) {
+      console.error(`❌ No inventory found for room type: ${roomTypeSlug}`, fetchError || '');
+      return false;
+    }
+
+    // Stay within 0..total_rooms
+    const availableRooms = Math.max(
+      0,
+      Math.min((inventory.available_rooms || 0) + delta, inventory.total_rooms || 0)
+    );
+
+    const { error: updateError } = await supabase
+      .from('room_inventory')
+      .update({
+        available_rooms: availableRooms,
+        updated_at: new Date().toISOString()
+      })
+      .eq('room_type_id', roomTypeSlug);
+
+    if (updateError) {
+      console.error('❌ Failed to update room availability:', updateError);
+      return false;
+    }
+
+    console.log(`✅ Room inventory ${delta > 0 ? 'restored' : 'taken'}: ${roomTypeSlug} → ${availableRooms}/${inventory.total_rooms} available`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error adjusting room inventory:', error);
+    return false;
+  }
+};
+
+const restoreRoomToInventory = (roomTypeSlug) => adjustInventory(roomTypeSlug, 1);
+const takeRoomFromInventory = (roomTypeSlug) => adjustInventory(roomTypeSlug, -1);
+
+// Audit trail of status changes; a failed write is logged, not fatal
+const recordStatusChange = async ({ booking, fromStatus, toStatus, user, reason }) => {
+  const { error } = await supabase
+    .from('booking_status_history')
+    .insert([{
+      booking_id: booking.id,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reason: reason || null,
+      changed_by: user?.id || null,
+      changed_by_name: user?.name || null,
+      changed_by_role: user?.role || 'system'
+    }]);
+
+  if (error) {
+    console.error('❌ Failed to record booking status change:', error);
+  }
+};
+
+/**
+ * Transition a Booking
+ * Validates the move against the lifecycle for the user's role, then applies
+ * the new status, its timestamp and any extra updates. Moving back out of a
+ * room-freeing status re-checks availability under the reservation lock.
+ * Pass user: null for system changes (payment verification, expiry jobs);
+ * they skip the role check but must still follow the lifecycle.
+ * Checking out is refused while the folio has a balance due.
+ * Returns { success: true, booking, roomRestored, roomTaken } or
+ * { success: false, status, message } (plus conflict, roomType and fullNights,
+ * or balanceDue, on 409).
+ */
+const transitionBooking = async ({ booking, toStatus, user, reason, updates = {} }) => {
+  const fromStatus = booking.status;
+  const check = checkTransition(fromStatus, toStatus, user ? user.role : null);
+  if (!check.isValid) {
+    return { success: false, status: check.status, message: check.message };
+  }
+
+  // A stay is only closed once its folio is settled
+  const balanceDue = toStatus === 'checked_out' ? getBalanceDue(booking) : 0;
+  if (balanceDue > 0) {
+    return {
+      success: false,
+      status: 409,
+      balanceDue,
+      message: `Folio has an unpaid balance of ${balanceDue} - record the payment before checking out`
+    };
+  }
+
+  const now = new Date().toISOString();
+  const statusUpdates = {
+    ...updates,
+    status: toStatus,
+    status_changed_at: now,
+    status_changed_by: user?.id || null,
+    updated_at: now
+  };
+  if (STATUS_TIMESTAMP_FIELDS[toStatus]) {
+    statusUpdates[STATUS_TIMESTAMP_FIELDS[toStatus]] = now;
+  }
+
+  const wasRoomFreed = ROOM_FREEING_STATUSES.includes(fromStatus);
+  const isRoomBeingFreed = ROOM_FREEING_STATUSES.includes(toStatus);
+  const roomType = await findRoomType(booking.room_id);
+
+  let updatedBooking;
+  if (wasRoomFreed && !isRoomBeingFreed) {
+    // Reinstating: the room may have been sold to someone else since
+    if (!roomType) {
+      return { success: false, status: 400, message: 'Room type of this booking no longer exists' };
+    }
+
+    const result = await rescheduleBooking({ booking, roomType, updates: statusUpdates });
+    if (result.conflict) {
+      return {
+        success: false,
+        status: 409,
+        conflict: true,
+        roomType,
+        fullNights: result.fullNights,
+        message: `Cannot reinstate booking - no ${roomType.name} rooms left for some nights`
+      };
+    }
+    if (result.error) {
+      console.error('❌ Booking reinstatement failed:', result.error);
+      return { success: false, status: 500, message: 'Failed to update booking status' };
+    }
+    updatedBooking = result.booking;
+  } else {
+    // Only applies if nobody changed the status in the meantime
+    const { data, error } = await supabase
+      .from('bookings')
+      .update(statusUpdates)
+      .eq('id', booking.id)
+      .eq('status', fromStatus)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Booking status update failed:', error);
+      return { success: false, status: 500, message: 'Failed to update booking status' };
+    }
+    if (!data) {
+      return { success: false, status: 409, message: 'Booking status was changed by someone else - reload and try again' };
+    }
+    updatedBooking = data;
+  }
+
+  console.log(`🔄 Booking ${booking.id}: ${fromStatus} → ${toStatus} by ${user?.name || user?.role || 'system'}`);
+  await recordStatusChange({ booking, fromStatus, toStatus, user, reason });
+  invalidateFrontDeskLists();
+
+  let roomRestored = false;
+  let roomTaken = false;
+  if (roomType && isRoomBeingFreed && !wasRoomFreed) {
+    roomRestored = await restoreRoomToInventory(roomType.slug);
+    // Offer the freed nights to waitlisted guests - in the background, it sends emails
+    setImmediate(() => notifyWaitlist(roomType.id));
+  } else if (roomType && wasRoomFreed && !isRoomBeingFreed) {
+    roomTaken = await takeRoomFromInventory(roomType.slug);
+  }
+
+  // Checked-out rooms need housekeeping before the next guest
+  if (toStatus === 'checked_out' && updatedBooking.assigned_room_id) {
+    await setRoomStatus(updatedBooking.assigned_room_id, 'dirty');
+  }
+
+  // Stay counts on the guest profile
+  await refreshGuestStats(updatedBooking.guest_id);
+
+  return { success: true, booking: updatedBooking, roomRestored, roomTaken };
+};
+
+/**
+ * Confirmation Email Claim
+ * Marks the confirmation email as sent; only the first caller gets true, so
+ * the webhook, /verify and staff bookings between them send it exactly once.
+ * Release the claim if sending fails so a later attempt can retry.
+ */
+const claimConfirmationEmail = async (bookingId) => {
+  const { data, error } = await supabase
+    .from('bookings')
+    .update({ confirmation_email_sent_at: new Date().toISOString() })
+    .eq('id', bookingId)
+    .is('confirmation_email_sent_at', null)
+    .select('id');
+
+  if (error) {
+    console.error('❌ Failed to claim confirmation email:', error);
+    return false;
+  }
+  return Boolean(data && data.length > 0);
+};
+
+const releaseConfirmationEmail = async (bookingId) => {
+  await supabase
+    .from('bookings')
+    .update({ confirmation_email_sent_at: null })
+    .eq('id', bookingId);
+};
+
+module.exports = {
+  claimConfirmationEmail,
+  releaseConfirmationEmail,
+  restoreRoomToInventory,
+  takeRoomFromInventory,
+  recordStatusChange,
+  transitionBooking
+};
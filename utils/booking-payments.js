@@ -0,0 +1,189 @@
+// Booking Payments
+// Every payment towards a booking - cash, POS or transfer at the desk, or a
+// charge through a payment provider - is a row in booking_payments. A booking's
+// amount_paid, balance_due and payment_status are derived from those rows.
+const { createClient } = require('@supabase/supabase-js');
+const { PAYMENT_PROVIDER_NAMES } = require('./payment-providers');
+const { roundAmount } = require('./money');
+const { invalidateFrontDeskLists } = require('./front-desk');
+const { refreshGuestStats } = require('./guests');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Ways the front desk takes payment
+const DESK_PAYMENT_METHODS = ['cash', 'pos', 'transfer'];
+
+// 'other' covers payments recorded before they were itemised
+const BOOKING_PAYMENT_METHODS = [...DESK_PAYMENT_METHODS, ...PAYMENT_PROVIDER_NAMES, 'other'];
+
+// Payment status for what has been paid against what is owed
+const toPaymentStatus = (totalAmount, amountPaid) => {
+  if (amountPaid <= 0) return 'pending';
+  return amountPaid < totalAmount ? 'partially_paid' : 'paid';
+};
+
+/**
+ * Payment Summary
+ * What the guest has paid (payments less completed refunds), what they still
+ * owe for the stay and folio charges, and the resulting payment_status.
+ * Voided payments don't count.
+ */
+const summarizePayments = (booking, payments) => {
+  const received = roundAmount((payments || [])
+    .filter(payment => !payment.voided_at)
+    .reduce((sum, payment) => sum + Number(payment.amount), 0));
+  const refundedAmount = roundAmount(Number(booking.refunded_amount || 0));
+  const totalAmount = roundAmount(Number(booking.total_amount) || 0);
+  const chargesTotal = roundAmount(Number(booking.folio_charges_total) || 0);
+  const totalDue = roundAmount(totalAmount + chargesTotal);
+  const amountPaid = roundAmount(received - refundedAmount);
+
+  return {
+    total_amount: totalAmount,
+    folio_charges_total: chargesTotal,
+    total_due: totalDue,
+    amount_received: received,
+    refunded_amount: refundedAmount,
+    amount_paid: amountPaid,
+    balance_due: roundAmount(totalDue - amountPaid),
+    payment_status: toPaymentStatus(totalDue, amountPaid)
+  };
+};
+
+const getBookingPayments = async (bookingId) => {
+  const { data, error } = await supabase
+    .from('booking_payments')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load booking payments: ${error.message}`);
+  }
+  return data || [];
+};
+
+/**
+ * Sync a Booking's Balance
+ * Recomputes amount_paid, balance_due and payment_status from the booking's
+ * payments. Returns { booking, summary }.
+ */
+const syncBookingPayments = async (bookingId) => {
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('id', bookingId)
+    .single();
+
+  if (error || !booking) {
+    throw new Error(`Failed to load booking: ${error?.message || 'not found'}`);
+  }
+
+  const summary = summarizePayments(booking, await getBookingPayments(bookingId));
+
+  const { data: updated, error: updateError } = await supabase
+    .from('bookings')
+    .update({
+      amount_paid: summary.amount_paid,
+      balance_due: summary.balance_due,
+      payment_status: summary.payment_status,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', bookingId)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw new Error(`Failed to update booking balance: ${updateError.message}`);
+  }
+  invalidateFrontDeskLists();
+  await refreshGuestStats(updated.guest_id);
+  return { booking: updated, summary };
+};
+
+/**
+ * Record a Payment
+ * Adds a payment to the booking's ledger and re-derives its balance. Provider
+ * charges are recorded once per providerTransactionId; a repeat returns
+ * { duplicate: true }. Pass user: null for payments recorded by the system.
+ * Returns { payment, booking, summary, duplicate }.
+ */
+const recordBookingPayment = async ({
+  booking,
+  method,
+  amount,
+  currency = 'NGN',
+  reference,
+  notes,
+  providerTransactionId,
+  user
+}) => {
+  const { data: payment, error } = await supabase
+    .from('booking_payments')
+    .insert([{
+      booking_id: booking.id,
+      method,
+      amount: roundAmount(Number(amount)),
+      currency,
+      reference: reference || null,
+      provider_transaction_id: providerTransactionId ? String(providerTransactionId) : null,
+      notes: notes || null,
+      received_by: user?.id || null,
+      received_by_name: user?.name || null,
+      received_by_role: user?.role || 'system'
+    }])
+    .select()
+    .single();
+
+  if (error && error.code === '23505') {
+    return { duplicate: true };
+  }
+  if (error) {
+    throw new Error(`Failed to record payment: ${error.message}`);
+  }
+
+  console.log(`💵 ${method} payment of ${payment.amount} recorded on booking ${booking.id}`);
+  return { payment, duplicate: false, ...(await syncBookingPayments(booking.id)) };
+};
+
+/**
+ * Void a Payment
+ * Takes a mistaken payment off the booking's balance. The row is kept for the
+ * audit trail. Returns { payment, booking, summary }, or null if it was
+ * already voided.
+ */
+const voidBookingPayment = async (payment, user, reason) => {
+  const { data: voided, error } = await supabase
+    .from('booking_payments')
+    .update({
+      voided_at: new Date().toISOString(),
+      voided_by: user?.id || null,
+      void_reason: reason || null
+    })
+    .eq('id', payment.id)
+    .is('voided_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to void payment: ${error.message}`);
+  }
+  if (!voided) {
+    return null;
+  }
+
+  return { payment: voided, ...(await syncBookingPayments(voided.booking_id)) };
+};
+
+module.exports = {
+  DESK_PAYMENT_METHODS,
+  BOOKING_PAYMENT_METHODS,
+  summarizePayments,
+  getBookingPayments,
+  syncBookingPayments,
+  recordBookingPayment,
+  voidBookingPayment
+};
@@ -0,0 +1,147 @@
+// Booking Status Definitions
+
+const BOOKING_STATUSES = [
+  'pending',
+  'confirmed',
+  'checked_in',
+  'checked_out',
+  'completed',
+  'cancelled',
+  'no_show',
+  'voided',
+  'expired'
+];
+
+// Statuses a booking can be created with
+const INITIAL_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Room-Freeing Statuses
+ * These statuses indicate the room is no longer occupied and should be available
+ */
+const ROOM_FREEING_STATUSES = [
+  'checked_out',   // Guest completed stay normally
+  'completed',     // Booking finished
+  'cancelled',     // Booking cancelled (guest won't arrive)
+  'no_show',       // Guest didn't show up
+  'voided',        // Booking voided/invalidated
+  'expired'        // Unpaid booking released after its payment hold
+];
+
+// PostgREST filter value for excluding room-freeing statuses, e.g. .not('status', 'in', ...)
+const ROOM_FREEING_STATUS_FILTER = `(${ROOM_FREEING_STATUSES.join(',')})`;
+
+const FRONT_DESK = ['superadmin', 'receptionist'];
+const SUPERADMIN_ONLY = ['superadmin'];
+
+/**
+ * Booking Lifecycle
+ * pending → confirmed → checked_in → checked_out → completed, with cancelled,
+ * no_show, voided and expired branches. STATUS_TRANSITIONS[from][to] lists the roles
+ * allowed to make each move; anything not listed is rejected. Moves back out
+ * of a room-freeing status re-take the room and are mostly superadmin-only.
+ */
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: FRONT_DESK,
+    cancelled: FRONT_DESK,
+    voided: SUPERADMIN_ONLY,
+    expired: SUPERADMIN_ONLY        // Normally done by the expiry job
+  },
+  confirmed: {
+    checked_in: FRONT_DESK,
+    cancelled: FRONT_DESK,
+    no_show: FRONT_DESK,
+    voided: SUPERADMIN_ONLY
+  },
+  checked_in: {
+    checked_out: FRONT_DESK,
+    confirmed: SUPERADMIN_ONLY      // Undo an accidental check-in
+  },
+  checked_out: {
+    completed: FRONT_DESK,
+    checked_in: SUPERADMIN_ONLY     // Reopen a stay checked out by mistake
+  },
+  completed: {},
+  cancelled: {
+    pending: SUPERADMIN_ONLY,       // Reinstate a cancelled booking
+    confirmed: SUPERADMIN_ONLY
+  },
+  no_show: {
+    checked_in: FRONT_DESK,         // Late arrival
+    confirmed: SUPERADMIN_ONLY
+  },
+  voided: {},
+  expired: {
+    pending: SUPERADMIN_ONLY,       // Guest came back to pay
+    confirmed: SUPERADMIN_ONLY      // Paid after the hold ran out
+  }
+};
+
+// Timestamp column set when a booking enters each status
+const STATUS_TIMESTAMP_FIELDS = {
+  confirmed: 'confirmed_at',
+  checked_in: 'checked_in_at',
+  checked_out: 'checked_out_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at',
+  no_show: 'no_show_at',
+  voided: 'voided_at',
+  expired: 'expired_at'
+};
+
+// Statuses the given role may move a booking to from its current status
+const getAllowedTransitions = (fromStatus, role) => Object.entries(STATUS_TRANSITIONS[fromStatus] || {})
+  .filter(([, roles]) => roles.includes(role))
+  .map(([status]) => status);
+
+/**
+ * Transition Check
+ * Returns { isValid, status, message } where status is the HTTP code to reject with.
+ * role is null for system changes, which skip the role check.
+ */
+const checkTransition = (fromStatus, toStatus, role) => {
+  if (!BOOKING_STATUSES.includes(toStatus)) {
+    return {
+      isValid: false,
+      status: 400,
+      message: 'Invalid status. Valid statuses: ' + BOOKING_STATUSES.join(', ')
+    };
+  }
+
+  if (fromStatus === toStatus) {
+    return { isValid: false, status: 400, message: `Booking is already ${toStatus}` };
+  }
+
+  const roles = (STATUS_TRANSITIONS[fromStatus] || {})[toStatus];
+  if (!roles) {
+    const allowed = Object.keys(STATUS_TRANSITIONS[fromStatus] || {});
+    return {
+      isValid: false,
+      status: 400,
+      message: `Cannot change a ${fromStatus} booking to ${toStatus}` +
+        (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : ` - ${fromStatus} is final`)
+    };
+  }
+
+  if (role !== null && !roles.includes(role)) {
+    return {
+      isValid: false,
+      status: 403,
+      message: `Only ${roles.join(' or ')} can change a ${fromStatus} booking to ${toStatus}`
+    };
+  }
+
+  return { isValid: true };
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  INITIAL_STATUSES,
+  ROOM_FREEING_STATUSES,
+  ROOM_FREEING_STATUS_FILTER,
+  STATUS_TRANSITIONS,
+  STATUS_TIMESTAMP_FIELDS,
+  getAllowedTransitions,
+  checkTransition
+};
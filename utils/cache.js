@@ -20,10 +20,12 @@ const cacheMiddleware = (key, duration = 300) => {
             return res.json(cachedData);
         }
 
-        // Override res.json to cache the response
+        // Override res.json to cache the response (errors are not cached)
         const originalJson = res.json;
         res.json = function(data) {
-            cache.set(finalKey, data, duration);
+            if (res.statusCode < 400) {
+                cache.set(finalKey, data, duration);
+            }
             return originalJson.call(this, data);
         };
 
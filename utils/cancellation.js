@@ -0,0 +1,225 @@
+// Cancellation Policies and Refunds
+const { createClient } = require('@supabase/supabase-js');
+const { toDateKey } = require('./availability');
+const { transitionBooking } = require('./booking-lifecycle');
+const { requestRefund, toCombinedRefundStatus } = require('./refunds');
+const { roundAmount, getAmountPaid } = require('./money');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Applies when neither the rate plan nor the room type has a policy
+const DEFAULT_POLICY = {
+  id: null,
+  name: 'Standard',
+  description: 'Free cancellation until the day before check-in',
+  free_cancellation_days: 1,
+  penalty_percentage: 100,
+  is_refundable: true
+};
+
+// The fields of a policy kept on quotes and bookings
+const toPolicySnapshot = (policy) => ({
+  id: policy.id,
+  name: policy.name,
+  description: policy.description || null,
+  free_cancellation_days: policy.free_cancellation_days,
+  penalty_percentage: Number(policy.penalty_percentage),
+  is_refundable: policy.is_refundable
+});
+
+/**
+ * Policy Resolution
+ * The rate plan of the first night wins, then the room type's policy,
+ * then DEFAULT_POLICY. Returns a snapshot to store on the booking.
+ */
+const resolveCancellationPolicy = async (roomType, nightlyBreakdown = []) => {
+  let policyId = null;
+
+  const ratePlanId = nightlyBreakdown[0]?.rate_plan_id;
+  if (ratePlanId) {
+    const { data: ratePlan } = await supabase
+      .from('rate_plans')
+      .select('cancellation_policy_id')
+      .eq('id', ratePlanId)
+      .maybeSingle();
+    policyId = ratePlan?.cancellation_policy_id || null;
+  }
+
+  policyId = policyId || roomType.cancellation_policy_id;
+  if (!policyId) {
+    return DEFAULT_POLICY;
+  }
+
+  const { data: policy, error } = await supabase
+    .from('cancellation_policies')
+    .select('*')
+    .eq('id', policyId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load cancellation policy: ${error.message}`);
+  }
+  return policy ? toPolicySnapshot(policy) : DEFAULT_POLICY;
+};
+
+/**
+ * Cancellation Charges
+ * Works out the penalty and refund for cancelling a booking today under the
+ * given policy. The penalty is a share of the booking total; the refund is
+ * whatever the guest paid above it.
+ */
+const computeCancellation = (booking, policy, { now = new Date(), waivePenalty = false } = {}) => {
+  const totalAmount = Number(booking.total_amount) || 0;
+  const amountPaid = getAmountPaid(booking);
+  const daysBeforeCheckIn = Math.floor(
+    (new Date(toDateKey(booking.check_in)) - new Date(toDateKey(now))) / DAY_MS
+  );
+
+  let penaltyPercentage = Number(policy.penalty_percentage);
+  if (waivePenalty) {
+    penaltyPercentage = 0;
+  } else if (!policy.is_refundable) {
+    penaltyPercentage = 100;
+  } else if (policy.free_cancellation_days !== null && daysBeforeCheckIn >= policy.free_cancellation_days) {
+    penaltyPercentage = 0;
+  }
+
+  const penalty = roundAmount(totalAmount * penaltyPercentage / 100);
+
+  return {
+    policy,
+    days_before_check_in: daysBeforeCheckIn,
+    penalty_percentage: penaltyPercentage,
+    penalty_waived: waivePenalty,
+    total_amount: totalAmount,
+    amount_paid: amountPaid,
+    penalty,
+    refund_amount: roundAmount(Math.max(0, amountPaid - penalty)),
+    outstanding_penalty: roundAmount(Math.max(0, penalty - amountPaid))
+  };
+};
+
+/**
+ * Cancellation Refund
+ * Refunds the booking's refund_amount through the refunds ledger - each online
+ * charge through the provider that took it, desk payments at the front desk.
+ * Returns { refund_status, refund_reference, message, amount, refund, refunds, booking }.
+ */
+const processRefund = async (booking, user = null) => {
+  const amount = Number(booking.refund_amount) || 0;
+  if (amount <= 0) {
+    return { refund_status: 'not_required', refund_reference: null, message: 'Nothing to refund', amount, refund: null, refunds: [], booking };
+  }
+
+  let result;
+  try {
+    result = await requestRefund({
+      booking,
+      amount,
+      reason: booking.cancellation_reason || 'Cancellation refund',
+      user,
+      source: 'cancellation'
+    });
+  } catch (error) {
+    console.error('❌ Cancellation refund failed:', error.message);
+    result = { error: 'Refund failed - please try again' };
+  }
+
+  if (result.error) {
+    const { data } = await supabase
+      .from('bookings')
+      .update({ refund_status: 'failed', updated_at: new Date().toISOString() })
+      .eq('id', booking.id)
+      .select()
+      .single();
+    return { refund_status: 'failed', refund_reference: null, message: result.error, amount, refund: null, refunds: [], booking: data || booking };
+  }
+
+  const { refund, refunds } = result;
+  const manualAmount = refunds
+    .filter(part => part.provider === 'manual')
+    .reduce((sum, part) => sum + Number(part.amount), 0);
+  const failed = refunds.find(part => part.status === 'failed');
+  const messages = {
+    pending: `Refund of ${amount} is waiting for superadmin approval`,
+    manual: `Refund ${manualAmount} to the guest at the front desk`,
+    processing: `Refund of ${amount} submitted to ${refunds.filter(part => part.provider !== 'manual').map(part => part.provider).join(', ')}`,
+    refunded: `Refund of ${amount} issued`,
+    failed: failed?.failure_reason || 'Refund failed'
+  };
+  const refundStatus = toCombinedRefundStatus(refunds);
+
+  const { data: refreshed } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('id', booking.id)
+    .single();
+
+  return {
+    refund_status: refundStatus,
+    refund_reference: refund.provider_refund_id || refund.id,
+    message: messages[refundStatus],
+    amount,
+    refund,
+    refunds,
+    booking: refreshed || booking
+  };
+};
+
+/**
+ * Cancel a Booking
+ * Computes the penalty under the booking's policy, moves it to cancelled
+ * through the lifecycle and refunds what is owed. Superadmins may waive the
+ * penalty. Returns the transitionBooking result plus cancellation and refund.
+ */
+const cancelBooking = async ({ booking, roomType, user, reason, waivePenalty = false, issueRefund = true }) => {
+  const policy = booking.cancellation_policy || (roomType
+    ? await resolveCancellationPolicy(roomType, booking.nightly_breakdown || [])
+    : DEFAULT_POLICY);
+  const cancellation = computeCancellation(booking, policy, { waivePenalty });
+
+  const transition = await transitionBooking({
+    booking,
+    toStatus: 'cancelled',
+    user,
+    reason,
+    updates: {
+      cancellation_policy: policy,
+      cancellation_reason: reason || null,
+      cancellation_penalty: cancellation.penalty,
+      refund_amount: cancellation.refund_amount,
+      refund_status: cancellation.refund_amount > 0 ? 'pending' : 'not_required',
+      amount_paid: cancellation.amount_paid,
+      balance_due: cancellation.outstanding_penalty
+    }
+  });
+
+  if (!transition.success) {
+    return transition;
+  }
+
+  let refund = null;
+  let cancelledBooking = transition.booking;
+  if (issueRefund && cancellation.refund_amount > 0) {
+    const { booking: refundedBooking, ...outcome } = await processRefund(cancelledBooking, user);
+    refund = outcome;
+    cancelledBooking = refundedBooking;
+  }
+
+  return { ...transition, booking: cancelledBooking, cancellation, refund };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  toPolicySnapshot,
+  resolveCancellationPolicy,
+  computeCancellation,
+  processRefund,
+  cancelBooking
+};
@@ -0,0 +1,212 @@
+// Guest Email
+// Delivery for emails to guests: the Resend API first (no SMTP ports), then
+// Gmail or Zoho SMTP. Shared by the booking, guest portal and waitlist emails.
+const nodemailer = require('nodemailer');
+const { Resend } = require('resend');
+
+// Initialize Resend (preferred for Railway/cloud platforms - no SMTP port blocking)
+let resend = null;
+if (process.env.RESEND_API_KEY) {
+  resend = new Resend(process.env.RESEND_API_KEY);
+  console.log('✅ Resend email API configured (HTTP-based, no SMTP ports)');
+}
+
+// Configure Email transporter (Gmail or Zoho) - fallback for SMTP-friendly environments
+let transporter = null;
+let emailConfigured = false;
+let activeEmailProvider = 'none';
+
+// CRITICAL: Async email verification with timeout and fallback
+async function initializeEmailTransporter() {
+  // Check for email credentials
+  if (!process.env.GMAIL_EMAIL && !process.env.ZOHO_EMAIL) {
+    console.warn('⚠️ Email not configured - missing credentials');
+    console.log('To enable emails, set GMAIL_EMAIL + GMAIL_PASSWORD or ZOHO_EMAIL + ZOHO_PASSWORD');
+    return;
+  }
+
+  // Try Gmail first (most reliable, especially on restrictive hosting platforms like Render.com)
+  if (process.env.GMAIL_EMAIL && process.env.GMAIL_PASSWORD) {
+    console.log('🔍 Attempting to configure Gmail transporter...');
+    console.log('📧 Gmail Email:', process.env.GMAIL_EMAIL ? 'Set ✅' : 'Not set ❌');
+    console.log('🔑 Gmail Password:', process.env.GMAIL_PASSWORD ? 'Set ✅' : 'Not set ❌');
+    
+    const gmailTransporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.GMAIL_EMAIL,
+        pass: process.env.GMAIL_PASSWORD
+      },
+      pool: true,
+      maxConnections: 5,
+      maxMessages: 100,
+      rateDelta: 1000,
+      rateLimit: 5,
+      // Production-ready timeouts
+      connectionTimeout: 30000, // 30 seconds
+      greetingTimeout: 30000,
+      socketTimeout: 60000 // 60 seconds for sending
+    });
+    
+    try {
+      // Skip verification in production - it can timeout on Railway/Render
+      // but emails still work fine. Only verify in development.
+      if (process.env.NODE_ENV !== 'production') {
+        await Promise.race([
+          gmailTransporter.verify(),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Verification timeout')), 5000))
+        ]);
+        console.log('✅ Gmail transporter verified');
+      } else {
+        console.log('✅ Gmail transporter configured (skipping verification in production)');
+      }
+      
+      transporter = gmailTransporter;
+      emailConfigured = true;
+      activeEmailProvider = 'gmail';
+      return;
+    } catch (error) {
+      console.warn('⚠️ Gmail verification failed:', error.message);
+      console.log('📧 Configuring Gmail anyway - emails may still work (verification can fail on restrictive hosts)');
+      
+      // IMPORTANT: Configure anyway - verification can fail but sending may work
+      transporter = gmailTransporter;
+      emailConfigured = true;
+      activeEmailProvider = 'gmail';
+      return;
+    }
+  }
+  
+  // Fallback to Zoho if Gmail not configured
+  if (process.env.ZOHO_EMAIL && process.env.ZOHO_PASSWORD) {
+    console.log('🔍 Attempting to configure Zoho transporter (fallback)...');
+    console.log('📧 Zoho Email:', process.env.ZOHO_EMAIL ? 'Set ✅' : 'Not set ❌');
+    console.log('🔑 Zoho Password:', process.env.ZOHO_PASSWORD ? 'Set ✅' : 'Not set ❌');
+    
+    const zohoTransporter = nodemailer.createTransport({
+      host: 'smtp.zoho.com',
+      port: 465, // SSL port
+      secure: true,
+      auth: {
+        user: process.env.ZOHO_EMAIL,
+        pass: process.env.ZOHO_PASSWORD
+      },
+      pool: true,
+      maxConnections: 3,
+      connectionTimeout: 30000,
+      greetingTimeout: 30000,
+      socketTimeout: 60000
+    });
+    
+    try {
+      // Skip verification in production - it can timeout on Railway/Render
+      // but emails still work fine. Only verify in development.
+      if (process.env.NODE_ENV !== 'production') {
+        await Promise.race([
+          zohoTransporter.verify(),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Verification timeout')), 5000))
+        ]);
+        console.log('✅ Zoho transporter verified');
+      } else {
+        console.log('✅ Zoho transporter configured (skipping verification in production)');
+      }
+      
+      transporter = zohoTransporter;
+      emailConfigured = true;
+      activeEmailProvider = 'zoho';
+      return;
+    } catch (error) {
+      console.warn('⚠️ Zoho verification failed:', error.message);
+      console.log('📧 Configuring Zoho anyway - emails may still work (verification can fail on restrictive hosts)');
+      
+      // IMPORTANT: Configure anyway
+      transporter = zohoTransporter;
+      emailConfigured = true;
+      activeEmailProvider = 'zoho';
+      return;
+    }
+  }
+  
+  // If we reach here, no credentials provided
+  console.error('❌ CRITICAL: No email credentials provided');
+  console.log('📧 Set GMAIL_EMAIL + GMAIL_PASSWORD or ZOHO_EMAIL + ZOHO_PASSWORD');
+}
+
+// Initialize email transporter (non-blocking)
+initializeEmailTransporter().catch(error => {
+  console.error('❌ Fatal error initializing email:', error);
+});
+
+// Send a guest email - tries Resend API first (no SMTP ports), falls back to SMTP if needed
+async function sendGuestEmail({ to, subject, html, attachments = [] }) {
+  // TRY METHOD 1: Resend API (preferred for Railway - no SMTP port blocking)
+  if (resend) {
+    try {
+      console.log('📧 Attempting to send via Resend API...');
+      
+      const { data, error } = await resend.emails.send({
+        from: 'Smile-T Continental <bookings@smile-tcontinental.com>',
+        to: [to],
+        subject,
+        html,
+        ...(attachments.length > 0 && { attachments })
+      });
+      
+      if (error) {
+        console.error('❌ Resend API error:', error);
+        throw error;
+      }
+      
+      console.log('✅ Email sent successfully via Resend API');
+      console.log('✅ Resend email ID:', data?.id);
+      return true;
+    } catch (error) {
+      console.error('❌ Resend failed, trying SMTP fallback...', error.message);
+      // Continue to SMTP fallback
+    }
+  }
+  
+  // TRY METHOD 2: SMTP fallback (Gmail/Zoho) - may be blocked on Railway
+  if (!emailConfigured || !transporter) {
+    console.log('⚠️ Email not configured - neither Resend nor SMTP available');
+    console.log('⚠️ Set RESEND_API_KEY (recommended) or GMAIL_EMAIL/ZOHO_EMAIL');
+    return false;
+  }
+  
+  try {
+    console.log(`� Sending via SMTP (${activeEmailProvider})...`);
+    
+    const mailOptions = {
+      from: `Smile-T Continental Hotel <${process.env.GMAIL_EMAIL || process.env.ZOHO_EMAIL}>`,
+      to,
+      subject,
+      html,
+      attachments
+    };
+    
+    // Send with 30-second timeout
+    await Promise.race([
+      transporter.sendMail(mailOptions),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('SMTP timeout - Railway likely blocking SMTP ports')), 30000)
+      )
+    ]);
+    
+    console.log(`✅ Email sent via SMTP (${activeEmailProvider})`);
+    return true;
+  } catch (error) {
+    console.error(`❌ SMTP failed:`, error.message);
+    
+    if (error.message.includes('Railway likely blocking')) {
+      console.error('💡 SOLUTION: Railway blocks SMTP ports. Use Resend API instead!');
+      console.error('💡 Get free API key at: https://resend.com');
+      console.error('💡 Add RESEND_API_KEY to Railway environment variables');
+    }
+    
+    return false;
+  }
+}
+
+module.exports = {
+  sendGuestEmail
+};
@@ -0,0 +1,148 @@
+// Flutterwave Payment Provider
+const axios = require('axios');
+
+const FLW_BASE_URL = 'https://api.flutterwave.com/v3';
+
+const authHeaders = () => ({ Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}` });
+
+// Flutterwave charge status → provider-neutral status
+const toPaymentStatus = (status) => {
+  if (status === 'successful') return 'successful';
+  if (['failed', 'cancelled'].includes(status)) return 'failed';
+  return 'pending';
+};
+
+// Flutterwave refund status → refund status in the refunds ledger
+const toRefundStatus = (status) => {
+  if (['completed', 'successful'].includes(status)) return 'completed';
+  if (status === 'failed') return 'failed';
+  return 'processing';
+};
+
+// Flutterwave transaction → the provider-neutral transaction used by utils/payments
+const toTransaction = (data) => ({
+  provider: 'flutterwave',
+  id: String(data.id),
+  tx_ref: data.tx_ref,
+  amount: Number(data.amount),
+  currency: data.currency,
+  status: toPaymentStatus(data.status),
+  provider_status: data.status,
+  customer_email: data.customer?.email || null
+});
+
+/**
+ * Hosted Payment Link
+ * Returns { link, reference } for Flutterwave's checkout page
+ */
+const initiatePayment = async ({
+  tx_ref,
+  amount,
+  currency = 'NGN',
+  email,
+  name,
+  redirect_url,
+  title = 'Smile-T Hotel Booking',
+  description = 'Hotel Room Booking Payment'
+}) => {
+  const response = await axios.post(
+    `${FLW_BASE_URL}/payments`,
+    {
+      tx_ref,
+      amount,
+      currency,
+      redirect_url,
+      payment_options: 'card,mobilemoney,ussd',
+      customer: { email, name },
+      customizations: { title, description }
+    },
+    { headers: authHeaders(), timeout: 10000 }
+  );
+  return { link: response.data.data.link, reference: tx_ref };
+};
+
+/**
+ * Verify a Charge
+ * Server-to-server lookup by Flutterwave's transaction id, or by our tx_ref.
+ * Returns the transaction, or null when Flutterwave has no such charge.
+ */
+const verifyPayment = async ({ id, tx_ref }) => {
+  try {
+    const response = id
+      ? await axios.get(
+        `${FLW_BASE_URL}/transactions/${encodeURIComponent(id)}/verify`,
+        { headers: authHeaders(), timeout: 10000 }
+      )
+      : await axios.get(
+        `${FLW_BASE_URL}/transactions/verify_by_reference`,
+        { params: { tx_ref }, headers: authHeaders(), timeout: 10000 }
+      );
+    return toTransaction(response.data.data);
+  } catch (error) {
+    if (error.response && [400, 404].includes(error.response.status)) {
+      return null; // No transaction was found
+    }
+    throw error;
+  }
+};
+
+/**
+ * Webhook Parsing
+ * Checks the verif-hash header against FLUTTERWAVE_SECRET_HASH. Returns null
+ * for requests that aren't from Flutterwave. Handles charge.completed and
+ * refund events.
+ */
+const parseWebhook = (req) => {
+  const secretHash = process.env.FLUTTERWAVE_SECRET_HASH;
+  const signature = req.headers['verif-hash'];
+  if (!secretHash || !signature || signature !== secretHash) {
+    return null;
+  }
+
+  const payload = req.body || {};
+  const eventType = payload.event || payload['event.type'];
+  const charge = payload.data || {};
+
+  const isRefund = String(eventType || '').startsWith('refund');
+
+  return {
+    eventType,
+    isCharge: eventType === 'charge.completed',
+    isRefund,
+    transactionId: charge.id ? String(charge.id) : null,
+    tx_ref: charge.tx_ref || null,
+    amount: charge.amount ?? charge.amount_refunded ?? null,
+    currency: charge.currency || null,
+    status: charge.status || null,
+    refundId: isRefund && charge.id ? String(charge.id) : null,
+    refundStatus: isRefund ? toRefundStatus(charge.status) : null,
+    payload
+  };
+};
+
+/**
+ * Refund
+ * Refunds all or part of a successful charge.
+ * Returns { id, status } where status is 'completed' or 'pending'.
+ */
+const refundPayment = async ({ transactionId, amount }) => {
+  const response = await axios.post(
+    `${FLW_BASE_URL}/transactions/${transactionId}/refund`,
+    { amount },
+    { headers: authHeaders(), timeout: 15000 }
+  );
+  const refund = response.data.data;
+  return {
+    id: refund.id ? String(refund.id) : null,
+    status: refund.status === 'completed' ? 'completed' : 'pending'
+  };
+};
+
+module.exports = {
+  name: 'flutterwave',
+  label: 'Flutterwave',
+  initiatePayment,
+  verifyPayment,
+  parseWebhook,
+  refundPayment
+};
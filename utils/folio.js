@@ -0,0 +1,192 @@
+// Guest Folio
+// Everything a booking is charged: the stay itself (room nights from the
+// booking's nightly_breakdown, with discounts, fees and tax) and the charges
+// posted to folio_charges - bar tabs charged to the room, restaurant,
+// laundry and other services. Payments come from utils/booking-payments.
+const { createClient } = require('@supabase/supabase-js');
+const { roundAmount } = require('./money');
+const { getBookingPayments, summarizePayments, syncBookingPayments } = require('./booking-payments');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const FOLIO_CHARGE_TYPES = ['bar', 'restaurant', 'minibar', 'laundry', 'service', 'late_checkout', 'other'];
+
+// Bookings that can have charges posted to them
+const FOLIO_OPEN_STATUSES = ['confirmed', 'checked_in'];
+
+/**
+ * Stay Lines
+ * The room nights, discounts, fees and tax of the stay as folio lines. They
+ * are read from the booking, so a modified stay is re-priced here as well,
+ * and they add up to the booking's total_amount.
+ */
+const getStayLines = (booking) => {
+  const lines = (booking.nightly_breakdown || []).map(night => ({
+    charge_type: 'room',
+    description: `Room night${booking.room_number ? ` - Room ${booking.room_number}` : ''}`,
+    service_date: night.date,
+    amount: roundAmount(Number(night.price) || 0)
+  }));
+
+  if (lines.length === 0) {
+    // Bookings priced before nightly breakdowns were stored
+    lines.push({
+      charge_type: 'room',
+      description: 'Room stay',
+      service_date: booking.check_in,
+      amount: roundAmount((Number(booking.total_amount) || 0) -
+        (Number(booking.transaction_fee) || 0) - (Number(booking.tax_total) || 0) +
+        (Number(booking.discount_total) || 0))
+    });
+  }
+
+  const extras = [
+    ['discount', booking.promo_code ? `Discount (${booking.promo_code})` : 'Discount', -(Number(booking.discount_total) || 0)],
+    ['fee', 'Transaction fee', Number(booking.transaction_fee) || 0],
+    ['tax', 'Tax', Number(booking.tax_total) || 0]
+  ];
+  extras.forEach(([chargeType, description, amount]) => {
+    if (amount !== 0) {
+      lines.push({ charge_type: chargeType, description, service_date: booking.check_in, amount: roundAmount(amount) });
+    }
+  });
+
+  return lines;
+};
+
+const getFolioCharges = async (bookingId) => {
+  const { data, error } = await supabase
+    .from('folio_charges')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load folio charges: ${error.message}`);
+  }
+  return data || [];
+};
+
+/**
+ * Get a Folio
+ * The booking's stay lines, posted charges, payments and balance.
+ */
+const getFolio = async (booking) => {
+  const [charges, payments] = await Promise.all([
+    getFolioCharges(booking.id),
+    getBookingPayments(booking.id)
+  ]);
+
+  return {
+    booking_id: booking.id,
+    guest_name: booking.guest_name,
+    room_number: booking.room_number || null,
+    check_in: booking.check_in,
+    check_out: booking.check_out,
+    status: booking.status,
+    stay: getStayLines(booking),
+    charges,
+    payments,
+    summary: summarizePayments(booking, payments)
+  };
+};
+
+// Re-total the booking's posted charges, then re-derive its balance
+const syncFolioTotal = async (bookingId) => {
+  const charges = await getFolioCharges(bookingId);
+  const chargesTotal = roundAmount(charges
+    .filter(charge => !charge.voided_at)
+    .reduce((sum, charge) => sum + Number(charge.amount), 0));
+
+  const { error } = await supabase
+    .from('bookings')
+    .update({ folio_charges_total: chargesTotal })
+    .eq('id', bookingId);
+
+  if (error) {
+    throw new Error(`Failed to update folio total: ${error.message}`);
+  }
+  return syncBookingPayments(bookingId);
+};
+
+/**
+ * Post a Charge
+ * Adds a charge to the booking's folio and updates its balance. Bar sales
+ * charged to the room pass barSaleId; each sale is posted once.
+ * Returns { charge, booking, summary }.
+ */
+const postFolioCharge = async ({
+  booking,
+  chargeType,
+  description,
+  quantity = 1,
+  unitPrice,
+  serviceDate,
+  barSaleId,
+  user
+}) => {
+  const { data: charge, error } = await supabase
+    .from('folio_charges')
+    .insert([{
+      booking_id: booking.id,
+      charge_type: chargeType,
+      description,
+      quantity,
+      unit_price: roundAmount(Number(unitPrice)),
+      amount: roundAmount(Number(unitPrice) * quantity),
+      ...(serviceDate && { service_date: serviceDate }),
+      bar_sale_id: barSaleId ? String(barSaleId) : null,
+      posted_by: user?.id || null,
+      posted_by_name: user?.name || null,
+      posted_by_role: user?.role || 'system'
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to post folio charge: ${error.message}`);
+  }
+
+  console.log(`🧾 ${chargeType} charge of ${charge.amount} posted to booking ${booking.id}`);
+  return { charge, ...(await syncFolioTotal(booking.id)) };
+};
+
+/**
+ * Void a Charge
+ * Takes a charge off the folio; the row is kept for the audit trail.
+ * Returns { charge, booking, summary }, or null if it was already voided.
+ */
+const voidFolioCharge = async (charge, user, reason) => {
+  const { data: voided, error } = await supabase
+    .from('folio_charges')
+    .update({
+      voided_at: new Date().toISOString(),
+      voided_by: user?.id || null,
+      void_reason: reason || null
+    })
+    .eq('id', charge.id)
+    .is('voided_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to void folio charge: ${error.message}`);
+  }
+  if (!voided) {
+    return null;
+  }
+
+  return { charge: voided, ...(await syncFolioTotal(voided.booking_id)) };
+};
+
+module.exports = {
+  FOLIO_CHARGE_TYPES,
+  FOLIO_OPEN_STATUSES,
+  getStayLines,
+  getFolio,
+  postFolioCharge,
+  voidFolioCharge
+};
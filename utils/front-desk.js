@@ -0,0 +1,215 @@
+// Front Desk
+// Check-in and check-out rules: hotel-local dates, the 12:00 PM checkout time
+// and late-checkout charges, plus the arrivals, departures and in-house lists.
+const { createClient } = require('@supabase/supabase-js');
+const { invalidateCache } = require('./cache');
+const { toDateKey, eachNight } = require('./availability');
+const { roundAmount, getBalanceDue } = require('./money');
+const { getRoomTypesById } = require('./room-types');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Lagos time (WAT) has no daylight saving
+const HOTEL_UTC_OFFSET = process.env.HOTEL_UTC_OFFSET || '+01:00';
+const CHECKOUT_TIME = process.env.CHECKOUT_TIME || '12:00';
+const LATE_CHECKOUT_GRACE_MINUTES = parseInt(process.env.LATE_CHECKOUT_GRACE_MINUTES || '30');
+const LATE_CHECKOUT_HALF_DAY_HOURS = 6; // Until 6:00 PM is half a night, later is a full night
+
+// Documents accepted as guest ID at check-in
+const ID_DOCUMENT_TYPES = ['passport', 'national_id', 'drivers_license', 'voters_card', 'other'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const offsetMinutes = () => {
+  const [, sign, hours, minutes] = HOTEL_UTC_OFFSET.match(/^([+-])(\d{2}):(\d{2})$/) || [null, '+', '01', '00'];
+  return (sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes));
+};
+
+// The hotel's calendar date (YYYY-MM-DD) at the given moment
+const hotelDateKey = (at = new Date()) => toDateKey(new Date(new Date(at).getTime() + offsetMinutes() * 60 * 1000));
+
+const nextDateKey = (dateKey) => toDateKey(new Date(dateKey).getTime() + DAY_MS);
+
+// When the guest is due out: CHECKOUT_TIME, hotel time, on the check-out date
+const getCheckoutDeadline = (booking) => new Date(`${toDateKey(booking.check_out)}T${CHECKOUT_TIME}:00${HOTEL_UTC_OFFSET}`);
+
+// The room rate of the stay's last night, used to price a late checkout
+const getNightlyRate = (booking) => {
+  const nights = booking.nightly_breakdown || [];
+  if (nights.length > 0) {
+    return roundAmount(Number(nights[nights.length - 1].price) || 0);
+  }
+
+  const nightCount = eachNight(booking.check_in, booking.check_out).length || 1;
+  const roomTotal = (Number(booking.total_amount) || 0) -
+    (Number(booking.transaction_fee) || 0) - (Number(booking.tax_total) || 0) +
+    (Number(booking.discount_total) || 0);
+  return roundAmount(roomTotal / nightCount);
+};
+
+/**
+ * Late Checkout
+ * Compares the departure time with the checkout deadline. Within the grace
+ * period it is free; up to LATE_CHECKOUT_HALF_DAY_HOURS late costs half a
+ * night, and beyond that a full night for every day started.
+ * Returns { is_late, deadline, minutes_late, quantity, unit_price, amount, description }.
+ */
+const computeLateCheckout = (booking, at = new Date()) => {
+  const deadline = getCheckoutDeadline(booking);
+  const minutesLate = Math.max(0, Math.floor((new Date(at).getTime() - deadline.getTime()) / 60000));
+  const result = {
+    is_late: false,
+    deadline: deadline.toISOString(),
+    minutes_late: minutesLate,
+    quantity: 0,
+    unit_price: 0,
+    amount: 0,
+    description: null
+  };
+
+  if (minutesLate <= LATE_CHECKOUT_GRACE_MINUTES) {
+    return result;
+  }
+
+  const rate = getNightlyRate(booking);
+  const hoursLate = minutesLate / 60;
+  if (hoursLate <= LATE_CHECKOUT_HALF_DAY_HOURS) {
+    return {
+      ...result,
+      is_late: true,
+      quantity: 1,
+      unit_price: roundAmount(rate / 2),
+      amount: roundAmount(rate / 2),
+      description: `Late checkout - ${Math.ceil(hoursLate)}h past ${CHECKOUT_TIME} (half day)`
+    };
+  }
+
+  const days = Math.ceil(hoursLate / 24);
+  return {
+    ...result,
+    is_late: true,
+    quantity: days,
+    unit_price: rate,
+    amount: roundAmount(rate * days),
+    description: `Late checkout - ${days} extra night${days === 1 ? '' : 's'}`
+  };
+};
+
+const FRONT_DESK_FIELDS = 'id, transaction_ref, guest_name, guest_phone, room_id, room_number, assigned_room_id, ' +
+  'check_in, check_out, status, is_vip, total_amount, folio_charges_total, amount_paid, payment_status, ' +
+  'nightly_breakdown, transaction_fee, tax_total, discount_total, arrived_at, checked_in_at, checked_out_at';
+
+const FRONT_DESK_LISTS = ['arrivals', 'departures', 'in-house'];
+
+/**
+ * List Cache
+ * The lists are cached per list and date (see cacheMiddleware) for
+ * FRONT_DESK_CACHE_TTL seconds, and dropped whenever a booking changes.
+ */
+const FRONT_DESK_CACHE_KEY = 'today_bookings';
+const FRONT_DESK_CACHE_TTL = 60;
+
+const frontDeskCacheKey = (list, date) => `${FRONT_DESK_CACHE_KEY}_${list}_${date}`;
+
+const invalidateFrontDeskLists = () => invalidateCache(`^${FRONT_DESK_CACHE_KEY}`);
+
+// Which bookings each list holds on the given hotel date
+const queryFrontDeskList = (list, date) => {
+  const query = supabase.from('bookings').select(FRONT_DESK_FIELDS);
+
+  if (list === 'arrivals') {
+    // Starting that day, whether or not the guest has checked in yet
+    return query
+      .gte('check_in', date)
+      .lt('check_in', nextDateKey(date))
+      .in('status', ['pending', 'confirmed', 'checked_in', 'no_show']);
+  }
+  if (list === 'departures') {
+    // Ending that day, whether or not the guest has left yet
+    return query
+      .gte('check_out', date)
+      .lt('check_out', nextDateKey(date))
+      .in('status', ['checked_in', 'checked_out', 'completed']);
+  }
+  // Checked in by that day and not gone before the night - overstaying guests included
+  return query
+    .lt('check_in', nextDateKey(date))
+    .or(`status.eq.checked_in,and(status.in.(checked_out,completed),checked_out_at.gte.${nextDateKey(date)})`);
+};
+
+const toListEntry = (list, date) => (booking) => {
+  const { nightly_breakdown, transaction_fee, tax_total, discount_total, ...fields } = booking;
+  const balanceDue = getBalanceDue(booking);
+  const entry = {
+    ...fields,
+    balance_due: balanceDue,
+    is_unpaid: balanceDue > 0,
+    is_vip: Boolean(booking.is_vip)
+  };
+
+  if (list === 'arrivals') {
+    entry.is_checked_in = booking.status === 'checked_in';
+  } else if (list === 'departures') {
+    entry.is_checked_out = booking.status !== 'checked_in';
+    entry.late_checkout = booking.status === 'checked_in' ? computeLateCheckout(booking) : null;
+  } else {
+    entry.is_due_out = booking.status === 'checked_in' && toDateKey(booking.check_out) <= date;
+  }
+  return entry;
+};
+
+/**
+ * Front Desk List
+ * arrivals, departures or in-house for a hotel date (today by default), with
+ * unpaid and VIP flags on every guest and counts per room type.
+ * Returns { list, date, checkout_time, total, unpaid, vip, by_room_type, data }.
+ */
+const getFrontDeskList = async (list, date = hotelDateKey()) => {
+  const [{ data, error }, roomTypesById] = await Promise.all([
+    queryFrontDeskList(list, date).order('guest_name', { ascending: true }),
+    getRoomTypesById()
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to load ${list}: ${error.message}`);
+  }
+
+  const entries = (data || []).map(toListEntry(list, date));
+
+  const byRoomType = Object.values(entries.reduce((acc, entry) => {
+    const counts = acc[entry.room_id] || {
+      room_type_id: entry.room_id,
+      room_type: roomTypesById[entry.room_id]?.name || 'Unknown Room',
+      count: 0
+    };
+    counts.count += 1;
+    acc[entry.room_id] = counts;
+    return acc;
+  }, {}));
+
+  return {
+    list,
+    date,
+    checkout_time: CHECKOUT_TIME,
+    total: entries.length,
+    unpaid: entries.filter(entry => entry.is_unpaid).length,
+    vip: entries.filter(entry => entry.is_vip).length,
+    by_room_type: byRoomType,
+    data: entries
+  };
+};
+
+module.exports = {
+  CHECKOUT_TIME,
+  ID_DOCUMENT_TYPES,
+  FRONT_DESK_LISTS,
+  FRONT_DESK_CACHE_TTL,
+  hotelDateKey,
+  computeLateCheckout,
+  frontDeskCacheKey,
+  invalidateFrontDeskLists,
+  getFrontDeskList
+};
@@ -0,0 +1,156 @@
+// Guest Portal
+// Guests manage their own booking without an account: a one-time code is
+// emailed to the booking's address and exchanged for a short-lived session
+// token scoped to that one booking.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const { getBalanceDue } = require('./money');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ACCESS_CODE_MINUTES = parseInt(process.env.GUEST_ACCESS_CODE_MINUTES || '15');
+const ACCESS_CODE_MAX_ATTEMPTS = 5;
+const GUEST_SESSION_HOURS = parseInt(process.env.GUEST_SESSION_HOURS || '2');
+const GUEST_PORTAL_URL = process.env.GUEST_PORTAL_URL || 'https://smile-tcontinental.com/manage-booking';
+
+// Bookings the guest can still change or cancel
+const GUEST_EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+const hashCode = (bookingId, code) => crypto
+  .createHash('sha256')
+  .update(`${bookingId}:${code}`)
+  .digest('hex');
+
+/**
+ * Issue an Access Code
+ * A 6-digit code for the booking, valid for ACCESS_CODE_MINUTES. Earlier
+ * unused codes stop working. Returns { code, link, expires_at }.
+ */
+const issueAccessCode = async (booking) => {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + ACCESS_CODE_MINUTES * 60 * 1000).toISOString();
+
+  await supabase
+    .from('guest_access_codes')
+    .delete()
+    .eq('booking_id', booking.id)
+    .is('used_at', null);
+
+  const { error } = await supabase
+    .from('guest_access_codes')
+    .insert([{ booking_id: booking.id, code_hash: hashCode(booking.id, code), expires_at: expiresAt }]);
+
+  if (error) {
+    throw new Error(`Failed to issue access code: ${error.message}`);
+  }
+
+  const link = `${GUEST_PORTAL_URL}?reference=${encodeURIComponent(booking.transaction_ref)}&code=${code}`;
+  return { code, link, expires_at: expiresAt };
+};
+
+/**
+ * Redeem an Access Code
+ * Checks the booking's latest code; each wrong guess counts towards
+ * ACCESS_CODE_MAX_ATTEMPTS and a matching code is used up.
+ * Returns { isValid, message }.
+ */
+const redeemAccessCode = async (booking, code) => {
+  const invalid = { isValid: false, message: 'The code is wrong or has expired - request a new one' };
+
+  const { data: accessCode, error } = await supabase
+    .from('guest_access_codes')
+    .select('*')
+    .eq('booking_id', booking.id)
+    .is('used_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load access code: ${error.message}`);
+  }
+  if (!accessCode || new Date(accessCode.expires_at) < new Date() || accessCode.attempts >= ACCESS_CODE_MAX_ATTEMPTS) {
+    return invalid;
+  }
+
+  const expected = Buffer.from(accessCode.code_hash, 'hex');
+  const given = Buffer.from(hashCode(booking.id, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    await supabase
+      .from('guest_access_codes')
+      .update({ attempts: accessCode.attempts + 1 })
+      .eq('id', accessCode.id);
+    return invalid;
+  }
+
+  // Only the first use of a code counts
+  const { data: used } = await supabase
+    .from('guest_access_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', accessCode.id)
+    .is('used_at', null)
+    .select('id');
+
+  return used && used.length > 0 ? { isValid: true } : invalid;
+};
+
+// Session token for one booking; requireGuestSession (middleware/auth.js) checks it
+const signGuestSession = (booking) => jwt.sign(
+  { role: 'guest', scope: 'guest_portal', booking_id: booking.id },
+  process.env.JWT_SECRET,
+  { expiresIn: `${GUEST_SESSION_HOURS}h` }
+);
+
+/**
+ * Public Booking View
+ * What anyone holding the booking reference may see - enough for the payment
+ * pages, without the guest's contact details, ID or internal fields.
+ */
+const toPublicBooking = (booking, roomType) => ({
+  reference: booking.transaction_ref,
+  transaction_ref: booking.transaction_ref,
+  status: booking.status,
+  payment_status: booking.payment_status,
+  payment_method: booking.payment_method,
+  guest_first_name: String(booking.guest_name || '').trim().split(/\s+/)[0] || null,
+  room_name: roomType?.name || 'Unknown Room',
+  check_in: booking.check_in,
+  check_out: booking.check_out,
+  guests: booking.guests,
+  total_amount: booking.total_amount,
+  amount_paid: booking.amount_paid,
+  balance_due: getBalanceDue(booking),
+  created_at: booking.created_at
+});
+
+// The guest's own view in the portal: the public view plus their details and requests
+const toGuestBooking = (booking, roomType) => ({
+  ...toPublicBooking(booking, roomType),
+  guest_name: booking.guest_name,
+  guest_email: booking.guest_email,
+  guest_phone: booking.guest_phone,
+  room_number: booking.status === 'checked_in' ? booking.room_number : null,
+  base_total: booking.base_total,
+  discount_total: booking.discount_total,
+  transaction_fee: booking.transaction_fee,
+  tax_total: booking.tax_total,
+  nightly_breakdown: booking.nightly_breakdown,
+  cancellation_policy: booking.cancellation_policy,
+  expected_arrival_time: booking.expected_arrival_time,
+  special_requests: booking.special_requests,
+  can_modify: GUEST_EDITABLE_STATUSES.includes(booking.status)
+});
+
+module.exports = {
+  ACCESS_CODE_MINUTES,
+  GUEST_EDITABLE_STATUSES,
+  issueAccessCode,
+  redeemAccessCode,
+  signGuestSession,
+  toPublicBooking,
+  toGuestBooking
+};
@@ -0,0 +1,323 @@
+// Guest Profiles
+// Every booking is linked to a guest, matched by email and then by phone, so
+// returning guests keep their preferences, notes, flags and history.
+const { createClient } = require('@supabase/supabase-js');
+const { roundAmount } = require('./money');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Bookings where the guest actually stayed
+const STAYED_STATUSES = ['checked_in', 'checked_out', 'completed'];
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null) || null;
+
+// Digits only, in international form: 0803... and +234 803... are the same number
+const normalizePhone = (phone) => {
+  const digits = phone ? String(phone).replace(/\D/g, '') : '';
+  if (!digits) return null;
+  return /^0\d{10}$/.test(digits) ? `234${digits.slice(1)}` : digits;
+};
+
+const findGuestBy = async (column, value) => {
+  const { data, error } = await supabase
+    .from('guests')
+    .select('*')
+    .eq(column, value)
+    .is('merged_into_id', null)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to look up guest: ${error.message}`);
+  }
+  return data && data.length > 0 ? data[0] : null;
+};
+
+/**
+ * Find or Create a Guest
+ * Matches an active profile by email, then by phone, and fills in whichever
+ * contact detail it was missing. Otherwise a new profile is created.
+ * Returns the guest row.
+ */
+const findOrCreateGuest = async ({ name, email, phone }) => {
+  const normalizedEmail = normalizeEmail(email);
+  const normalizedPhone = normalizePhone(phone);
+
+  let guest = null;
+  if (normalizedEmail) {
+    guest = await findGuestBy('email', normalizedEmail);
+  }
+  if (!guest && normalizedPhone) {
+    guest = await findGuestBy('phone_normalized', normalizedPhone);
+  }
+
+  if (guest) {
+    const missing = {};
+    if (!guest.email && normalizedEmail) missing.email = normalizedEmail;
+    if (!guest.phone && phone) {
+      missing.phone = String(phone).trim();
+      missing.phone_normalized = normalizedPhone;
+    }
+    if (Object.keys(missing).length === 0) {
+      return guest;
+    }
+
+    const { data: updated, error } = await supabase
+      .from('guests')
+      .update({ ...missing, updated_at: new Date().toISOString() })
+      .eq('id', guest.id)
+      .select()
+      .single();
+
+    // The email may belong to another profile - keep the match as it is
+    return error ? guest : updated;
+  }
+
+  const { data: created, error } = await supabase
+    .from('guests')
+    .insert([{
+      name: String(name || '').trim() || 'Guest',
+      email: normalizedEmail,
+      phone: phone ? String(phone).trim() : null,
+      phone_normalized: normalizedPhone
+    }])
+    .select()
+    .single();
+
+  if (error && error.code === '23505') {
+    // Created by a concurrent booking
+    const concurrent = await findGuestBy('email', normalizedEmail);
+    if (concurrent) return concurrent;
+  }
+  if (error) {
+    throw new Error(`Failed to create guest: ${error.message}`);
+  }
+
+  console.log(`👤 New guest profile ${created.id} for ${normalizedEmail || normalizedPhone}`);
+  return created;
+};
+
+/**
+ * Refresh Guest Stats
+ * Re-derives lifetime_value (what the guest has paid across all bookings,
+ * net of refunds), stay_count and last_stay_on from their bookings.
+ * Failures are logged, not thrown - the stats catch up on the next change.
+ */
+const refreshGuestStats = async (guestId) => {
+  if (!guestId) return null;
+
+  try {
+    const { data: bookings, error } = await supabase
+      .from('bookings')
+      .select('status, amount_paid, check_out')
+      .eq('guest_id', guestId);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const stays = (bookings || []).filter(booking => STAYED_STATUSES.includes(booking.status));
+    const stats = {
+      lifetime_value: roundAmount((bookings || []).reduce((sum, booking) => sum + Number(booking.amount_paid || 0), 0)),
+      stay_count: stays.length,
+      last_stay_on: stays.reduce((latest, booking) => {
+        const date = String(booking.check_out).split('T')[0];
+        return !latest || date > latest ? date : latest;
+      }, null)
+    };
+
+    const { error: updateError } = await supabase
+      .from('guests')
+      .update({ ...stats, updated_at: new Date().toISOString() })
+      .eq('id', guestId);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+    return stats;
+  } catch (error) {
+    console.error(`❌ Failed to refresh stats of guest ${guestId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Guest History
+ * The guest's bookings with what each cost and what was paid, the charges
+ * posted to their folios (bar tabs included) and the totals.
+ */
+const getGuestHistory = async (guestId) => {
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select('id, transaction_ref, room_id, room_number, check_in, check_out, status, guests, total_amount, folio_charges_total, amount_paid, refunded_amount, payment_status, payment_method, created_at, checked_in_at, checked_out_at')
+    .eq('guest_id', guestId)
+    .order('check_in', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to load guest bookings: ${error.message}`);
+  }
+
+  const bookingIds = (bookings || []).map(booking => booking.id);
+  let charges = [];
+  if (bookingIds.length > 0) {
+    const { data, error: chargeError } = await supabase
+      .from('folio_charges')
+      .select('id, booking_id, charge_type, description, quantity, unit_price, amount, service_date, bar_sale_id, created_at')
+      .in('booking_id', bookingIds)
+      .is('voided_at', null)
+      .order('created_at', { ascending: false });
+
+    if (chargeError) {
+      throw new Error(`Failed to load guest folio charges: ${chargeError.message}`);
+    }
+    charges = data || [];
+  }
+
+  const stays = (bookings || []).filter(booking => STAYED_STATUSES.includes(booking.status));
+  const sum = (rows, field) => roundAmount(rows.reduce((total, row) => total + Number(row[field] || 0), 0));
+  const barCharges = charges.filter(charge => charge.charge_type === 'bar');
+
+  return {
+    bookings: bookings || [],
+    folio_charges: charges,
+    summary: {
+      bookings: (bookings || []).length,
+      stays: stays.length,
+      nights: stays.reduce((total, booking) => total + Math.max(0, Math.round(
+        (new Date(booking.check_out) - new Date(booking.check_in)) / (1000 * 60 * 60 * 24)
+      )), 0),
+      room_spend: sum(stays, 'total_amount'),
+      folio_spend: sum(charges, 'amount'),
+      bar_spend: sum(barCharges, 'amount'),
+      amount_paid: sum(bookings || [], 'amount_paid')
+    }
+  };
+};
+
+/**
+ * Merge Guests
+ * Folds a duplicate profile into the one being kept: its bookings and waitlist
+ * entries move over, missing contact details, preferences and notes are
+ * copied, and VIP or blacklist flags carry across. The duplicate keeps its
+ * row with merged_into_id.
+ * Returns the kept guest.
+ */
+const mergeGuests = async ({ keep, duplicate, user }) => {
+  const now = new Date().toISOString();
+
+  // Retire the duplicate first, so its email can move to the kept profile
+  const { data: retired, error: retireError } = await supabase
+    .from('guests')
+    .update({ merged_into_id: keep.id, merged_at: now, merged_by: user?.id || null, updated_at: now })
+    .eq('id', duplicate.id)
+    .is('merged_into_id', null)
+    .select()
+    .maybeSingle();
+
+  if (retireError) {
+    throw new Error(`Failed to merge guest: ${retireError.message}`);
+  }
+  if (!retired) {
+    return null;
+  }
+
+  const { error: moveError } = await supabase
+    .from('bookings')
+    .update({ guest_id: keep.id })
+    .eq('guest_id', duplicate.id);
+
+  if (moveError) {
+    throw new Error(`Failed to move bookings to guest ${keep.id}: ${moveError.message}`);
+  }
+
+  const { error: waitlistError } = await supabase
+    .from('waitlist_entries')
+    .update({ guest_id: keep.id })
+    .eq('guest_id', duplicate.id);
+
+  if (waitlistError) {
+    throw new Error(`Failed to move waitlist entries to guest ${keep.id}: ${waitlistError.message}`);
+  }
+
+  const updates = {
+    preferences: { ...(duplicate.preferences || {}), ...(keep.preferences || {}) },
+    notes: [keep.notes, duplicate.notes].filter(Boolean).join('\n') || null,
+    is_vip: keep.is_vip || duplicate.is_vip,
+    updated_at: now
+  };
+  if (!keep.email && duplicate.email) updates.email = duplicate.email;
+  if (!keep.phone && duplicate.phone) {
+    updates.phone = duplicate.phone;
+    updates.phone_normalized = duplicate.phone_normalized;
+  }
+  if (!keep.is_blacklisted && duplicate.is_blacklisted) {
+    updates.is_blacklisted = true;
+    updates.blacklist_reason = duplicate.blacklist_reason;
+    updates.blacklisted_at = duplicate.blacklisted_at;
+    updates.blacklisted_by = duplicate.blacklisted_by;
+  }
+
+  const { error: updateError } = await supabase
+    .from('guests')
+    .update(updates)
+    .eq('id', keep.id);
+
+  if (updateError) {
+    throw new Error(`Failed to update guest ${keep.id}: ${updateError.message}`);
+  }
+
+  await refreshGuestStats(keep.id);
+  console.log(`👥 Guest ${duplicate.id} merged into ${keep.id} by ${user?.name || user?.role || 'system'}`);
+
+  const { data: merged } = await supabase
+    .from('guests')
+    .select('*')
+    .eq('id', keep.id)
+    .single();
+  return merged;
+};
+
+/**
+ * Duplicate Candidates
+ * Active profiles that share a phone number or a name - likely the same
+ * person booking with a different email. Returns [{ match, value, guests }].
+ */
+const findDuplicateGuests = async () => {
+  const { data: guests, error } = await supabase
+    .from('guests')
+    .select('id, name, email, phone, phone_normalized, stay_count, lifetime_value, is_blacklisted, created_at')
+    .is('merged_into_id', null)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load guests: ${error.message}`);
+  }
+
+  const groupBy = (match, keyOf) => Object.entries((guests || []).reduce((acc, guest) => {
+    const key = keyOf(guest);
+    if (key) {
+      acc[key] = [...(acc[key] || []), guest];
+    }
+    return acc;
+  }, {}))
+    .filter(([, group]) => group.length > 1)
+    .map(([value, group]) => ({ match, value, guests: group }));
+
+  return [
+    ...groupBy('phone', guest => guest.phone_normalized),
+    ...groupBy('name', guest => guest.name && guest.name.trim().toLowerCase().replace(/\s+/g, ' '))
+  ];
+};
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  findOrCreateGuest,
+  refreshGuestStats,
+  getGuestHistory,
+  mergeGuests,
+  findDuplicateGuests
+};
@@ -0,0 +1,262 @@
+// Invoices and Receipts
+// Itemized PDFs of a booking's folio - nights, fees and tax, posted charges,
+// payments and balance - in the hotel's branding. Served by
+// GET /bookings/:id/invoice.pdf and /receipt.pdf and attached to guest emails.
+const PDFDocument = require('pdfkit');
+const { createClient } = require('@supabase/supabase-js');
+const { findRoomType } = require('./room-types');
+const { getFolio } = require('./folio');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const HOTEL = {
+  name: 'Smile-T Continental Hotel',
+  address: process.env.HOTEL_ADDRESS || '',
+  phone: '+234-805-323-3660',
+  email: 'info@smile-tcontinental.com',
+  brown: '#7B3F00',
+  sienna: '#A0522D',
+  gold: '#FFD700'
+};
+
+const DOCUMENT_TITLES = { invoice: 'INVOICE', receipt: 'RECEIPT' };
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  pos: 'POS',
+  transfer: 'Bank transfer',
+  flutterwave: 'Flutterwave',
+  paystack: 'Paystack',
+  mock: 'Mock',
+  other: 'Other'
+};
+
+// Standard PDF fonts have no naira sign
+const formatMoney = (amount) => `NGN ${Number(amount || 0).toLocaleString('en-NG', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '');
+
+/**
+ * Document Number
+ * The booking's invoice or receipt number, issued on first use and reused
+ * afterwards (see migrations/015_invoices.sql). Returns { document_number, issued_at }.
+ */
+const getDocumentNumber = async (bookingId, documentType) => {
+  const findExisting = () => supabase
+    .from('invoices')
+    .select('document_number, issued_at')
+    .eq('booking_id', bookingId)
+    .eq('document_type', documentType)
+    .maybeSingle();
+
+  const { data: existing } = await findExisting();
+  if (existing) {
+    return existing;
+  }
+
+  const { data: issued, error } = await supabase
+    .from('invoices')
+    .insert([{ booking_id: bookingId, document_type: documentType }])
+    .select('document_number, issued_at')
+    .single();
+
+  if (error && error.code === '23505') {
+    // Issued by a concurrent request
+    const { data: concurrent } = await findExisting();
+    if (concurrent) return concurrent;
+  }
+  if (error) {
+    throw new Error(`Failed to issue ${documentType} number: ${error.message}`);
+  }
+  return issued;
+};
+
+// Render the PDF into a Buffer
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  draw(doc);
+  doc.end();
+});
+
+const drawHeader = (doc, title) => {
+  doc.rect(0, 0, doc.page.width, 90).fill(HOTEL.brown);
+  doc.rect(0, 90, doc.page.width, 4).fill(HOTEL.gold);
+  doc.fillColor('white').font('Helvetica-Bold').fontSize(22).text(HOTEL.name, 50, 25);
+  doc.font('Helvetica').fontSize(9)
+    .text([HOTEL.address, HOTEL.phone, HOTEL.email].filter(Boolean).join('  |  '), 50, 55);
+  doc.font('Helvetica-Bold').fontSize(20).text(title, 50, 32, { align: 'right' });
+  doc.fillColor('#333333').font('Helvetica');
+  doc.y = 115;
+};
+
+// Table columns: date, description, qty, unit price, amount
+const COLUMNS = [
+  { key: 'date', x: 50, width: 75 },
+  { key: 'description', x: 125, width: 215 },
+  { key: 'quantity', x: 340, width: 40, align: 'right' },
+  { key: 'unit', x: 385, width: 75, align: 'right' },
+  { key: 'amount', x: 465, width: 80, align: 'right' }
+];
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - 70) {
+    doc.addPage();
+    doc.y = 50;
+  }
+};
+
+const drawRow = (doc, row, { bold = false, fill } = {}) => {
+  ensureSpace(doc, 18);
+  const y = doc.y;
+  if (fill) {
+    doc.rect(50, y - 4, 495, 18).fill(fill);
+  }
+  doc.fillColor(fill === HOTEL.brown ? 'white' : '#333333')
+    .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+    .fontSize(9);
+  COLUMNS.forEach(column => {
+    doc.text(row[column.key] ?? '', column.x, y, { width: column.width, align: column.align || 'left', lineBreak: false });
+  });
+  doc.fillColor('#333333');
+  doc.y = y + 18;
+};
+
+const drawSectionTitle = (doc, text) => {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(HOTEL.brown).text(text, 50);
+  doc.fillColor('#333333').moveDown(0.3);
+};
+
+const drawTotal = (doc, label, value, { highlight = false } = {}) => {
+  ensureSpace(doc, 20);
+  const y = doc.y;
+  if (highlight) {
+    doc.rect(330, y - 5, 215, 20).fill(HOTEL.gold);
+  }
+  doc.fillColor(highlight ? HOTEL.brown : '#333333')
+    .font(highlight ? 'Helvetica-Bold' : 'Helvetica')
+    .fontSize(10);
+  doc.text(label, 340, y, { width: 110, lineBreak: false });
+  doc.text(value, 445, y, { width: 100, align: 'right', lineBreak: false });
+  doc.fillColor('#333333');
+  doc.y = y + 20;
+};
+
+/**
+ * Build a Booking PDF
+ * documentType is 'invoice' or 'receipt'. Returns { buffer, filename, documentNumber }.
+ */
+const buildBookingPdf = async (booking, documentType = 'invoice') => {
+  const [folio, roomType, number] = await Promise.all([
+    getFolio(booking),
+    findRoomType(booking.room_id),
+    getDocumentNumber(booking.id, documentType)
+  ]);
+  const { summary } = folio;
+  const charges = folio.charges.filter(charge => !charge.voided_at);
+  const payments = folio.payments.filter(payment => !payment.voided_at);
+
+  const buffer = await renderPdf(doc => {
+    drawHeader(doc, DOCUMENT_TITLES[documentType]);
+
+    // Document and guest details side by side
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(`${documentType === 'receipt' ? 'Receipt' : 'Invoice'} No: ${number.document_number}`, 50, top);
+    doc.font('Helvetica').fontSize(9)
+      .text(`Date: ${formatDate(documentType === 'receipt' ? new Date() : number.issued_at)}`)
+      .text(`Booking Ref: ${booking.transaction_ref || booking.id}`)
+      .text(`Status: ${booking.status}`);
+    doc.font('Helvetica-Bold').fontSize(10).text('Billed To', 320, top);
+    doc.font('Helvetica').fontSize(9)
+      .text(booking.guest_name || '', 320)
+      .text(booking.guest_email || '', 320)
+      .text(booking.guest_phone || '', 320)
+      .text(`${roomType?.name || 'Room'}${booking.room_number ? ` - Room ${booking.room_number}` : ''}`, 320)
+      .text(`${formatDate(booking.check_in)} to ${formatDate(booking.check_out)}`, 320);
+    doc.y = Math.max(doc.y, top + 75);
+
+    drawSectionTitle(doc, 'Charges');
+    drawRow(doc, { date: 'Date', description: 'Description', quantity: 'Qty', unit: 'Unit Price', amount: 'Amount' }, { bold: true, fill: HOTEL.brown });
+    folio.stay.forEach(line => drawRow(doc, {
+      date: formatDate(line.service_date),
+      description: line.description,
+      quantity: line.charge_type === 'room' ? '1' : '',
+      unit: line.charge_type === 'room' ? formatMoney(line.amount) : '',
+      amount: formatMoney(line.amount)
+    }));
+    charges.forEach(charge => drawRow(doc, {
+      date: formatDate(charge.service_date),
+      description: charge.description,
+      quantity: String(charge.quantity),
+      unit: formatMoney(charge.unit_price),
+      amount: formatMoney(charge.amount)
+    }));
+    doc.moveDown(0.5);
+    drawTotal(doc, 'Total charges', formatMoney(summary.total_due));
+
+    drawSectionTitle(doc, 'Payments');
+    if (payments.length === 0) {
+      doc.font('Helvetica').fontSize(9).text('No payments recorded', 50);
+    }
+    payments.forEach(payment => drawRow(doc, {
+      date: formatDate(payment.created_at),
+      description: `${PAYMENT_METHOD_LABELS[payment.method] || payment.method}${payment.reference ? ` - ${payment.reference}` : ''}`,
+      amount: formatMoney(payment.amount)
+    }));
+    doc.moveDown(0.5);
+    drawTotal(doc, 'Total paid', formatMoney(summary.amount_received));
+    if (summary.refunded_amount > 0) {
+      drawTotal(doc, 'Refunded', `-${formatMoney(summary.refunded_amount)}`);
+    }
+    drawTotal(doc, 'Balance due', formatMoney(Math.max(summary.balance_due, 0)), { highlight: true });
+    if (summary.balance_due < 0) {
+      drawTotal(doc, 'Credit owed to guest', formatMoney(Math.abs(summary.balance_due)));
+    }
+
+    if (documentType === 'receipt' && summary.balance_due <= 0) {
+      doc.save().rotate(-15, { origin: [150, doc.y + 30] })
+        .font('Helvetica-Bold').fontSize(28).fillColor(HOTEL.sienna)
+        .text('PAID', 90, doc.y + 10, { lineBreak: false })
+        .restore();
+    }
+
+    doc.fillColor('#666666').font('Helvetica').fontSize(8)
+      .text(`Thank you for choosing ${HOTEL.name}.`, 50, doc.page.height - 60, { width: 495, align: 'center', lineBreak: false });
+  });
+
+  const prefix = documentType === 'receipt' ? 'receipt' : 'invoice';
+  return {
+    buffer,
+    filename: `${prefix}-${number.document_number}.pdf`,
+    documentNumber: number.document_number
+  };
+};
+
+// Attachment for guest emails; null when the PDF can't be built, so the email still goes out
+const buildInvoiceAttachment = async (booking) => {
+  try {
+    const { buffer, filename } = await buildBookingPdf(booking, 'invoice');
+    return { filename, content: buffer };
+  } catch (error) {
+    console.error('❌ Invoice PDF failed:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  buildBookingPdf,
+  buildInvoiceAttachment
+};
@@ -0,0 +1,111 @@
+// Mock Payment Provider
+// Runs the whole payment flow offline for local development and tests.
+// Charges live in memory; /payments/mock/checkout/:tx_ref plays the hosted
+// checkout page. Only enabled with MOCK_PAYMENTS=true (see utils/payment-providers).
+const { roundAmount } = require('./money');
+
+const charges = new Map(); // tx_ref → charge
+let nextId = 1;
+
+const MOCK_SECRET = () => process.env.MOCK_PAYMENT_SECRET;
+const baseUrl = () => process.env.MOCK_PAYMENT_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const toTransaction = (charge) => ({
+  provider: 'mock',
+  id: charge.id,
+  tx_ref: charge.tx_ref,
+  amount: charge.amount,
+  currency: charge.currency,
+  status: charge.status,
+  provider_status: charge.status,
+  customer_email: charge.email || null
+});
+
+// Returns { link, reference }; the link completes the charge when opened
+const initiatePayment = async ({ tx_ref, amount, currency = 'NGN', email, redirect_url }) => {
+  charges.set(tx_ref, {
+    id: `mock-${nextId++}`,
+    tx_ref,
+    amount: roundAmount(Number(amount)),
+    currency,
+    email,
+    redirect_url: redirect_url || null,
+    status: 'pending',
+    refunds: []
+  });
+  return { link: `${baseUrl()}/payments/mock/checkout/${encodeURIComponent(tx_ref)}`, reference: tx_ref };
+};
+
+/**
+ * Complete a Charge
+ * What the guest paying at checkout would do. amount and currency default to
+ * what was asked for, so tests can also simulate under- or overpayments.
+ * Returns the transaction, or null when the tx_ref was never initiated.
+ */
+const completeMockPayment = (txRef, { status = 'successful', amount, currency } = {}) => {
+  const charge = charges.get(txRef);
+  if (!charge) {
+    return null;
+  }
+
+  charge.status = status === 'successful' ? 'successful' : 'failed';
+  if (amount !== undefined) charge.amount = roundAmount(Number(amount));
+  if (currency) charge.currency = currency;
+  return { ...toTransaction(charge), redirect_url: charge.redirect_url };
+};
+
+const verifyPayment = async ({ id, tx_ref }) => {
+  const charge = id
+    ? [...charges.values()].find(item => item.id === id)
+    : charges.get(tx_ref);
+  return charge ? toTransaction(charge) : null;
+};
+
+// Accepts { event, data: { id, tx_ref, ... } } signed with x-mock-signature: MOCK_PAYMENT_SECRET.
+// Charge events are charge.completed; refund events are refund.completed and refund.failed.
+// Without MOCK_PAYMENT_SECRET every webhook is rejected.
+const parseWebhook = (req) => {
+  if (!MOCK_SECRET() || req.headers['x-mock-signature'] !== MOCK_SECRET()) {
+    return null;
+  }
+
+  const payload = req.body || {};
+  const charge = payload.data || {};
+
+  const isRefund = ['refund.completed', 'refund.failed'].includes(payload.event);
+
+  return {
+    eventType: payload.event,
+    isCharge: payload.event === 'charge.completed',
+    isRefund,
+    transactionId: charge.id ? String(charge.id) : null,
+    tx_ref: charge.tx_ref || null,
+    amount: charge.amount ?? null,
+    currency: charge.currency || null,
+    status: charge.status || null,
+    refundId: isRefund && charge.id ? String(charge.id) : null,
+    refundStatus: isRefund ? payload.event.split('.')[1] : null,
+    payload
+  };
+};
+
+const refundPayment = async ({ transactionId, amount }) => {
+  const charge = [...charges.values()].find(item => item.id === transactionId);
+  if (!charge) {
+    throw new Error(`Mock charge ${transactionId} not found`);
+  }
+
+  const refund = { id: `mock-refund-${nextId++}`, amount: roundAmount(Number(amount)) };
+  charge.refunds.push(refund);
+  return { id: refund.id, status: 'completed' };
+};
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock',
+  initiatePayment,
+  verifyPayment,
+  parseWebhook,
+  refundPayment,
+  completeMockPayment
+};
@@ -0,0 +1,32 @@
+// Money Helpers
+
+const roundAmount = (amount) => Number(Number(amount).toFixed(2));
+
+/**
+ * Amount Paid
+ * Bookings record amount_paid once a payment is applied to them; older
+ * bookings only have payment_status, where 'paid' means the full total
+ */
+const getAmountPaid = (booking) => {
+  if (booking.amount_paid !== null && booking.amount_paid !== undefined) {
+    return Number(booking.amount_paid);
+  }
+  return booking.payment_status === 'paid' ? Number(booking.total_amount) || 0 : 0;
+};
+
+/**
+ * Balance Due
+ * What the guest still owes: the stay plus charges posted to the folio,
+ * less what they have paid. Negative means the guest is owed money.
+ */
+const getBalanceDue = (booking) => roundAmount(
+  (Number(booking.total_amount) || 0) +
+  (Number(booking.folio_charges_total) || 0) -
+  getAmountPaid(booking)
+);
+
+module.exports = {
+  roundAmount,
+  getAmountPaid,
+  getBalanceDue
+};
@@ -0,0 +1,99 @@
+// Payment Event Ledger
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Record an Event
+ * Stores a provider event (as parsed by the provider's parseWebhook) before it
+ * is processed. A redelivery of an event already in the ledger returns
+ * { duplicate: true, event } with the stored row.
+ */
+const recordPaymentEvent = async ({ provider = 'flutterwave', eventType, transactionId, tx_ref, amount, currency, status, refundId, refundStatus, payload }) => {
+  // Refund events can arrive once per refund status; events without a
+  // transaction id are deduplicated on their exact payload
+  const eventKey = refundId
+    ? `${refundId}:${refundStatus}`
+    : transactionId || crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  const dedupeKey = `${provider}:${eventType || 'unknown'}:${eventKey}`;
+
+  const { data: event, error } = await supabase
+    .from('payment_events')
+    .insert([{
+      provider,
+      dedupe_key: dedupeKey,
+      event_type: eventType || null,
+      transaction_id: transactionId ? String(transactionId) : null,
+      tx_ref: tx_ref || null,
+      amount: amount ?? null,
+      currency: currency || null,
+      status: status || null,
+      payload
+    }])
+    .select()
+    .single();
+
+  if (!error) {
+    return { duplicate: false, event };
+  }
+
+  if (error.code !== '23505') {
+    throw new Error(`Failed to record payment event: ${error.message}`);
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('payment_events')
+    .select('*')
+    .eq('dedupe_key', dedupeKey)
+    .single();
+
+  if (fetchError) {
+    throw new Error(`Failed to load payment event: ${fetchError.message}`);
+  }
+
+  await supabase
+    .from('payment_events')
+    .update({ delivery_count: (existing.delivery_count || 1) + 1 })
+    .eq('id', existing.id);
+
+  return { duplicate: true, event: existing };
+};
+
+// Take a failed event back for another attempt; false if someone else already did
+const retryPaymentEvent = async (eventId) => {
+  const { data } = await supabase
+    .from('payment_events')
+    .update({ processing_status: 'received', processing_result: null })
+    .eq('id', eventId)
+    .eq('processing_status', 'failed')
+    .select('id');
+
+  return Boolean(data && data.length > 0);
+};
+
+// Record how processing an event ended: processed, ignored or failed
+const finishPaymentEvent = async (eventId, processingStatus, { result, bookingId } = {}) => {
+  const { error } = await supabase
+    .from('payment_events')
+    .update({
+      processing_status: processingStatus,
+      processing_result: result || null,
+      booking_id: bookingId || null,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', eventId);
+
+  if (error) {
+    console.error('❌ Failed to update payment event:', error);
+  }
+};
+
+module.exports = {
+  recordPaymentEvent,
+  retryPaymentEvent,
+  finishPaymentEvent
+};
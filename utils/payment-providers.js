@@ -0,0 +1,42 @@
+// Payment Providers
+// Every online payment goes through a provider with the same interface:
+//   initiatePayment({ tx_ref, amount, currency, email, name, redirect_url }) → { link, reference }
+//   verifyPayment({ id, tx_ref }) → transaction | null
+//   parseWebhook(req) → event | null when the signature doesn't check out
+//     (charge events set isCharge; refund events set isRefund, refundId and refundStatus)
+//   refundPayment({ transactionId, amount }) → { id, status: 'completed' | 'pending' }
+// Transactions are provider-neutral: { provider, id, tx_ref, amount, currency,
+// status: 'successful' | 'pending' | 'failed', provider_status, customer_email }.
+// A booking's provider is its payment_method; 'manual' bookings have none.
+const flutterwave = require('./flutterwave');
+const paystack = require('./paystack');
+const mock = require('./mock-payments');
+
+const DEFAULT_PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'flutterwave';
+
+// The mock provider is for development and tests only - it confirms bookings
+// without taking money, so it has to be switched on explicitly. While it is
+// off, 'mock' is not a valid payment_provider anywhere.
+const MOCK_PAYMENTS_ENABLED = process.env.MOCK_PAYMENTS === 'true';
+
+const PAYMENT_PROVIDERS = {
+  flutterwave,
+  paystack,
+  ...(MOCK_PAYMENTS_ENABLED && { mock })
+};
+
+const PAYMENT_PROVIDER_NAMES = Object.keys(PAYMENT_PROVIDERS);
+
+// The provider with this name, or null if it isn't available
+const getPaymentProvider = (name) => PAYMENT_PROVIDERS[name] || null;
+
+// The provider a booking is paid through, or null for manual (front desk) payments
+const getBookingProvider = (booking) => getPaymentProvider(booking?.payment_method);
+
+module.exports = {
+  DEFAULT_PAYMENT_PROVIDER,
+  MOCK_PAYMENTS_ENABLED,
+  PAYMENT_PROVIDER_NAMES,
+  getPaymentProvider,
+  getBookingProvider
+};
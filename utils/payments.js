@@ -0,0 +1,541 @@
+// Payment Application
+// Records verified charges on bookings and sends the confirmation email;
+// shared by the payment routes and the pending-payment expiry job
+const { createClient } = require('@supabase/supabase-js');
+const { findRoomType } = require('./room-types');
+const {
+  transitionBooking,
+  claimConfirmationEmail,
+  releaseConfirmationEmail
+} = require('./booking-lifecycle');
+const { compareCharge, flagPayment } = require('./reconciliation');
+const { roundAmount, getAmountPaid } = require('./money');
+const { recordBookingPayment } = require('./booking-payments');
+const { buildInvoiceAttachment } = require('./invoices');
+const { sendGuestEmail } = require('./email');
+const {
+  GROUP_PAYABLE_STATUSES,
+  findGroupByReference,
+  getGroupBookings,
+  getRoomAmountDue,
+  sendGroupConfirmationOnce
+} = require('./booking-groups');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Send the booking confirmation email once a payment confirms the booking
+// The invoice PDF is attached; delivery goes through sendGuestEmail
+async function sendBookingConfirmationEmail(booking) {
+  // Validate booking data
+  if (!booking || !booking.guest_email) {
+    console.error('❌ Invalid booking data for email - missing guest_email');
+    return false;
+  }
+  
+  try {
+    // Room type name for email (from the shared catalog)
+    const roomType = await findRoomType(booking.room_id);
+    const roomName = roomType?.name || 'Room';
+    
+    const invoice = await buildInvoiceAttachment(booking);
+    const sent = await sendGuestEmail({
+      to: booking.guest_email,
+      subject: `✅ Booking Confirmation - ${booking.transaction_ref}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #7B3F00 0%, #A0522D 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .header h1 { margin: 0; font-size: 28px; }
+            .content { background: white; padding: 30px; border: 1px solid #ddd; }
+            .success-icon { font-size: 60px; text-align: center; margin: 20px 0; }
+            .booking-details { background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .detail-row { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #eee; }
+            .detail-label { font-weight: bold; color: #7B3F00; }
+            .detail-value { color: #333; }
+            .total { background: #FFD700; padding: 15px; border-radius: 8px; text-align: center; font-size: 20px; font-weight: bold; color: #7B3F00; margin: 20px 0; }
+            .footer { background: #f5f5f5; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; font-size: 14px; color: #666; }
+            .button { display: inline-block; background: #7B3F00; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🏨 Smile-T Continental Hotel</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Booking Confirmation</p>
+            </div>
+            
+            <div class="content">
+              <div class="success-icon">✅</div>
+              
+              <h2 style="color: #7B3F00; text-align: center;">Payment Successful!</h2>
+              <p style="text-align: center; color: #666;">Thank you for choosing Smile-T Continental Hotel. Your booking has been confirmed.</p>
+              
+              <div class="booking-details">
+                <h3 style="color: #7B3F00; margin-top: 0;">Booking Details</h3>
+                
+                <div class="detail-row">
+                  <span class="detail-label">Booking Reference:</span>
+                  <span class="detail-value"><strong>${booking.transaction_ref}</strong></span>
+                </div>
+                
+                <div class="detail-row">
+                  <span class="detail-label">Guest Name:</span>
+                  <span class="detail-value">${booking.guest_name}</span>
+                </div>
+                
+                <div class="detail-row">
+                  <span class="detail-label">Email:</span>
+                  <span class="detail-value">${booking.guest_email}</span>
+                </div>
+                
+                <div class="detail-row">
+                  <span class="detail-label">Phone:</span>
+                  <span class="detail-value">${booking.guest_phone}</span>
+                </div>
+                
+                <div class="detail-row">
+                  <span class="detail-label">Room Type:</span>
+                  <span class="detail-value">${roomName}</span>
+                </div>
+                
+                <div class="detail-row">
+                  <span class="detail-label">Check-in Date:</span>
+                  <span class="detail-value">${new Date(booking.check_in).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</span>
+                </div>
+                
+                <div class="detail-row">
+                  <span class="detail-label">Check-out Date:</span>
+                  <span class="detail-value">${new Date(booking.check_out).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</span>
+                </div>
+                
+                <div class="detail-row" style="border: none;">
+                  <span class="detail-label">Number of Guests:</span>
+                  <span class="detail-value">${booking.guests || 1}</span>
+                </div>
+              </div>
+              
+              <div class="total">
+                Total Amount Paid: ₦${Number(booking.total_amount).toLocaleString()}
+              </div>
+              
+              <div style="background: #fff3cd; border-left: 4px solid #FFD700; padding: 15px; margin: 20px 0;">
+                <strong>📋 Important:</strong>
+                <ul style="margin: 10px 0; padding-left: 20px;">
+                  <li>Please present this email or your booking reference at reception during check-in</li>
+                  <li>Check-in time: 2:00 PM</li>
+                  <li>Check-out time: 12:00 PM</li>
+                  <li>Valid ID required at check-in</li>
+                </ul>
+              </div>
+              
+              <p style="text-align: center;">
+                <strong>Need to make changes?</strong><br>
+                Contact us: +234-805-323-3660<br>
+                Email: info@smile-tcontinental.com
+              </p>
+            </div>
+            
+            <div class="footer">
+              <p><strong>Smile-T Continental Hotel</strong></p>
+              <p>Thank you for choosing us. We look forward to hosting you!</p>
+              <p style="font-size: 12px; color: #999; margin-top: 20px;">
+                This is an automated confirmation email. Please do not reply to this email.
+              </p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      attachments: invoice ? [invoice] : []
+    });
+
+    if (sent) {
+      console.log('✅ Booking confirmation email sent to:', booking.guest_email);
+    }
+    return sent;
+  } catch (error) {
+    // Don't throw error - email failure shouldn't break the booking flow
+    console.error('❌ Error sending booking confirmation email:', error.message);
+    return false;
+  }
+}
+
+// Top-up charges for booking modifications carry their own tx_ref
+// Returns null when the reference isn't a top-up
+async function applyTopUpPayment(transaction) {
+  const { data: modification } = await supabase
+    .from('booking_modifications')
+    .select('id, booking_id, balance_due, top_up_status')
+    .eq('top_up_tx_ref', transaction.tx_ref)
+    .maybeSingle();
+
+  if (!modification) {
+    return null;
+  }
+
+  const expectedAmount = Number(modification.balance_due);
+  const issue = compareCharge(transaction, expectedAmount);
+  if (issue === 'currency_mismatch') {
+    await flagPayment({ issueType: issue, transaction, bookingId: modification.booking_id, modificationId: modification.id, expectedAmount });
+    return { outcome: issue };
+  }
+
+  // Mark the top-up paid; if it already was, this charge is either a repeat
+  // (already on the booking's payments) or a second charge for the same top-up
+  const { data: claimed } = await supabase
+    .from('booking_modifications')
+    .update({ top_up_status: 'paid' })
+    .eq('id', modification.id)
+    .neq('top_up_status', 'paid')
+    .select('id');
+  const alreadyPaid = !claimed || claimed.length === 0;
+
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('id', modification.booking_id)
+    .single();
+
+  if (error || !booking) {
+    console.error('❌ Booking not found for top-up:', transaction.tx_ref, error);
+    await flagPayment({ issueType: 'unmatched_payment', transaction, modificationId: modification.id, expectedAmount, notes: 'Booking of this top-up no longer exists' });
+    return { outcome: 'unmatched_payment' };
+  }
+
+  // The booking's balance is re-derived from its payments
+  const recorded = await recordBookingPayment({
+    booking,
+    method: transaction.provider,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    reference: transaction.tx_ref,
+    providerTransactionId: transaction.id,
+    user: null
+  });
+
+  if (recorded.duplicate) {
+    console.log('ℹ️ Top-up already applied, skipping update:', transaction.tx_ref);
+    return { outcome: 'already_applied', booking };
+  }
+  if (alreadyPaid) {
+    await flagPayment({ issueType: 'overpayment', transaction, bookingId: booking.id, modificationId: modification.id, expectedAmount: 0, notes: 'Top-up was already paid by another charge' });
+    return { outcome: 'overpayment', booking };
+  }
+
+  if (issue) {
+    await flagPayment({ issueType: issue, transaction, bookingId: booking.id, modificationId: modification.id, expectedAmount });
+    return { outcome: `top_up_${issue}`, booking };
+  }
+  return { outcome: 'top_up_applied', booking };
+}
+
+/**
+ * Apply a Group Payment
+ * One charge pays every unpaid room of a group (its tx_ref is the group_ref).
+ * It is claimed on the group so it is applied once, then split across the
+ * rooms in booking order - each gets what it owes, any surplus goes on the
+ * last room.
+ * Fully paid rooms are confirmed and the lead guest gets one email.
+ * Returns null when the reference isn't a group.
+ */
+async function applyGroupPayment(transaction) {
+  const group = await findGroupByReference(transaction.tx_ref);
+  if (!group) {
+    return null;
+  }
+
+  const groupBookings = await getGroupBookings(group.id);
+  const bookings = groupBookings.filter(booking => GROUP_PAYABLE_STATUSES.includes(booking.status));
+  const shares = bookings.map(booking => ({ booking, due: getRoomAmountDue(booking) }));
+  const expectedAmount = roundAmount(shares.reduce((sum, share) => sum + share.due, 0));
+  const issue = compareCharge(transaction, expectedAmount);
+  const firstBookingId = bookings[0]?.id;
+
+  if (issue === 'currency_mismatch') {
+    await flagPayment({ issueType: issue, transaction, bookingId: firstBookingId, expectedAmount, notes: `Group ${group.group_ref}` });
+    return { outcome: issue, booking: bookings[0] };
+  }
+
+  // Groups can be paid more than once (e.g. for an added room), so the claim
+  // is per charge; a charge already on a room's ledger was applied before
+  const transactionId = String(transaction.id);
+  const { data: claimed, error: claimError } = await supabase
+    .from('booking_groups')
+    .update({ payment_transaction_id: transactionId, updated_at: new Date().toISOString() })
+    .eq('id', group.id)
+    .or(`payment_transaction_id.is.null,payment_transaction_id.neq.${transactionId}`)
+    .select('id');
+
+  if (claimError) {
+    throw new Error(`Failed to record group payment: ${claimError.message}`);
+  }
+
+  const { data: applied } = await supabase
+    .from('booking_payments')
+    .select('id')
+    .eq('provider_transaction_id', transactionId)
+    .in('booking_id', groupBookings.map(booking => booking.id))
+    .limit(1);
+
+  if (!claimed || claimed.length === 0 || (applied && applied.length > 0)) {
+    return { outcome: 'already_applied', booking: bookings[0] };
+  }
+
+  if (shares.length === 0) {
+    await flagPayment({ issueType: 'payment_on_inactive_booking', transaction, expectedAmount, notes: `No room of group ${group.group_ref} could take the payment` });
+    return { outcome: 'payment_on_inactive_booking' };
+  }
+
+  let remaining = roundAmount(Number(transaction.amount));
+  const confirmFailures = [];
+  for (const [index, share] of shares.entries()) {
+    const isLast = index === shares.length - 1;
+    const amount = isLast ? remaining : roundAmount(Math.min(remaining, share.due));
+    if (!(amount > 0)) continue;
+    remaining = roundAmount(remaining - amount);
+
+    // The charge id on each room lets its share be refunded through the provider
+    await supabase
+      .from('bookings')
+      .update({ payment_transaction_id: String(transaction.id) })
+      .eq('id', share.booking.id)
+      .is('payment_transaction_id', null);
+
+    const recorded = await recordBookingPayment({
+      booking: share.booking,
+      method: transaction.provider,
+      amount,
+      currency: transaction.currency,
+      reference: transaction.tx_ref,
+      notes: `Group payment ${group.group_ref}`,
+      providerTransactionId: transaction.id,
+      user: null
+    });
+    const paidBooking = recorded.booking || share.booking;
+
+    const isPaid = amount >= share.due - 0.01;
+    if (isPaid && (paidBooking.status === 'pending' || paidBooking.status === 'expired')) {
+      const transition = await transitionBooking({
+        booking: paidBooking,
+        toStatus: 'confirmed',
+        user: null,
+        reason: `Group payment verified (${transaction.provider} ${transaction.id})`
+      });
+      if (!transition.success) {
+        confirmFailures.push(`${paidBooking.transaction_ref}: ${transition.message}`);
+      }
+    }
+  }
+
+  if (issue) {
+    await flagPayment({ issueType: issue, transaction, bookingId: firstBookingId, expectedAmount, notes: `Group ${group.group_ref}` });
+  }
+  if (confirmFailures.length > 0) {
+    await flagPayment({
+      issueType: 'payment_on_inactive_booking',
+      transaction,
+      bookingId: firstBookingId,
+      expectedAmount,
+      notes: `Paid rooms of group ${group.group_ref} could not be confirmed - ${confirmFailures.join('; ')}`
+    });
+  }
+
+  setImmediate(() => {
+    sendGroupConfirmationOnce(group).catch(err => console.error('❌ Group email send failed:', err.message));
+  });
+
+  console.log(`💵 Group payment ${transaction.id} split across ${shares.length} rooms of ${group.group_ref}`);
+  if (issue === 'underpayment') {
+    return { outcome: 'underpayment', booking: bookings[0] };
+  }
+  if (confirmFailures.length > 0) {
+    return { outcome: 'payment_on_inactive_booking', booking: bookings[0] };
+  }
+  return { outcome: issue ? `confirmed_with_${issue}` : 'confirmed', booking: bookings[0] };
+}
+
+// Send the confirmation email unless another path already has
+async function sendConfirmationOnce(booking) {
+  if (!(await claimConfirmationEmail(booking.id))) {
+    console.log('ℹ️ Confirmation email already sent for:', booking.transaction_ref);
+    return;
+  }
+
+  const sent = await sendBookingConfirmationEmail(booking);
+  if (sent) {
+    console.log('✅ Confirmation email sent successfully');
+  } else {
+    await releaseConfirmationEmail(booking.id);
+  }
+}
+
+// Balance payments after a part payment get their own tx_ref, as providers
+// refuse a reference that was already charged: <transaction_ref>-BAL-<timestamp>
+const BALANCE_REF_PATTERN = /^(.+)-BAL-\d+$/;
+
+const balancePaymentRef = (booking) => `${booking.transaction_ref}-BAL-${Date.now()}`;
+
+// The booking a charge's tx_ref belongs to - its own reference or a balance payment's
+async function findBookingByPaymentRef(txRef) {
+  const balanceMatch = BALANCE_REF_PATTERN.exec(String(txRef || ''));
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('transaction_ref', balanceMatch ? balanceMatch[1] : txRef)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load booking: ${error.message}`);
+  }
+  return booking;
+}
+
+/**
+ * Apply a Verified Charge
+ * Records a successful, server-verified charge (from any provider) on its booking and
+ * confirms it. Shared by the webhook and /verify and safe to repeat: each charge
+ * is recorded once in the booking's payments (utils/booking-payments), keyed by
+ * its provider transaction id, so a booking can take several charges (e.g. a
+ * balance after a part payment) but never the same one twice.
+ * Charges that don't match the booking's amount due or currency are queued
+ * for reconciliation; only a full payment confirms the booking.
+ * Returns { outcome, booking }.
+ */
+async function applyVerifiedPayment(transaction) {
+  const booking = await findBookingByPaymentRef(transaction.tx_ref);
+
+  if (!booking) {
+    const groupPayment = await applyGroupPayment(transaction);
+    if (groupPayment) {
+      return groupPayment;
+    }
+    const topUp = await applyTopUpPayment(transaction);
+    if (topUp) {
+      return topUp;
+    }
+    console.warn('⚠️ Booking not found for transaction reference:', transaction.tx_ref);
+    await flagPayment({ issueType: 'unmatched_payment', transaction, notes: 'No booking, group or top-up has this tx_ref' });
+    return { outcome: 'unmatched_payment' };
+  }
+
+  const { data: applied, error: appliedError } = await supabase
+    .from('booking_payments')
+    .select('id')
+    .eq('booking_id', booking.id)
+    .eq('method', transaction.provider)
+    .eq('provider_transaction_id', String(transaction.id))
+    .limit(1);
+
+  if (appliedError) {
+    throw new Error(`Failed to check booking payments: ${appliedError.message}`);
+  }
+  if (applied && applied.length > 0) {
+    return { outcome: 'already_applied', booking };
+  }
+
+  const amount = Number(transaction.amount);
+  const totalAmount = Number(booking.total_amount) || 0;
+  const expectedAmount = roundAmount(totalAmount - getAmountPaid(booking));
+  const issue = compareCharge(transaction, expectedAmount);
+
+  // A charge in another currency is never counted as payment
+  if (issue === 'currency_mismatch') {
+    await flagPayment({ issueType: issue, transaction, bookingId: booking.id, expectedAmount });
+    return { outcome: issue, booking };
+  }
+
+  const fullyPaid = issue !== 'underpayment';
+
+  // The unique ledger index settles a race with a concurrent webhook for the same charge
+  const recorded = await recordBookingPayment({
+    booking,
+    method: transaction.provider,
+    amount,
+    currency: transaction.currency,
+    reference: transaction.tx_ref,
+    providerTransactionId: transaction.id,
+    user: null
+  });
+  if (recorded.duplicate) {
+    return { outcome: 'already_applied', booking };
+  }
+
+  // The latest charge is the one refunds go back to
+  const { error: chargeError } = await supabase
+    .from('bookings')
+    .update({ payment_transaction_id: String(transaction.id) })
+    .eq('id', booking.id);
+  if (chargeError) {
+    console.error(`❌ Failed to note charge ${transaction.id} on ${booking.transaction_ref}:`, chargeError.message);
+  }
+  let paidBooking = { ...recorded.booking, payment_transaction_id: String(transaction.id) };
+
+  if (issue) {
+    await flagPayment({ issueType: issue, transaction, bookingId: booking.id, expectedAmount });
+  }
+
+  if (!fullyPaid) {
+    console.warn(`⚠️ Underpayment for ${booking.transaction_ref}: paid ${amount} of ${expectedAmount}`);
+    return { outcome: 'underpayment', booking: paidBooking };
+  }
+
+  // An expired booking is reinstated if its rooms are still free
+  if (paidBooking.status === 'pending' || paidBooking.status === 'expired') {
+    const transition = await transitionBooking({
+      booking: paidBooking,
+      toStatus: 'confirmed',
+      user: null,
+      reason: `Payment verified (${transaction.provider} ${transaction.id})`
+    });
+    if (!transition.success && paidBooking.status === 'expired') {
+      await flagPayment({
+        issueType: 'payment_on_inactive_booking',
+        transaction,
+        bookingId: booking.id,
+        expectedAmount,
+        notes: `Paid after the booking expired and it could not be reinstated: ${transition.message}`
+      });
+      return { outcome: 'payment_on_inactive_booking', booking: paidBooking };
+    }
+    if (!transition.success) {
+      console.error('❌ Error confirming paid booking:', transition.message);
+      return { outcome: 'paid_not_confirmed', booking: paidBooking };
+    }
+    paidBooking = transition.booking;
+  } else if (paidBooking.status !== 'confirmed') {
+    // e.g. cancelled before the payment landed - needs a human
+    await flagPayment({
+      issueType: 'payment_on_inactive_booking',
+      transaction,
+      bookingId: booking.id,
+      expectedAmount,
+      notes: `Booking was ${paidBooking.status} when the payment arrived`
+    });
+    return { outcome: 'payment_on_inactive_booking', booking: paidBooking };
+  }
+
+  // Email in the background so the caller isn't held up by SMTP
+  setImmediate(() => {
+    sendConfirmationOnce(paidBooking).catch(err => console.error('❌ Email send failed:', err.message));
+  });
+  return { outcome: issue ? `confirmed_with_${issue}` : 'confirmed', booking: paidBooking };
+}
+
+// Outcomes of applyVerifiedPayment the guest can treat as a completed payment.
+// already_applied only ever means this very charge was recorded before.
+const SETTLED_OUTCOMES = ['confirmed', 'confirmed_with_overpayment', 'already_applied', 'top_up_applied', 'top_up_overpayment'];
+
+module.exports = {
+  SETTLED_OUTCOMES,
+  balancePaymentRef,
+  findBookingByPaymentRef,
+  sendBookingConfirmationEmail,
+  applyVerifiedPayment
+};
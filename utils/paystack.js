@@ -0,0 +1,159 @@
+// Paystack Payment Provider
+const axios = require('axios');
+const crypto = require('crypto');
+const { roundAmount } = require('./money');
+
+const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+
+const authHeaders = () => ({ Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` });
+
+// Paystack amounts are in the currency's subunit (kobo for NGN)
+const toSubunit = (amount) => Math.round(Number(amount) * 100);
+const fromSubunit = (amount) => roundAmount(Number(amount) / 100);
+
+// Paystack transaction status → provider-neutral status
+const toPaymentStatus = (status) => {
+  if (status === 'success') return 'successful';
+  if (['failed', 'abandoned', 'reversed'].includes(status)) return 'failed';
+  return 'pending';
+};
+
+// Paystack refund webhook events → refund status in the refunds ledger
+const REFUND_EVENT_STATUSES = {
+  'refund.processed': 'completed',
+  'refund.failed': 'failed',
+  'refund.pending': 'processing',
+  'refund.processing': 'processing'
+};
+
+// Paystack transaction → the provider-neutral transaction used by utils/payments
+const toTransaction = (data) => ({
+  provider: 'paystack',
+  id: String(data.id),
+  tx_ref: data.reference,
+  amount: fromSubunit(data.amount),
+  currency: data.currency,
+  status: toPaymentStatus(data.status),
+  provider_status: data.status,
+  customer_email: data.customer?.email || null
+});
+
+/**
+ * Hosted Payment Page
+ * Initializes a Paystack transaction with our tx_ref as its reference.
+ * Returns { link, reference }.
+ */
+const initiatePayment = async ({
+  tx_ref,
+  amount,
+  currency = 'NGN',
+  email,
+  name,
+  redirect_url,
+  title = 'Smile-T Hotel Booking'
+}) => {
+  const response = await axios.post(
+    `${PAYSTACK_BASE_URL}/transaction/initialize`,
+    {
+      reference: tx_ref,
+      amount: toSubunit(amount),
+      currency,
+      email,
+      callback_url: redirect_url,
+      metadata: { guest_name: name, title }
+    },
+    { headers: authHeaders(), timeout: 10000 }
+  );
+  return { link: response.data.data.authorization_url, reference: response.data.data.reference };
+};
+
+/**
+ * Verify a Charge
+ * Server-to-server lookup by Paystack's transaction id, or by our reference.
+ * Returns the transaction, or null when Paystack has no such charge.
+ */
+const verifyPayment = async ({ id, tx_ref }) => {
+  try {
+    const response = id
+      ? await axios.get(
+        `${PAYSTACK_BASE_URL}/transaction/${encodeURIComponent(id)}`,
+        { headers: authHeaders(), timeout: 10000 }
+      )
+      : await axios.get(
+        `${PAYSTACK_BASE_URL}/transaction/verify/${encodeURIComponent(tx_ref)}`,
+        { headers: authHeaders(), timeout: 10000 }
+      );
+    return toTransaction(response.data.data);
+  } catch (error) {
+    if (error.response && [400, 404].includes(error.response.status)) {
+      return null; // Transaction reference not found
+    }
+    throw error;
+  }
+};
+
+/**
+ * Webhook Parsing
+ * Paystack signs the body with HMAC-SHA512 of the secret key in the
+ * x-paystack-signature header. Returns null for requests that aren't from Paystack.
+ */
+const parseWebhook = (req) => {
+  const signature = req.headers['x-paystack-signature'];
+  if (!process.env.PAYSTACK_SECRET_KEY || !signature) {
+    return null;
+  }
+
+  const expected = crypto
+    .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+    .update(JSON.stringify(req.body || {}))
+    .digest('hex');
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const payload = req.body || {};
+  const charge = payload.data || {};
+  const refundStatus = REFUND_EVENT_STATUSES[payload.event] || null;
+
+  return {
+    eventType: payload.event,
+    isCharge: payload.event === 'charge.success',
+    isRefund: Boolean(refundStatus),
+    transactionId: charge.id ? String(charge.id) : null,
+    tx_ref: charge.reference || charge.transaction_reference || null,
+    amount: charge.amount !== undefined ? fromSubunit(charge.amount) : null,
+    currency: charge.currency || null,
+    status: charge.status || null,
+    refundId: refundStatus && charge.id ? String(charge.id) : null,
+    refundStatus,
+    payload
+  };
+};
+
+/**
+ * Refund
+ * Refunds all or part of a successful charge.
+ * Returns { id, status } where status is 'completed' or 'pending'.
+ */
+const refundPayment = async ({ transactionId, amount }) => {
+  const response = await axios.post(
+    `${PAYSTACK_BASE_URL}/refund`,
+    { transaction: transactionId, amount: toSubunit(amount) },
+    { headers: authHeaders(), timeout: 15000 }
+  );
+  const refund = response.data.data;
+  return {
+    id: refund.id ? String(refund.id) : null,
+    status: refund.status === 'processed' ? 'completed' : 'pending'
+  };
+};
+
+module.exports = {
+  name: 'paystack',
+  label: 'Paystack',
+  initiatePayment,
+  verifyPayment,
+  parseWebhook,
+  refundPayment
+};
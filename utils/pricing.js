@@ -0,0 +1,217 @@
+// Stay Pricing
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const { eachNight, toDateKey } = require('./availability');
+const { findPromoCode, evaluatePromoCode } = require('./promotions');
+const { resolveCancellationPolicy } = require('./cancellation');
+const { roundAmount } = require('./money');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Friday and Saturday nights are charged at the weekend price
+const WEEKEND_NIGHTS = [5, 6];
+
+// Charges applied on top of the room nights
+const TRANSACTION_FEE_RATE = 0.02;
+const TAX_RATE = parseFloat(process.env.BOOKING_TAX_RATE || '0'); // e.g. 0.075 for 7.5% VAT
+const TAX_NAME = process.env.BOOKING_TAX_NAME || 'VAT';
+const CURRENCY = 'NGN';
+
+// Signed quotes are honoured for this long: seconds, or a duration such as '30m'.
+// jsonwebtoken reads a numeric string as milliseconds, so seconds are parsed here.
+const QUOTE_TTL = /^\d+$/.test(process.env.QUOTE_TTL || '')
+  ? parseInt(process.env.QUOTE_TTL, 10)
+  : process.env.QUOTE_TTL || '30m';
+
+// Quote tokens share JWT_SECRET with staff sessions; the audience keeps them apart
+const QUOTE_AUDIENCE = 'quote';
+
+const isWeekendNight = (night) => WEEKEND_NIGHTS.includes(new Date(night).getUTCDay());
+
+// Active rate plans for a room type that cover any night in the stay
+const getRatePlans = async (roomTypeId, nights) => {
+  const { data, error } = await supabase
+    .from('rate_plans')
+    .select('*')
+    .eq('room_type_id', roomTypeId)
+    .eq('is_active', true)
+    .lte('start_date', nights[nights.length - 1])
+    .gte('end_date', nights[0]);
+
+  if (error) {
+    throw new Error(`Failed to load rate plans: ${error.message}`);
+  }
+  return data || [];
+};
+
+// Highest priority plan covering the night; newer seasons win ties
+const pickRatePlan = (ratePlans, night) => ratePlans
+  .filter(plan => plan.start_date <= night && night <= plan.end_date)
+  .sort((a, b) => (b.priority - a.priority) || b.start_date.localeCompare(a.start_date))[0] || null;
+
+/**
+ * Price a Stay
+ * Computes the rate for every night from the room type's rate plans and
+ * returns the breakdown stored on the booking. minStayViolation is set when
+ * any applied plan requires more nights than the stay has.
+ */
+const priceStay = async (roomType, checkIn, checkOut) => {
+  const nights = eachNight(checkIn, checkOut);
+  if (nights.length === 0) {
+    return { nights: [], base_total: 0, minStayViolation: null };
+  }
+
+  const ratePlans = await getRatePlans(roomType.id, nights);
+
+  const breakdown = nights.map(night => {
+    const plan = pickRatePlan(ratePlans, night);
+    const weekend = isWeekendNight(night);
+
+    let price = Number(roomType.price_per_night);
+    if (plan) {
+      price = weekend && plan.weekend_price !== null
+        ? Number(plan.weekend_price)
+        : Number(plan.weekday_price);
+    }
+
+    return {
+      date: night,
+      price,
+      is_weekend: weekend,
+      rate_plan_id: plan?.id || null,
+      rate_plan: plan?.name || 'Standard rate',
+      min_stay: plan?.min_stay || 1
+    };
+  });
+
+  const strictest = breakdown.reduce((max, night) => (night.min_stay > max.min_stay ? night : max), breakdown[0]);
+  const minStayViolation = nights.length < strictest.min_stay
+    ? {
+        required: strictest.min_stay,
+        rate_plan: strictest.rate_plan,
+        message: `${strictest.rate_plan} requires a minimum stay of ${strictest.min_stay} nights`
+      }
+    : null;
+
+  const base_total = Number(breakdown.reduce((sum, night) => sum + night.price, 0).toFixed(2));
+
+  return {
+    nights: breakdown.map(({ min_stay, ...night }) => night),
+    base_total,
+    minStayViolation
+  };
+};
+
+/**
+ * Booking Quote
+ * Itemized price for a stay: nightly rates, discounts, fees and taxes, plus
+ * the cancellation policy the booking will be made under.
+ * Both booking routes and POST /bookings/quote price through here.
+ * promoRedeemedOn re-prices a booking that already redeemed promoCode.
+ * Returns { quote }, { minStayViolation } or { promoError }.
+ */
+const buildQuote = async ({ roomType, checkIn, checkOut, guests, promoCode, promoRedeemedOn }) => {
+  const stay = await priceStay(roomType, checkIn, checkOut);
+  if (stay.minStayViolation) {
+    return { minStayViolation: stay.minStayViolation };
+  }
+
+  const base_total = stay.base_total;
+  const discounts = [];
+
+  if (promoCode) {
+    const promo = await findPromoCode(promoCode);
+    const evaluation = evaluatePromoCode(promo, {
+      roomType,
+      nightlyBreakdown: stay.nights,
+      baseTotal: base_total,
+      redeemedOn: promoRedeemedOn
+    });
+    if (!evaluation.isValid) {
+      return { promoError: evaluation.message };
+    }
+    discounts.push(evaluation.discount);
+  }
+  const discount_total = roundAmount(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+  const subtotal = roundAmount(base_total - discount_total);
+
+  const transaction_fee = roundAmount(subtotal * TRANSACTION_FEE_RATE);
+  const taxes = TAX_RATE > 0
+    ? [{ name: TAX_NAME, rate: TAX_RATE, amount: roundAmount(subtotal * TAX_RATE) }]
+    : [];
+  const tax_total = roundAmount(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+  const total_amount = roundAmount(subtotal + transaction_fee + tax_total);
+  const cancellation_policy = await resolveCancellationPolicy(roomType, stay.nights);
+
+  return {
+    quote: {
+      room_type_id: roomType.slug,
+      room_type_uuid: roomType.id,
+      room_type: roomType.name,
+      check_in: toDateKey(checkIn),
+      check_out: toDateKey(checkOut),
+      guests: parseInt(guests) || 1,
+      nights: stay.nights.length,
+      nightly_breakdown: stay.nights,
+      base_total,
+      promo_code_id: discounts[0]?.promo_code_id || null,
+      promo_code: discounts[0]?.code || null,
+      discounts,
+      discount_total,
+      fees: [{ name: 'Transaction fee', rate: TRANSACTION_FEE_RATE, amount: transaction_fee }],
+      transaction_fee,
+      taxes,
+      tax_total,
+      total_amount,
+      currency: CURRENCY,
+      cancellation_policy
+    }
+  };
+};
+
+/**
+ * Quote Signing
+ * A signed quote lets POST /bookings/public charge exactly what the guest was shown
+ */
+const signQuote = (quote) => {
+  const quote_token = jwt.sign({ quote }, process.env.JWT_SECRET, { expiresIn: QUOTE_TTL, audience: QUOTE_AUDIENCE });
+  const { exp } = jwt.decode(quote_token);
+  return { quote_token, expires_at: new Date(exp * 1000).toISOString() };
+};
+
+const verifyQuoteToken = (quoteToken) => {
+  try {
+    const { quote } = jwt.verify(quoteToken, process.env.JWT_SECRET, { audience: QUOTE_AUDIENCE });
+    if (!quote) {
+      return { isValid: false, message: 'Invalid quote' };
+    }
+    return { isValid: true, quote };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { isValid: false, message: 'Quote has expired - please request a new quote' };
+    }
+    return { isValid: false, message: 'Invalid quote' };
+  }
+};
+
+// Does the signed quote describe the stay being booked?
+const quoteMatchesStay = (quote, { roomType, checkIn, checkOut }) => (
+  quote.room_type_uuid === roomType.id &&
+  quote.check_in === toDateKey(checkIn) &&
+  quote.check_out === toDateKey(checkOut)
+);
+
+module.exports = {
+  WEEKEND_NIGHTS,
+  TRANSACTION_FEE_RATE,
+  isWeekendNight,
+  pickRatePlan,
+  priceStay,
+  buildQuote,
+  signQuote,
+  verifyQuoteToken,
+  quoteMatchesStay
+};
@@ -0,0 +1,155 @@
+// Promo Codes and Corporate Rates
+const { createClient } = require('@supabase/supabase-js');
+const { toDateKey } = require('./availability');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DISCOUNT_TYPES = ['percentage', 'fixed', 'nightly_rate'];
+const PROMO_KINDS = ['promo', 'corporate'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const findPromoCode = async (code) => {
+  const { data, error } = await supabase
+    .from('promo_codes')
+    .select('*')
+    .eq('code', normalizeCode(code))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load promo code: ${error.message}`);
+  }
+  return data;
+};
+
+/**
+ * Promo Code Evaluation
+ * Checks the validity window, usage cap, room type restriction and minimum
+ * nights, then computes the discount on the room nights. Pass redeemedOn when
+ * re-pricing a booking that already holds the code: the window is checked on
+ * that date and the usage cap is skipped.
+ */
+const evaluatePromoCode = (promo, { roomType, nightlyBreakdown, baseTotal, redeemedOn }) => {
+  const today = redeemedOn || toDateKey(new Date());
+
+  if (!promo || !promo.is_active) {
+    return { isValid: false, message: 'Invalid promo code' };
+  }
+
+  if (promo.valid_from && today < promo.valid_from) {
+    return { isValid: false, message: `Promo code ${promo.code} is not valid until ${promo.valid_from}` };
+  }
+
+  if (promo.valid_until && today > promo.valid_until) {
+    return { isValid: false, message: `Promo code ${promo.code} expired on ${promo.valid_until}` };
+  }
+
+  if (!redeemedOn && promo.max_uses !== null && promo.used_count >= promo.max_uses) {
+    return { isValid: false, message: `Promo code ${promo.code} has reached its usage limit` };
+  }
+
+  if (promo.room_type_ids && promo.room_type_ids.length > 0 && !promo.room_type_ids.includes(roomType.id)) {
+    return { isValid: false, message: `Promo code ${promo.code} does not apply to ${roomType.name}` };
+  }
+
+  if (nightlyBreakdown.length < (promo.min_nights || 1)) {
+    return { isValid: false, message: `Promo code ${promo.code} requires a minimum stay of ${promo.min_nights} nights` };
+  }
+
+  const value = Number(promo.discount_value);
+  let amount = 0;
+
+  if (promo.discount_type === 'percentage') {
+    amount = baseTotal * Math.min(value, 100) / 100;
+  } else if (promo.discount_type === 'fixed') {
+    amount = value;
+  } else if (promo.discount_type === 'nightly_rate') {
+    // Negotiated rate: never charge more than the public rate for a night
+    amount = nightlyBreakdown.reduce((sum, night) => sum + Math.max(0, night.price - value), 0);
+  }
+
+  amount = Number(Math.min(amount, baseTotal).toFixed(2));
+
+  return {
+    isValid: true,
+    discount: {
+      promo_code_id: promo.id,
+      code: promo.code,
+      kind: promo.kind,
+      company_name: promo.company_name || null,
+      description: promo.description || (promo.kind === 'corporate' ? `${promo.company_name} corporate rate` : `Promo code ${promo.code}`),
+      discount_type: promo.discount_type,
+      discount_value: value,
+      amount
+    }
+  };
+};
+
+/**
+ * Redemption
+ * Optimistic increment of used_count so concurrent bookings can't exceed max_uses
+ */
+const redeemPromoCode = async (promoCodeId) => {
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .select('id, code, used_count, max_uses, is_active')
+      .eq('id', promoCodeId)
+      .single();
+
+    if (error || !promo || !promo.is_active) {
+      return { success: false, message: 'Invalid promo code' };
+    }
+
+    if (promo.max_uses !== null && promo.used_count >= promo.max_uses) {
+      return { success: false, message: `Promo code ${promo.code} has reached its usage limit` };
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('promo_codes')
+      .update({ used_count: promo.used_count + 1, updated_at: new Date().toISOString() })
+      .eq('id', promo.id)
+      .eq('used_count', promo.used_count)
+      .select('id');
+
+    if (!updateError && updated && updated.length > 0) {
+      return { success: true };
+    }
+  }
+
+  return { success: false, message: 'Could not redeem promo code - please try again' };
+};
+
+// Give a redemption back when the booking it was taken for fails
+const releasePromoCode = async (promoCodeId) => {
+  try {
+    const { data: promo } = await supabase
+      .from('promo_codes')
+      .select('used_count')
+      .eq('id', promoCodeId)
+      .single();
+
+    if (promo && promo.used_count > 0) {
+      await supabase
+        .from('promo_codes')
+        .update({ used_count: promo.used_count - 1 })
+        .eq('id', promoCodeId)
+        .eq('used_count', promo.used_count);
+    }
+  } catch (error) {
+    console.error('❌ Failed to release promo code redemption:', error);
+  }
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  PROMO_KINDS,
+  normalizeCode,
+  findPromoCode,
+  evaluatePromoCode,
+  redeemPromoCode,
+  releasePromoCode
+};
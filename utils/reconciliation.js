@@ -0,0 +1,79 @@
+// Payment Reconciliation Queue
+const { createClient } = require('@supabase/supabase-js');
+const { roundAmount } = require('./money');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const RECONCILIATION_ISSUES = [
+  'underpayment',
+  'overpayment',
+  'currency_mismatch',
+  'unmatched_payment',          // No booking, group or top-up has this tx_ref
+  'payment_on_inactive_booking' // e.g. paid after the booking was cancelled
+];
+
+const RECONCILIATION_RESOLUTIONS = ['accepted', 'refunded', 'collected', 'written_off', 'dismissed'];
+
+const BOOKING_CURRENCY = 'NGN';
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Charge Comparison
+ * Returns the issue type when a verified charge doesn't match what the
+ * booking expects, or null when it does
+ */
+const compareCharge = (transaction, expectedAmount) => {
+  if (String(transaction.currency || '').toUpperCase() !== BOOKING_CURRENCY) {
+    return 'currency_mismatch';
+  }
+
+  const amount = Number(transaction.amount);
+  if (amount < expectedAmount - AMOUNT_TOLERANCE) {
+    return 'underpayment';
+  }
+  if (amount > expectedAmount + AMOUNT_TOLERANCE) {
+    return 'overpayment';
+  }
+  return null;
+};
+
+// Queue a charge for finance review; flagging the same charge and issue again is a no-op
+const flagPayment = async ({ issueType, transaction, bookingId, modificationId, expectedAmount, notes }) => {
+  const received = Number(transaction.amount);
+
+  const { error } = await supabase
+    .from('payment_reconciliations')
+    .upsert([{
+      provider: transaction.provider || 'flutterwave',
+      transaction_id: String(transaction.id),
+      tx_ref: transaction.tx_ref || null,
+      booking_id: bookingId || null,
+      modification_id: modificationId || null,
+      issue_type: issueType,
+      expected_amount: expectedAmount ?? null,
+      received_amount: isNaN(received) ? null : received,
+      expected_currency: BOOKING_CURRENCY,
+      received_currency: transaction.currency || null,
+      difference: expectedAmount !== undefined && !isNaN(received) ? roundAmount(received - expectedAmount) : null,
+      notes: notes || null
+    }], { onConflict: 'transaction_id,issue_type', ignoreDuplicates: true });
+
+  if (error) {
+    console.error('❌ Failed to queue payment for reconciliation:', error);
+    return false;
+  }
+
+  console.warn(`⚠️ Payment ${transaction.id} (${transaction.tx_ref}) queued for reconciliation: ${issueType}`);
+  return true;
+};
+
+module.exports = {
+  RECONCILIATION_ISSUES,
+  RECONCILIATION_RESOLUTIONS,
+  BOOKING_CURRENCY,
+  compareCharge,
+  flagPayment
+};
@@ -0,0 +1,417 @@
+// Refunds
+// Full and partial refunds against a booking's payments. Online charges are
+// refunded through the provider that took them; money taken at the desk gets
+// a 'manual' refund that staff complete once the cash is handed back.
+const { createClient } = require('@supabase/supabase-js');
+const { getPaymentProvider } = require('./payment-providers');
+const { roundAmount, getAmountPaid } = require('./money');
+const { DESK_PAYMENT_METHODS, getBookingPayments, syncBookingPayments } = require('./booking-payments');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const REFUND_STATUSES = ['requested', 'processing', 'completed', 'failed', 'rejected'];
+
+// Refunds still taking money off the booking
+const OPEN_REFUND_STATUSES = ['requested', 'processing'];
+
+// Above this, refunds need a superadmin's approval
+const REFUND_APPROVAL_THRESHOLD = parseFloat(process.env.REFUND_APPROVAL_THRESHOLD || '50000');
+
+// Refunds that have taken, or are taking, money off a payment
+const CLAIMED_REFUND_STATUSES = [...OPEN_REFUND_STATUSES, 'completed'];
+
+// Booking refund_status shown for a cancellation refund in each refund status
+const BOOKING_REFUND_STATUS = {
+  requested: 'pending',
+  processing: 'processing',
+  completed: 'refunded',
+  failed: 'failed',
+  rejected: 'failed'
+};
+
+// Manual refunds in progress are waiting on the front desk
+const toBookingRefundStatus = (refund) => (refund.provider === 'manual' && refund.status === 'processing'
+  ? 'manual'
+  : BOOKING_REFUND_STATUS[refund.status]);
+
+// A refund split across payments shows the status of its least advanced part
+const BOOKING_REFUND_STATUS_ORDER = ['failed', 'pending', 'manual', 'processing', 'refunded'];
+
+const toCombinedRefundStatus = (refunds) => refunds
+  .map(toBookingRefundStatus)
+  .sort((a, b) => BOOKING_REFUND_STATUS_ORDER.indexOf(a) - BOOKING_REFUND_STATUS_ORDER.indexOf(b))[0];
+
+// What the guest has paid less refunds already requested or in progress
+const getRefundableAmount = async (booking) => {
+  const { data: openRefunds, error } = await supabase
+    .from('refunds')
+    .select('amount')
+    .eq('booking_id', booking.id)
+    .in('status', OPEN_REFUND_STATUSES);
+
+  if (error) {
+    throw new Error(`Failed to load refunds: ${error.message}`);
+  }
+
+  const pending = (openRefunds || []).reduce((sum, refund) => sum + Number(refund.amount), 0);
+  return roundAmount(Math.max(0, getAmountPaid(booking) - pending));
+};
+
+// Apply a refund update only if the refund is still in one of the given statuses
+const updateRefund = async (refundId, fromStatuses, updates) => {
+  const { data, error } = await supabase
+    .from('refunds')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', refundId)
+    .in('status', fromStatuses)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update refund: ${error.message}`);
+  }
+  return data;
+};
+
+// Cancellation refunds are mirrored on the booking's refund_status, together
+// with the other parts of the refund that are still open
+const syncBookingRefundStatus = async (refund) => {
+  if (!refund.booking_id || refund.source !== 'cancellation') {
+    return;
+  }
+
+  const { data: openParts, error: openError } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('booking_id', refund.booking_id)
+    .eq('source', 'cancellation')
+    .in('status', OPEN_REFUND_STATUSES)
+    .neq('id', refund.id);
+
+  if (openError) {
+    console.error('❌ Failed to load cancellation refunds:', openError);
+  }
+  const others = openParts || [];
+  const parts = refund.status === 'completed' && others.length > 0 ? others : [refund, ...others];
+
+  const { error } = await supabase
+    .from('bookings')
+    .update({
+      refund_status: toCombinedRefundStatus(parts),
+      refund_reference: refund.provider_refund_id || refund.id,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', refund.booking_id);
+
+  if (error) {
+    console.error('❌ Failed to update booking refund status:', error);
+  }
+};
+
+/**
+ * Complete a Refund
+ * Marks a processing refund completed, adds it to the booking's
+ * refunded_amount and re-derives the booking's balance from its payments.
+ * Safe to repeat - only the first call changes anything.
+ */
+const completeRefund = async (refund, { providerRefundId } = {}) => {
+  const completed = await updateRefund(refund.id, ['processing'], {
+    status: 'completed',
+    completed_at: new Date().toISOString(),
+    ...(providerRefundId && { provider_refund_id: providerRefundId })
+  });
+  if (!completed) {
+    return null;
+  }
+
+  if (completed.booking_id) {
+    const { data: booking } = await supabase
+      .from('bookings')
+      .select('id, refunded_amount')
+      .eq('id', completed.booking_id)
+      .maybeSingle();
+
+    if (booking) {
+      const { error } = await supabase
+        .from('bookings')
+        .update({ refunded_amount: roundAmount(Number(booking.refunded_amount || 0) + Number(completed.amount)) })
+        .eq('id', booking.id);
+
+      if (error) {
+        console.error('❌ Failed to record refunded amount:', error);
+      } else {
+        await syncBookingPayments(booking.id);
+      }
+    }
+  }
+
+  await syncBookingRefundStatus(completed);
+  console.log(`💸 Refund ${completed.id} of ${completed.amount} completed (${completed.provider})`);
+  return completed;
+};
+
+const failRefund = async (refund, failureReason) => {
+  const failed = await updateRefund(refund.id, ['processing'], {
+    status: 'failed',
+    failure_reason: failureReason
+  });
+  if (failed) {
+    await syncBookingRefundStatus(failed);
+    console.error(`❌ Refund ${failed.id} failed: ${failureReason}`);
+  }
+  return failed;
+};
+
+/**
+ * Execute a Refund
+ * Sends a requested (or previously failed) refund to its provider. Refunds
+ * the provider settles at once are completed; the rest stay processing until
+ * the provider's refund webhook arrives. Manual refunds stay processing until
+ * staff complete them. Returns the updated refund, or null if someone else
+ * is already executing it.
+ */
+const executeRefund = async (refund) => {
+  const processing = await updateRefund(refund.id, ['requested', 'failed'], {
+    status: 'processing',
+    failure_reason: null
+  });
+  if (!processing) {
+    return null;
+  }
+
+  if (processing.provider === 'manual') {
+    await syncBookingRefundStatus(processing);
+    return processing;
+  }
+
+  const provider = getPaymentProvider(processing.provider);
+  if (!provider) {
+    return failRefund(processing, `Payment provider ${processing.provider} is not available`);
+  }
+
+  try {
+    const result = await provider.refundPayment({
+      transactionId: processing.transaction_id,
+      amount: Number(processing.amount)
+    });
+    console.log(`💸 ${provider.label} refund ${result.id} for refund ${processing.id}: ${result.status}`);
+
+    if (result.status === 'completed') {
+      return (await completeRefund(processing, { providerRefundId: result.id })) || processing;
+    }
+
+    const submitted = await updateRefund(processing.id, ['processing'], { provider_refund_id: result.id });
+    await syncBookingRefundStatus(submitted || processing);
+    return submitted || processing;
+  } catch (error) {
+    console.error(`❌ ${provider.label} refund failed:`, error.response?.data || error.message);
+    return failRefund(processing, error.response?.data?.message || `${provider.label} refund failed`);
+  }
+};
+
+/**
+ * Refund Plan
+ * Splits a refund across the booking's payments, latest first. Each online
+ * charge is refunded through its provider, up to what that charge paid less
+ * refunds already against it; money taken at the desk becomes one 'manual'
+ * refund. Returns { parts: [{ provider, transactionId, amount }] } or
+ * { error, status }.
+ */
+const planRefund = async (booking, amount) => {
+  const payments = (await getBookingPayments(booking.id))
+    .filter(payment => !payment.voided_at)
+    .reverse();
+
+  const { data: refunds, error } = await supabase
+    .from('refunds')
+    .select('provider, transaction_id, amount')
+    .eq('booking_id', booking.id)
+    .in('status', CLAIMED_REFUND_STATUSES);
+
+  if (error) {
+    throw new Error(`Failed to load refunds: ${error.message}`);
+  }
+
+  // What has already been refunded, or is being refunded, from each source
+  const sourceKey = (provider, transactionId) => (provider === 'manual' ? 'manual' : `${provider}:${transactionId}`);
+  const claimed = {};
+  for (const refund of refunds || []) {
+    const key = sourceKey(refund.provider, refund.transaction_id);
+    claimed[key] = (claimed[key] || 0) + Number(refund.amount);
+  }
+
+  const parts = [];
+  let remaining = amount;
+  const take = (provider, transactionId, available) => {
+    const key = sourceKey(provider, transactionId);
+    const share = roundAmount(Math.min(remaining, available - (claimed[key] || 0)));
+    if (share <= 0) return;
+    claimed[key] = (claimed[key] || 0) + share;
+    remaining = roundAmount(remaining - share);
+    const part = parts.find(existing => sourceKey(existing.provider, existing.transactionId) === key);
+    if (part) {
+      part.amount = roundAmount(part.amount + share);
+    } else {
+      parts.push({ provider, transactionId, amount: share });
+    }
+  };
+
+  // 'other' covers payments recorded before they were itemised
+  const isDeskPayment = (payment) => DESK_PAYMENT_METHODS.includes(payment.method) || payment.method === 'other';
+
+  for (const payment of payments.filter(payment => !isDeskPayment(payment))) {
+    if (remaining <= 0) break;
+
+    let transactionId = payment.provider_transaction_id;
+    const provider = getPaymentProvider(payment.method);
+    if (!transactionId && provider && (payment.reference || booking.transaction_ref)) {
+      // Charges recorded before their transaction id was kept
+      const transaction = await provider.verifyPayment({ tx_ref: payment.reference || booking.transaction_ref });
+      transactionId = transaction && transaction.status === 'successful' ? String(transaction.id) : null;
+    }
+    if (!transactionId) {
+      return { status: 400, error: `No successful ${provider ? provider.label : payment.method} charge found for a payment of ${payment.amount} on this booking` };
+    }
+    take(payment.method, transactionId, Number(payment.amount));
+  }
+
+  const deskTotal = payments
+    .filter(isDeskPayment)
+    .reduce((sum, payment) => sum + Number(payment.amount), 0);
+  if (remaining > 0 && deskTotal > 0) {
+    take('manual', null, deskTotal);
+  }
+
+  if (remaining > 0) {
+    return { status: 400, error: `Only ${roundAmount(amount - remaining)} can be refunded against this booking's payments` };
+  }
+  return { parts };
+};
+
+/**
+ * Request a Refund
+ * Records a refund of amount against the booking's payments - one refund per
+ * charge it comes out of, see planRefund - and, unless it needs approval,
+ * executes them straight away. Refunds above REFUND_APPROVAL_THRESHOLD need a
+ * superadmin's approval unless a superadmin (or the system, user: null) asked
+ * for them.
+ * Returns { refund, refunds } - refund is the first part - or { error, status }.
+ */
+const requestRefund = async ({ booking, amount, reason, user, source = 'staff' }) => {
+  amount = roundAmount(Number(amount));
+  if (!(amount > 0)) {
+    return { status: 400, error: 'Refund amount must be more than 0' };
+  }
+
+  const refundable = await getRefundableAmount(booking);
+  if (amount > refundable) {
+    return { status: 400, error: `Only ${refundable} can be refunded on this booking` };
+  }
+
+  const plan = await planRefund(booking, amount);
+  if (plan.error) {
+    return plan;
+  }
+
+  const requiresApproval = Boolean(user) && user.role !== 'superadmin' && amount > REFUND_APPROVAL_THRESHOLD;
+
+  const { data: recorded, error } = await supabase
+    .from('refunds')
+    .insert(plan.parts.map(part => ({
+      booking_id: booking.id,
+      provider: part.provider,
+      transaction_id: part.transactionId,
+      amount: part.amount,
+      reason: reason || null,
+      source,
+      status: 'requested',
+      requires_approval: requiresApproval,
+      requested_by: user?.id || null,
+      requested_by_name: user?.name || null,
+      requested_by_role: user?.role || 'system'
+    })))
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to record refund: ${error.message}`);
+  }
+
+  if (requiresApproval) {
+    await syncBookingRefundStatus(recorded[0]);
+    console.log(`⏳ Refund of ${amount} (${recorded.length} part(s)) is waiting for superadmin approval`);
+    return { refund: recorded[0], refunds: recorded };
+  }
+
+  const refunds = [];
+  for (const refund of recorded) {
+    refunds.push((await executeRefund(refund)) || refund);
+  }
+  return { refund: refunds[0], refunds };
+};
+
+// Approve a refund waiting for approval and execute it
+const approveRefund = async (refund, user) => {
+  const approved = await updateRefund(refund.id, ['requested'], {
+    approved_by: user.id,
+    approved_at: new Date().toISOString()
+  });
+  if (!approved) {
+    return null;
+  }
+  return (await executeRefund(approved)) || approved;
+};
+
+const rejectRefund = async (refund, user, reason) => {
+  const rejected = await updateRefund(refund.id, ['requested'], {
+    status: 'rejected',
+    approved_by: user.id,
+    approved_at: new Date().toISOString(),
+    failure_reason: reason || 'Rejected'
+  });
+  if (rejected) {
+    await syncBookingRefundStatus(rejected);
+  }
+  return rejected;
+};
+
+/**
+ * Refund Webhook
+ * Moves the refund with this provider refund id to completed or failed.
+ * Returns the updated refund, or null when there is nothing to change.
+ */
+const applyRefundUpdate = async ({ provider, refundId, status, reason }) => {
+  const { data: refund } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('provider', provider)
+    .eq('provider_refund_id', refundId)
+    .maybeSingle();
+
+  if (!refund) {
+    return null;
+  }
+  if (status === 'completed') {
+    return completeRefund(refund);
+  }
+  if (status === 'failed') {
+    return failRefund(refund, reason || 'Refund failed at the provider');
+  }
+  return null;
+};
+
+module.exports = {
+  REFUND_STATUSES,
+  REFUND_APPROVAL_THRESHOLD,
+  toBookingRefundStatus,
+  toCombinedRefundStatus,
+  getRefundableAmount,
+  requestRefund,
+  executeRefund,
+  approveRefund,
+  rejectRefund,
+  completeRefund,
+  applyRefundUpdate
+};
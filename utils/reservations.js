@@ -0,0 +1,301 @@
+// Reservation Engine
+// Every booking that holds a room goes through reserveBooking so that
+// availability is checked and inventory is taken atomically, night by night
+const { createClient } = require('@supabase/supabase-js');
+const {
+  toDateKey,
+  eachNight,
+  coversNight,
+  getCapacityByType,
+  getActiveBookings,
+  getActiveHolds,
+  getNightlyAvailability
+} = require('./availability');
+const { getActiveBlocks, countBlockedRooms } = require('./room-blocks');
+const { redeemPromoCode, releasePromoCode } = require('./promotions');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 150;
+
+/**
+ * In-Process Mutex
+ * Reservations for the same room type run one at a time in this process.
+ * Each lock is a promise chain keyed by room type UUID.
+ */
+const locks = new Map();
+
+const withRoomTypeLock = async (roomTypeId, task) => {
+  const previous = locks.get(roomTypeId) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const chained = previous.then(() => current);
+  locks.set(roomTypeId, chained);
+
+  await previous;
+  try {
+    return await task();
+  } finally {
+    release();
+    // Drop the entry once nobody else is queued behind us
+    if (locks.get(roomTypeId) === chained) {
+      locks.delete(roomTypeId);
+    }
+  }
+};
+
+// Several room types at once - taken in a fixed order so two groups can't deadlock
+const withRoomTypeLocks = (roomTypeIds, task) => [...new Set(roomTypeIds)]
+  .sort()
+  .reduceRight((next, roomTypeId) => () => withRoomTypeLock(roomTypeId, next), task)();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Oversell Check
+ * The mutex only covers this process. After inserting, re-read the nights:
+ * on any night with more active bookings than sellable rooms, the earliest
+ * bookings keep their rooms and later ones must give theirs back. Rooms held
+ * for waitlisted guests are not sellable, except the hold being claimed
+ * (excludeWaitlistId).
+ */
+const findOversoldNights = async (roomType, booking, { excludeWaitlistId } = {}) => {
+  const capacity = await getCapacityByType([roomType]);
+  const { total, blocked } = capacity[roomType.id];
+  const from = toDateKey(booking.check_in);
+  const to = toDateKey(booking.check_out);
+  const [bookings, holds, blocks] = await Promise.all([
+    getActiveBookings([roomType.id], booking.check_in, booking.check_out),
+    getActiveHolds([roomType.id], from, to, { excludeWaitlistId }),
+    getActiveBlocks([roomType.id], from, to)
+  ]);
+
+  return eachNight(booking.check_in, booking.check_out).filter(night => {
+    const held = holds.filter(hold => coversNight(hold, night)).length;
+    const sellable = total - blocked - countBlockedRooms(blocks, night) - held;
+    const holders = bookings.filter(other => coversNight(other, night));
+    const position = holders.findIndex(other => other.id === booking.id);
+    return position === -1 || position >= sellable;
+  });
+};
+
+// Nights in the stay with no free room of this type
+const findFullNights = async (roomType, checkIn, checkOut, options) => {
+  const availability = await getNightlyAvailability([roomType], checkIn, checkOut, options);
+  return availability[roomType.id].filter(night => night.free < 1);
+};
+
+/**
+ * Reserve a Booking
+ * Checks every night of the stay and inserts the booking row while holding
+ * the room type lock. A promo code on the booking is redeemed first and
+ * given back if the room can't be reserved. Pass excludeWaitlistId when a
+ * waitlisted guest claims the room held for them. Returns one of:
+ *   { success: true, booking }
+ *   { success: false, conflict: true, fullNights }  - respond 409
+ *   { success: false, promoError }                  - respond 400
+ *   { success: false, error }                       - database failure
+ */
+const reserveBooking = async ({ roomType, bookingData, excludeWaitlistId }) => {
+  if (bookingData.promo_code_id) {
+    const redemption = await redeemPromoCode(bookingData.promo_code_id);
+    if (!redemption.success) {
+      return { success: false, promoError: redemption.message };
+    }
+  }
+
+  const result = await reserveNights({ roomType, bookingData, excludeWaitlistId });
+
+  if (!result.success && bookingData.promo_code_id) {
+    await releasePromoCode(bookingData.promo_code_id);
+  }
+  return result;
+};
+
+const reserveNights = async ({ roomType, bookingData, excludeWaitlistId }) => {
+  const { check_in, check_out } = bookingData;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const result = await withRoomTypeLock(roomType.id, async () => {
+      const fullNights = await findFullNights(roomType, check_in, check_out, { excludeWaitlistId });
+      if (fullNights.length > 0) {
+        return { success: false, conflict: true, fullNights };
+      }
+
+      const { data, error } = await supabase
+        .from('bookings')
+        .insert([bookingData])
+        .select()
+        .single();
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      const oversoldNights = await findOversoldNights(roomType, data, { excludeWaitlistId });
+      if (oversoldNights.length > 0) {
+        console.warn(`⚠️ Reservation race lost for ${roomType.slug} on ${oversoldNights.join(', ')} - releasing booking ${data.id}`);
+        await supabase.from('bookings').delete().eq('id', data.id);
+        return { retry: true };
+      }
+
+      return { success: true, booking: data };
+    });
+
+    if (!result.retry) {
+      return result;
+    }
+
+    await sleep(RETRY_DELAY_MS * attempt);
+  }
+
+  const fullNights = await findFullNights(roomType, check_in, check_out, { excludeWaitlistId });
+  return { success: false, conflict: true, fullNights };
+};
+
+/**
+ * Reserve Several Rooms
+ * All-or-nothing reservation for a group: every requested room is checked
+ * against the nights it covers (two rooms of a type need two free rooms),
+ * and all rows are inserted together under the locks of every room type.
+ * If another server oversold any of them, all are released and retried.
+ * rooms is [{ roomType, bookingData }]. Returns one of:
+ *   { success: true, bookings }
+ *   { success: false, conflict: true, unavailable: [{ roomType, fullNights }] }
+ *   { success: false, error }
+ */
+const reserveRooms = async (rooms) => {
+  const roomTypes = [...new Map(rooms.map(room => [room.roomType.id, room.roomType])).values()];
+
+  const findUnavailable = async () => {
+    const from = rooms.map(room => toDateKey(room.bookingData.check_in)).sort()[0];
+    const to = rooms.map(room => toDateKey(room.bookingData.check_out)).sort().reverse()[0];
+    const availability = await getNightlyAvailability(roomTypes, from, to);
+
+    return roomTypes.map(roomType => ({
+      roomType,
+      fullNights: availability[roomType.id].filter(night => {
+        const requested = rooms.filter(room => (
+          room.roomType.id === roomType.id && coversNight(room.bookingData, night.date)
+        )).length;
+        return requested > 0 && night.free < requested;
+      })
+    })).filter(entry => entry.fullNights.length > 0);
+  };
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const result = await withRoomTypeLocks(roomTypes.map(roomType => roomType.id), async () => {
+      const unavailable = await findUnavailable();
+      if (unavailable.length > 0) {
+        return { success: false, conflict: true, unavailable };
+      }
+
+      const { data, error } = await supabase
+        .from('bookings')
+        .insert(rooms.map(room => room.bookingData))
+        .select();
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      for (const booking of data) {
+        const roomType = roomTypes.find(type => type.id === booking.room_id);
+        const oversoldNights = await findOversoldNights(roomType, booking);
+        if (oversoldNights.length > 0) {
+          console.warn(`⚠️ Group reservation race lost for ${roomType.slug} on ${oversoldNights.join(', ')} - releasing ${data.length} bookings`);
+          await supabase.from('bookings').delete().in('id', data.map(row => row.id));
+          return { retry: true };
+        }
+      }
+
+      return { success: true, bookings: data };
+    });
+
+    if (!result.retry) {
+      return result;
+    }
+
+    await sleep(RETRY_DELAY_MS * attempt);
+  }
+
+  return { success: false, conflict: true, unavailable: await findUnavailable() };
+};
+
+/**
+ * Reschedule a Booking
+ * Applies new dates or room type to an existing booking while holding the
+ * lock of its (new) room type. The booking's own nights don't count against
+ * it. If another server sold the last room meanwhile, the change is undone.
+ * Returns { success: true, booking }, { success: false, conflict: true, fullNights }
+ * or { success: false, error }.
+ */
+const rescheduleBooking = async ({ booking, roomType, updates }) => {
+  const checkIn = updates.check_in || booking.check_in;
+  const checkOut = updates.check_out || booking.check_out;
+
+  return withRoomTypeLock(roomType.id, async () => {
+    const fullNights = await findFullNights(roomType, checkIn, checkOut, { excludeBookingId: booking.id });
+    if (fullNights.length > 0) {
+      return { success: false, conflict: true, fullNights };
+    }
+
+    const { data, error } = await supabase
+      .from('bookings')
+      .update(updates)
+      .eq('id', booking.id)
+      .select()
+      .single();
+
+    if (error) {
+      return { success: false, error };
+    }
+
+    const oversoldNights = (await findFullNights(roomType, checkIn, checkOut)).filter(night => night.free < 0);
+    if (oversoldNights.length > 0) {
+      console.warn(`⚠️ Reschedule race lost for ${roomType.slug} on ${oversoldNights.map(night => night.date).join(', ')} - reverting booking ${booking.id}`);
+      const previous = Object.keys(updates).reduce((acc, field) => ({ ...acc, [field]: booking[field] }), {});
+      await supabase.from('bookings').update(previous).eq('id', booking.id);
+      return { success: false, conflict: true, fullNights: oversoldNights };
+    }
+
+    return { success: true, booking: data };
+  });
+};
+
+// Structured 409 body naming the nights that are full
+const buildConflictResponse = (roomType, fullNights) => ({
+  success: false,
+  error: 'ROOM_UNAVAILABLE',
+  message: `No ${roomType.name} rooms available for ${fullNights.length} of the selected nights: ${fullNights.map(night => night.date).join(', ')}`,
+  room_type: roomType.slug,
+  full_nights: fullNights
+});
+
+// Structured 409 body for a group, naming the full nights of each room type
+const buildGroupConflictResponse = (unavailable) => ({
+  success: false,
+  error: 'ROOM_UNAVAILABLE',
+  message: `Not enough rooms for the group: ${unavailable.map(({ roomType, fullNights }) => (
+    `${roomType.name} on ${fullNights.map(night => night.date).join(', ')}`
+  )).join('; ')}`,
+  unavailable: unavailable.map(({ roomType, fullNights }) => ({
+    room_type: roomType.slug,
+    full_nights: fullNights
+  }))
+});
+
+module.exports = {
+  withRoomTypeLock,
+  withRoomTypeLocks,
+  findFullNights,
+  reserveBooking,
+  reserveRooms,
+  rescheduleBooking,
+  buildConflictResponse,
+  buildGroupConflictResponse
+};
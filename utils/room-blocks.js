@@ -0,0 +1,104 @@
+// Room Blocks
+// Dated periods that take rooms off sale (maintenance, VIP holds, owner use),
+// either a number of rooms of a type or one physical room. Nights run from
+// start_date up to end_date, like a stay.
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const BLOCK_TYPES = ['maintenance', 'vip_hold', 'owner_use'];
+
+/**
+ * Active Blocks
+ * Unreleased blocks of the given room types that overlap [from, to). Blocks
+ * of a physical room are flagged when that room is already out of order, as
+ * it is off sale anyway and must not be subtracted twice.
+ */
+const getActiveBlocks = async (roomTypeIds, from, to, { excludeBlockId } = {}) => {
+  let query = supabase
+    .from('room_blocks')
+    .select('*')
+    .in('room_type_id', roomTypeIds)
+    .is('released_at', null)
+    .lt('start_date', to)
+    .gt('end_date', from);
+
+  if (excludeBlockId) {
+    query = query.neq('id', excludeBlockId);
+  }
+
+  const { data: blocks, error } = await query;
+  if (error) {
+    throw new Error(`Failed to load room blocks: ${error.message}`);
+  }
+
+  const roomIds = [...new Set((blocks || []).filter(block => block.room_id).map(block => block.room_id))];
+  let outOfOrder = new Set();
+  if (roomIds.length > 0) {
+    const { data: rooms, error: roomsError } = await supabase
+      .from('rooms')
+      .select('id')
+      .in('id', roomIds)
+      .eq('status', 'out_of_order');
+
+    if (roomsError) {
+      throw new Error(`Failed to load blocked rooms: ${roomsError.message}`);
+    }
+    outOfOrder = new Set((rooms || []).map(room => room.id));
+  }
+
+  return (blocks || []).map(block => ({
+    ...block,
+    room_out_of_order: Boolean(block.room_id && outOfOrder.has(block.room_id))
+  }));
+};
+
+// Does the block cover the given night?
+const blocksNight = (block, night) => block.start_date <= night && night < block.end_date;
+
+/**
+ * Blocked Room Count
+ * Rooms a set of blocks takes off sale on one night. A physical room blocked
+ * by overlapping blocks counts once.
+ */
+const countBlockedRooms = (blocks, night) => {
+  const rooms = new Set();
+  let count = 0;
+
+  for (const block of blocks) {
+    if (!blocksNight(block, night) || block.room_out_of_order) continue;
+    if (block.room_id) {
+      rooms.add(block.room_id);
+    } else {
+      count += block.room_count;
+    }
+  }
+  return count + rooms.size;
+};
+
+// Blocks of a physical room that overlap [from, to)
+const findRoomBlocks = async (roomId, from, to) => {
+  const { data, error } = await supabase
+    .from('room_blocks')
+    .select('*')
+    .eq('room_id', roomId)
+    .is('released_at', null)
+    .lt('start_date', to)
+    .gt('end_date', from);
+
+  if (error) {
+    throw new Error(`Failed to load room blocks: ${error.message}`);
+  }
+  return data || [];
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  getActiveBlocks,
+  blocksNight,
+  countBlockedRooms,
+  findRoomBlocks
+};
@@ -0,0 +1,102 @@
+// Room Type Catalog
+const { createClient } = require('@supabase/supabase-js');
+const { cache } = require('./cache');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CATALOG_CACHE_KEY = 'room_types_catalog';
+const CATALOG_TTL = 300; // 5 minutes - invalidated on every catalog write
+
+/**
+ * Catalog Loading
+ * Every room type (active and inactive) is loaded once and cached, so
+ * routes can resolve room types without a query per booking
+ */
+const getRoomTypes = async ({ includeInactive = false } = {}) => {
+  let catalog = cache.get(CATALOG_CACHE_KEY);
+
+  if (!catalog) {
+    const { data, error } = await supabase
+      .from('room_types')
+      .select('*')
+      .order('price_per_night', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load room types: ${error.message}`);
+    }
+
+    catalog = data || [];
+    cache.set(CATALOG_CACHE_KEY, catalog, CATALOG_TTL);
+  }
+
+  return includeInactive ? catalog : catalog.filter(roomType => roomType.is_active);
+};
+
+/**
+ * Room Type Lookup
+ * Accepts either the room type UUID (stored on bookings as room_id)
+ * or the slug (used by room_inventory and the booking forms)
+ */
+const findRoomType = async (idOrSlug, { includeInactive = true } = {}) => {
+  if (!idOrSlug) return null;
+
+  const catalog = await getRoomTypes({ includeInactive });
+  return catalog.find(roomType => roomType.id === idOrSlug || roomType.slug === idOrSlug) || null;
+};
+
+// Index the catalog by UUID for enriching lists of bookings
+const getRoomTypesById = async () => {
+  const catalog = await getRoomTypes({ includeInactive: true });
+  return catalog.reduce((acc, roomType) => {
+    acc[roomType.id] = roomType;
+    return acc;
+  }, {});
+};
+
+// Index the catalog by slug for room_inventory rows (keyed by room_type_id slug)
+const getRoomTypesBySlug = async () => {
+  const catalog = await getRoomTypes({ includeInactive: true });
+  return catalog.reduce((acc, roomType) => {
+    acc[roomType.slug] = roomType;
+    return acc;
+  }, {});
+};
+
+/**
+ * Legacy Shape
+ * The frontend still reads the field names from the old hard-coded maps
+ */
+const toRoomTypeDetails = (roomType) => {
+  if (!roomType) return null;
+
+  const images = Array.isArray(roomType.images) ? roomType.images : [];
+  return {
+    id: roomType.id,
+    slug: roomType.slug,
+    room_type: roomType.name,
+    room_type_id: roomType.slug,
+    uuid: roomType.id,
+    price_per_night: Number(roomType.price_per_night),
+    max_occupancy: roomType.max_occupancy,
+    amenities: roomType.amenities || '',
+    description: roomType.description || '',
+    image: images[0] || '',
+    images
+  };
+};
+
+const invalidateRoomTypes = () => {
+  cache.del(CATALOG_CACHE_KEY);
+};
+
+module.exports = {
+  getRoomTypes,
+  findRoomType,
+  getRoomTypesById,
+  getRoomTypesBySlug,
+  toRoomTypeDetails,
+  invalidateRoomTypes
+};
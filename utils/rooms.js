@@ -0,0 +1,135 @@
+// Physical Room Registry
+const { createClient } = require('@supabase/supabase-js');
+const { ROOM_FREEING_STATUS_FILTER } = require('./booking-status');
+const { findRoomBlocks } = require('./room-blocks');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Housekeeping states a physical room can be in
+const ROOM_STATUSES = ['clean', 'dirty', 'out_of_order'];
+
+/**
+ * Room Counts
+ * Counts active physical rooms per room type UUID, split by housekeeping state
+ */
+const getRoomCountsByType = async () => {
+  const { data: rooms, error } = await supabase
+    .from('rooms')
+    .select('room_type_id, status')
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(`Failed to load rooms: ${error.message}`);
+  }
+
+  return (rooms || []).reduce((acc, room) => {
+    const counts = acc[room.room_type_id] || { total: 0, clean: 0, dirty: 0, out_of_order: 0 };
+    counts.total += 1;
+    counts[room.status] = (counts[room.status] || 0) + 1;
+    acc[room.room_type_id] = counts;
+    return acc;
+  }, {});
+};
+
+// Look up an active room by its UUID or its room number
+const findRoom = async ({ roomId, roomNumber }) => {
+  let query = supabase.from('rooms').select('*').eq('is_active', true);
+  query = roomId ? query.eq('id', roomId) : query.eq('room_number', String(roomNumber));
+
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    throw new Error(`Failed to load room: ${error.message}`);
+  }
+  return data;
+};
+
+/**
+ * Room Assignment Check
+ * Validates that a physical room can be given to a booking: it must be of the
+ * booked room type, not out of order or blocked during the stay, and not held
+ * by another active booking whose stay overlaps this one
+ */
+const checkRoomAssignment = async (booking, { roomId, roomNumber }) => {
+  const room = await findRoom({ roomId, roomNumber });
+
+  if (!room) {
+    return { isValid: false, status: 404, message: 'Room not found' };
+  }
+
+  if (room.room_type_id !== booking.room_id) {
+    return {
+      isValid: false,
+      status: 400,
+      message: `Room ${room.room_number} is not of the booked room type`
+    };
+  }
+
+  if (room.status === 'out_of_order') {
+    return {
+      isValid: false,
+      status: 400,
+      message: `Room ${room.room_number} is out of order`
+    };
+  }
+
+  const blocks = await findRoomBlocks(room.id, booking.check_in, booking.check_out);
+  if (blocks.length > 0) {
+    return {
+      isValid: false,
+      status: 409,
+      message: `Room ${room.room_number} is blocked (${blocks[0].block_type}) from ${blocks[0].start_date} to ${blocks[0].end_date}`
+    };
+  }
+
+  let conflictQuery = supabase
+    .from('bookings')
+    .select('id, transaction_ref, check_in, check_out')
+    .eq('assigned_room_id', room.id)
+    .lt('check_in', booking.check_out)
+    .gt('check_out', booking.check_in)
+    .not('status', 'in', ROOM_FREEING_STATUS_FILTER);
+
+  if (booking.id) {
+    conflictQuery = conflictQuery.neq('id', booking.id);
+  }
+
+  const { data: conflicts, error } = await conflictQuery;
+  if (error) {
+    throw new Error(`Failed to check room assignment: ${error.message}`);
+  }
+
+  if (conflicts && conflicts.length > 0) {
+    return {
+      isValid: false,
+      status: 409,
+      message: `Room ${room.room_number} is already assigned to booking ${conflicts[0].transaction_ref} for overlapping dates`
+    };
+  }
+
+  return { isValid: true, room };
+};
+
+// Update a room's housekeeping state
+const setRoomStatus = async (roomId, status) => {
+  const { error } = await supabase
+    .from('rooms')
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq('id', roomId);
+
+  if (error) {
+    console.error(`❌ Failed to set room ${roomId} to ${status}:`, error);
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  ROOM_STATUSES,
+  getRoomCountsByType,
+  findRoom,
+  checkRoomAssignment,
+  setRoomStatus
+};
@@ -0,0 +1,233 @@
+// Waitlist
+// Guests turned away for sold-out dates queue per room type. When a room is
+// freed, waiting guests whose whole stay fits again are offered it in queue
+// order: the room is held for WAITLIST_HOLD_MINUTES and they are emailed a
+// link to claim it. Lapsed or declined holds go to the next guest.
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { findRoomType, getRoomTypesById } = require('./room-types');
+const { getNightlyAvailability, toDateKey } = require('./availability');
+const { withRoomTypeLock } = require('./reservations');
+const { sendGuestEmail } = require('./email');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const WAITLIST_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES || '120');
+const WAITLIST_OFFER_URL = process.env.WAITLIST_OFFER_URL || 'https://smile-tcontinental.com/waitlist-offer';
+const WAITLIST_BATCH_SIZE = 50;
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'expired', 'declined', 'cancelled'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token || '')).digest('hex');
+
+// The entry an offer link points at, or null
+const findEntryByToken = async (token) => {
+  const { data, error } = await supabase
+    .from('waitlist_entries')
+    .select('*')
+    .eq('offer_token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load waitlist entry: ${error.message}`);
+  }
+  return data;
+};
+
+// Is the hold on an offered entry still running?
+const isHoldActive = (entry) => (
+  entry.status === 'offered' && new Date(entry.hold_expires_at) > new Date()
+);
+
+// Tell the guest their room is held and how to claim it
+async function sendWaitlistOfferEmail(entry, roomType, link) {
+  const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background: linear-gradient(135deg, #7B3F00 0%, #A0522D 100%); color: white; padding: 30px; text-align: center;">
+        <h1 style="margin: 5px auto 10px;">Smile-T Continental Hotel</h1>
+        <p style="margin: 10px 0 0 0;">A Room Is Available</p>
+      </div>
+
+      <div style="padding: 30px; background: white; border: 1px solid #ddd;">
+        <h2 style="color: #7B3F00;">Good news, ${entry.guest_name}!</h2>
+        <p>A room you were waiting for has become available and we are holding it for you.</p>
+
+        <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong style="color: #7B3F00;">Room:</strong> ${roomType?.name || 'Room'}</p>
+          <p><strong style="color: #7B3F00;">Check-in:</strong> ${new Date(entry.check_in).toLocaleDateString()}</p>
+          <p><strong style="color: #7B3F00;">Check-out:</strong> ${new Date(entry.check_out).toLocaleDateString()}</p>
+          <p><strong style="color: #7B3F00;">Held until:</strong> ${new Date(entry.hold_expires_at).toLocaleString()}</p>
+        </div>
+
+        <p style="text-align: center;">
+          <a href="${link}" style="background: #7B3F00; color: white; padding: 12px 24px; border-radius: 4px; text-decoration: none;">Book This Room</a>
+        </p>
+
+        <div style="background: #fff3cd; border-left: 4px solid #FFD700; padding: 15px; margin: 20px 0;">
+          <p style="margin: 0;"><strong>⏳ Important:</strong> After ${WAITLIST_HOLD_MINUTES} minutes the room goes to the next guest on the waitlist.</p>
+        </div>
+      </div>
+
+      <div style="background: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666;">
+        <p>Smile-T Continental Hotel | +234-805-323-3660 | info@smile-tcontinental.com</p>
+      </div>
+    </div>
+  `;
+
+  return sendGuestEmail({
+    to: entry.guest_email,
+    subject: `🛎️ Your waitlisted room is available - ${roomType?.name || 'Room'}`,
+    html: emailHtml
+  });
+}
+
+/**
+ * Offer a Freed Room
+ * Holds the room for a waiting entry. The offer only applies if the entry is
+ * still waiting. Returns { entry, link } for the email, or null.
+ */
+const offerEntry = async (entry, roomType) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  const now = new Date();
+
+  const { data: offered, error } = await supabase
+    .from('waitlist_entries')
+    .update({
+      status: 'offered',
+      offer_token_hash: hashToken(token),
+      offered_at: now.toISOString(),
+      hold_expires_at: new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60 * 1000).toISOString(),
+      updated_at: now.toISOString()
+    })
+    .eq('id', entry.id)
+    .eq('status', 'waiting')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to offer waitlist entry: ${error.message}`);
+  }
+  if (!offered) {
+    return null;
+  }
+
+  return { entry: offered, link: `${WAITLIST_OFFER_URL}?token=${token}` };
+};
+
+/**
+ * Notify the Waitlist
+ * Called whenever a room of the type is freed. Walks the queue oldest first
+ * and offers the room to every waiting guest whose whole stay is free again -
+ * each offer holds a room, so later guests only get what is left. Offers are
+ * made under the room type lock so two freed rooms can't offer the same room
+ * twice. Failures are logged, not thrown. Returns the offered entries.
+ */
+const notifyWaitlist = async (roomTypeId) => {
+  try {
+    const roomType = await findRoomType(roomTypeId);
+    if (!roomType) return [];
+
+    const offers = await withRoomTypeLock(roomType.id, async () => {
+      const { data: entries, error } = await supabase
+        .from('waitlist_entries')
+        .select('*')
+        .eq('room_type_id', roomType.id)
+        .eq('status', 'waiting')
+        .gte('check_in', toDateKey(new Date()))
+        .order('created_at', { ascending: true })
+        .limit(WAITLIST_BATCH_SIZE);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const offered = [];
+      for (const entry of entries || []) {
+        const availability = await getNightlyAvailability([roomType], entry.check_in, entry.check_out);
+        if (availability[roomType.id].some(night => night.free < 1)) {
+          continue;
+        }
+
+        const offer = await offerEntry(entry, roomType);
+        if (offer) {
+          offered.push(offer);
+        }
+      }
+      return offered;
+    });
+
+    // Emails go out once the lock is released
+    for (const { entry, link } of offers) {
+      const sent = await sendWaitlistOfferEmail(entry, roomType, link);
+      console.log(`🛎️ Waitlist offer for ${roomType.slug} (${entry.check_in} → ${entry.check_out}) ${sent ? 'sent' : 'NOT emailed'} to ${entry.guest_email}`);
+    }
+    return offers.map(offer => offer.entry);
+  } catch (error) {
+    console.error(`❌ Waitlist notification failed for room type ${roomTypeId}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Expire Waitlist Offers
+ * Closes holds nobody claimed in time and entries whose check-in has passed,
+ * then offers the released rooms to the next guests in line. Run by the
+ * booking expiry job. Returns { expired_offers, expired_entries }.
+ */
+const expireWaitlistOffers = async () => {
+  const now = new Date().toISOString();
+
+  const { data: lapsed, error } = await supabase
+    .from('waitlist_entries')
+    .update({ status: 'expired', updated_at: now })
+    .eq('status', 'offered')
+    .lt('hold_expires_at', now)
+    .select('id, room_type_id');
+
+  if (error) {
+    throw new Error(`Failed to expire waitlist offers: ${error.message}`);
+  }
+
+  const { data: stale, error: staleError } = await supabase
+    .from('waitlist_entries')
+    .update({ status: 'expired', updated_at: now })
+    .eq('status', 'waiting')
+    .lt('check_in', toDateKey(now))
+    .select('id');
+
+  if (staleError) {
+    throw new Error(`Failed to expire past waitlist entries: ${staleError.message}`);
+  }
+
+  const roomTypeIds = [...new Set((lapsed || []).map(entry => entry.room_type_id))];
+  for (const roomTypeId of roomTypeIds) {
+    await notifyWaitlist(roomTypeId);
+  }
+
+  if ((lapsed || []).length > 0) {
+    console.log(`⌛ ${lapsed.length} waitlist offer(s) lapsed`);
+  }
+  return { expired_offers: (lapsed || []).length, expired_entries: (stale || []).length };
+};
+
+// Waitlist entries with their room type name, for staff lists
+const withRoomNames = async (entries) => {
+  const roomTypesById = await getRoomTypesById();
+  return entries.map(({ offer_token_hash, ...entry }) => ({
+    ...entry,
+    room_name: roomTypesById[entry.room_type_id]?.name || 'Unknown Room'
+  }));
+};
+
+module.exports = {
+  WAITLIST_STATUSES,
+  WAITLIST_HOLD_MINUTES,
+  findEntryByToken,
+  isHoldActive,
+  notifyWaitlist,
+  expireWaitlistOffers,
+  withRoomNames
+};